@@ -0,0 +1,118 @@
+/**
+ * Histórico de buscas do Projeto Clima: os últimos locais consultados, com a última temperatura
+ * e o código do clima conhecidos, salvos no `localStorage`.
+ *
+ * - Um local aparece uma única vez: coordenadas iguais até a 2ª casa decimal (~1 km) são o mesmo lugar,
+ *   e buscá-lo de novo o leva ao topo da lista com os dados atualizados.
+ * - A lista guarda no máximo `limit` locais (os mais recentes primeiro).
+ *
+ * Carregado como script comum antes de `scripts.js`; no Node (Jest) é importado com `require`.
+ */
+
+const SEARCH_HISTORY_STORAGE_KEY = 'clima:history';
+const SEARCH_HISTORY_LIMIT = 8;
+
+/**
+ * Chave de um local no histórico: coordenadas arredondadas na 2ª casa decimal.
+ *
+ * @function searchHistoryKey
+ * @param {{lat: number, lon: number}} place - Local consultado.
+ * @returns {string} Chave no formato 'lat,lon' (ex: '-23.55,-46.63').
+ */
+function searchHistoryKey(place) {
+    return `${Number(place.lat).toFixed(2)},${Number(place.lon).toFixed(2)}`;
+}
+
+// Mantém só os campos exibidos; descarta entradas sem coordenadas válidas
+function normalizeHistoryEntry(entry) {
+    if (!entry || !Number.isFinite(entry.lat) || !Number.isFinite(entry.lon)) return null;
+    const numberOrNull = (value) => (Number.isFinite(value) ? value : null);
+    return {
+        lat: entry.lat,
+        lon: entry.lon,
+        name: String(entry.name || ''),
+        admin1: entry.admin1 || '',
+        country: entry.country || '',
+        temperature: numberOrNull(entry.temperature),
+        weathercode: numberOrNull(entry.weathercode),
+        is_day: numberOrNull(entry.is_day),
+        searchedAt: numberOrNull(entry.searchedAt)
+    };
+}
+
+/**
+ * Cria o histórico de buscas sobre um armazenamento. Sem armazenamento disponível (ou com ele cheio),
+ * o histórico vale apenas enquanto a página estiver aberta.
+ *
+ * @function createSearchHistory
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @param {Object} [options]
+ * @param {number} [options.limit=8] - Quantidade máxima de locais guardados.
+ * @returns {{list: Function, add: Function, clear: Function}} `list()` devolve os locais (mais recentes primeiro);
+ *  `add(entry, now)` registra uma busca e devolve a nova lista; `clear()` apaga tudo.
+ *
+ * @example
+ * const history = createSearchHistory();
+ * history.add({ lat: -23.55, lon: -46.63, name: 'São Paulo', temperature: 25, weathercode: 80, is_day: 1 });
+ * history.list()[0].name; // Output: 'São Paulo'
+ */
+function createSearchHistory(storage, { limit = SEARCH_HISTORY_LIMIT } = {}) {
+    const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    let entries = read();
+
+    function read() {
+        try {
+            const list = store ? JSON.parse(store.getItem(SEARCH_HISTORY_STORAGE_KEY)) : null;
+            return Array.isArray(list) ? list.map(normalizeHistoryEntry).filter(Boolean).slice(0, limit) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function write() {
+        try {
+            if (!store) return;
+            if (entries.length) store.setItem(SEARCH_HISTORY_STORAGE_KEY, JSON.stringify(entries));
+            else store.removeItem(SEARCH_HISTORY_STORAGE_KEY);
+        } catch (e) {
+            // armazenamento indisponível: o histórico vale apenas para esta sessão
+        }
+    }
+
+    function list() {
+        return entries.map((entry) => ({ ...entry }));
+    }
+
+    // `entry`: `{lat, lon, name, admin1, country, temperature, weathercode, is_day}`, com a temperatura em °C;
+    // sem dados do clima, mantém os últimos conhecidos do local
+    function add(entry, now = Date.now()) {
+        const normalized = normalizeHistoryEntry({ ...entry, searchedAt: now });
+        if (!normalized) return list();
+        const key = searchHistoryKey(normalized);
+        const previous = entries.find((item) => searchHistoryKey(item) === key);
+        if (previous && normalized.temperature === null) {
+            normalized.temperature = previous.temperature;
+            normalized.weathercode = previous.weathercode;
+            normalized.is_day = previous.is_day;
+        }
+        entries = [normalized, ...entries.filter((item) => searchHistoryKey(item) !== key)].slice(0, limit);
+        write();
+        return list();
+    }
+
+    function clear() {
+        entries = [];
+        write();
+    }
+
+    return { list, add, clear };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEARCH_HISTORY_STORAGE_KEY,
+        SEARCH_HISTORY_LIMIT,
+        searchHistoryKey,
+        createSearchHistory
+    };
+}
@@ -1,8 +1,1003 @@
 const API_BASE_URL = 'https://geocoding-api.open-meteo.com/v1/search';
 const WEATHER_API_URL = 'https://api.open-meteo.com/v1/forecast';
+const AIR_QUALITY_API_URL = 'https://air-quality-api.open-meteo.com/v1/air-quality';
+const ARCHIVE_API_URL = 'https://archive-api.open-meteo.com/v1/archive';
+// Open-Meteo não oferece geocodificação reversa; usamos o endpoint gratuito (sem chave) da BigDataCloud
+const REVERSE_GEOCODING_URL = 'https://api.bigdatacloud.net/data/reverse-geocode-client';
+// Pasta com os arquivos JSON do provedor de fixtures (dados prontos, para uso sem internet)
+const FIXTURE_PROVIDER_URL = './fixtures/weather';
+const DEFAULT_PROVIDER = 'open-meteo';
+const PROVIDER_STORAGE_KEY = 'clima:provider';
+
+// Tempo de validade (ms) das respostas em cache, por endpoint
+const CACHE_TTL = {
+    geocoding: 30 * 24 * 60 * 60 * 1000, // coordenadas de uma cidade não mudam: 30 dias
+    weather: 10 * 60 * 1000, // clima atual: 10 minutos
+    forecast: 60 * 60 * 1000, // previsão diária: 1 hora
+    hourly: 30 * 60 * 1000, // previsão horária: 30 minutos
+    airQuality: 30 * 60 * 1000, // qualidade do ar e UV: 30 minutos
+    history: 7 * 24 * 60 * 60 * 1000 // dados históricos de uma data não mudam: 7 dias
+};
+// Por quanto tempo após vencer um dado ainda pode ser exibido enquanto é atualizado em segundo plano
+const CACHE_MAX_STALE = 24 * 60 * 60 * 1000;
+const CACHE_KEY_PREFIX = 'clima:cache:';
+
+// Unidades aceitas pela API Open-Meteo e seus rótulos de exibição
+const UNIT_OPTIONS = {
+    temperature: { celsius: '°C', fahrenheit: '°F' },
+    windspeed: { kmh: 'km/h', mph: 'mph', ms: 'm/s' },
+    precipitation: { mm: 'mm', inch: 'in' }
+};
+const DEFAULT_UNITS = { temperature: 'celsius', windspeed: 'kmh', precipitation: 'mm' };
+const UNITS_STORAGE_KEY = 'clima:units';
+const FAVORITES_STORAGE_KEY = 'clima:favorites';
+const ALERTS_STORAGE_KEY = 'clima:alerts';
+const FORECAST_DAYS_STORAGE_KEY = 'clima:forecastDays';
+
+// Previsão diária: limite da API, variáveis pedidas por padrão e opções de dias exibidos
+const MAX_FORECAST_DAYS = 16;
+const DAILY_VARIABLES = [
+    'temperature_2m_max',
+    'temperature_2m_min',
+    'weathercode',
+    'precipitation_sum',
+    'precipitation_probability_max',
+    'windspeed_10m_max',
+    'uv_index_max',
+    'sunrise',
+    'sunset'
+];
+const FORECAST_DAYS_OPTIONS = [3, 7, 14];
+const DEFAULT_FORECAST_DAYS = 7;
+
+// Atualização automática do resultado aberto: intervalos em minutos (0 = desligada)
+const AUTO_REFRESH_STORAGE_KEY = 'clima:autoRefresh';
+const AUTO_REFRESH_OPTIONS = [0, 5, 15, 30];
+const DEFAULT_AUTO_REFRESH = 0;
+
+// Ícones Weather Icons por código WMO: [dia, noite]
+const WEATHER_ICONS = {
+    0: ['wi-day-sunny', 'wi-night-clear'],
+    1: ['wi-day-sunny-overcast', 'wi-night-alt-partly-cloudy'],
+    2: ['wi-day-cloudy', 'wi-night-alt-cloudy'],
+    3: ['wi-cloudy', 'wi-cloudy'],
+    45: ['wi-day-fog', 'wi-night-fog'],
+    48: ['wi-fog', 'wi-fog'],
+    // garoa
+    51: ['wi-day-sprinkle', 'wi-night-alt-sprinkle'],
+    53: ['wi-day-sprinkle', 'wi-night-alt-sprinkle'],
+    55: ['wi-sprinkle', 'wi-sprinkle'],
+    // garoa e chuva congelantes
+    56: ['wi-day-sleet', 'wi-night-alt-sleet'],
+    57: ['wi-sleet', 'wi-sleet'],
+    61: ['wi-day-rain', 'wi-night-alt-rain'],
+    63: ['wi-day-rain', 'wi-night-alt-rain'],
+    65: ['wi-rain', 'wi-rain'],
+    66: ['wi-day-rain-mix', 'wi-night-alt-rain-mix'],
+    67: ['wi-rain-mix', 'wi-rain-mix'],
+    71: ['wi-day-snow', 'wi-night-alt-snow'],
+    73: ['wi-day-snow', 'wi-night-alt-snow'],
+    75: ['wi-snow', 'wi-snow'],
+    77: ['wi-snowflake-cold', 'wi-snowflake-cold'],
+    // pancadas
+    80: ['wi-day-showers', 'wi-night-alt-showers'],
+    81: ['wi-day-showers', 'wi-night-alt-showers'],
+    82: ['wi-showers', 'wi-showers'],
+    85: ['wi-day-snow', 'wi-night-alt-snow'],
+    86: ['wi-snow', 'wi-snow'],
+    95: ['wi-day-thunderstorm', 'wi-night-alt-thunderstorm'],
+    96: ['wi-day-sleet-storm', 'wi-night-alt-sleet-storm'],
+    99: ['wi-day-sleet-storm', 'wi-night-alt-sleet-storm']
+};
+
+// Tipos de regra de alerta e o tipo de unidade do limite (null = sem limite).
+// Os rótulos ficam nos catálogos, em 'alerts.type.<tipo>'.
+const ALERT_TYPES = {
+    temperatureAbove: { unit: 'temperature' },
+    temperatureBelow: { unit: 'temperature' },
+    precipitationAbove: { unit: 'precipitation' },
+    windAbove: { unit: 'windspeed' },
+    thunderstorm: { unit: null }
+};
+// Códigos WMO de trovoada (com ou sem granizo)
+const THUNDERSTORM_CODES = [95, 96, 99];
+// Regras iniciais; limites nas unidades padrão (°C, km/h, mm)
+const DEFAULT_ALERT_RULES = [
+    { id: 'calor', type: 'temperatureAbove', threshold: 35, enabled: true },
+    { id: 'trovoadas', type: 'thunderstorm', threshold: null, enabled: true },
+    { id: 'chuva', type: 'precipitationAbove', threshold: 30, enabled: true },
+    { id: 'vento', type: 'windAbove', threshold: 60, enabled: true }
+];
+
+// Idiomas da interface; textos ausentes em um catálogo caem no pt-BR
+const SUPPORTED_LOCALES = ['pt-BR', 'en', 'es'];
+const DEFAULT_LOCALE = 'pt-BR';
+const LOCALE_STORAGE_KEY = 'clima:locale';
+let currentLocale = DEFAULT_LOCALE;
+
+// Catálogos de mensagens. Parâmetros entre chaves (ex: `{city}`) são preenchidos por `t`.
+const MESSAGES = {
+    'pt-BR': {
+        'app.title': 'Previsão do Tempo',
+        'language.label': 'Idioma',
+        'search.placeholder': 'Digite o nome da cidade...',
+        'search.submit': 'Buscar',
+        'search.location': 'Usar minha localização',
+        'search.population': '{count} hab.',
+        'status.loading': 'Carregando...',
+        'results.back': 'Voltar',
+        'favorites.title': 'Favoritos',
+        'favorites.add': '☆ Favoritar',
+        'favorites.active': '★ Favorito',
+        'favorites.addTitle': 'Adicionar aos favoritos',
+        'favorites.remove': 'Remover dos favoritos',
+        'favorites.open': 'Ver clima de {city}',
+        'favorites.moveBefore': 'Mover para antes',
+        'favorites.moveAfter': 'Mover para depois',
+        'favorites.noData': 'Sem dados',
+        'history.title': 'Buscas recentes',
+        'history.clear': 'Limpar',
+        'history.clearTitle': 'Limpar o histórico de buscas',
+        'history.open': 'Buscar de novo {city}, {temperature}',
+        'units.temperature': 'Temperatura',
+        'units.windspeed': 'Vento',
+        'units.precipitation': 'Chuva',
+        'autoRefresh.label': 'Atualizar',
+        'autoRefresh.off': 'Desligado',
+        'autoRefresh.every': 'a cada {minutes} min',
+        'current.wind': 'Vento: {speed}',
+        'current.windFrom': 'Vento de {direction} ({degrees}°)',
+        'current.feelsLike': 'Sensação térmica {temperature}',
+        'current.details': 'Detalhes do clima atual',
+        'current.humidity': 'Umidade',
+        'current.pressure': 'Pressão',
+        'current.precipitation': 'Precipitação',
+        'current.cloudcover': 'Nuvens',
+        'current.windgusts': 'Rajadas',
+        'current.visibility': 'Visibilidade',
+        'current.sunrise': 'Nascer do sol {time}',
+        'current.sunset': 'Pôr do sol {time}',
+        'current.cachedAt': 'dados de {time}',
+        'current.updatedNow': 'atualizado agora',
+        'current.updatedAgo': 'atualizado há {minutes} min',
+        'current.updatedAgoHours': 'atualizado há {hours} h',
+        'offline.status': 'offline — exibindo últimos dados',
+        'history.above': '{diff} acima da média de {years} anos',
+        'history.below': '{diff} abaixo da média de {years} anos',
+        'history.same': 'Na média dos últimos {years} anos',
+        'history.details': 'Média da máxima em {date} nos últimos {years} anos: {average}',
+        'compass.points': 'N NNE NE ENE L ESE SE SSE S SSO SO OSO O ONO NO NNO',
+        'hourly.title': 'Próximas horas',
+        'chart.title': 'Temperatura e chuva nos próximos dias',
+        'chart.max': 'Máxima',
+        'chart.min': 'Mínima',
+        'chart.precipitation': 'Chuva',
+        'chart.tooltip': '{date}: máxima {max}, mínima {min}, chuva {precipitation}',
+        'daily.title': 'Próximos dias',
+        'daily.showHours': 'Ver as horas deste dia',
+        'daily.summary': '{weekday}, {date}: {description}. Máxima {max}, mínima {min}.',
+        'daily.summaryRain': 'Chance de chuva {probability}.',
+        'daily.range': 'Dias de previsão',
+        'daily.rangeOption': '{count} dias',
+        'daily.details': 'Detalhes do dia',
+        'daily.precipitationSum': 'Chuva',
+        'daily.precipitationProbability': 'Chance de chuva',
+        'daily.windMax': 'Vento máximo',
+        'daily.uvMax': 'UV máximo',
+        'daily.sunrise': 'Nascer do sol',
+        'daily.sunset': 'Pôr do sol',
+        'airQuality.title': 'Qualidade do ar e UV',
+        'airQuality.european_aqi': 'IQA europeu',
+        'airQuality.us_aqi': 'IQA EUA',
+        'airQuality.pm2_5': 'PM2,5',
+        'airQuality.pm10': 'PM10',
+        'airQuality.ozone': 'Ozônio',
+        'airQuality.uv_index': 'Índice UV',
+        'airQuality.level.good': 'Boa',
+        'airQuality.level.fair': 'Razoável',
+        'airQuality.level.moderate': 'Moderada',
+        'airQuality.level.poor': 'Ruim',
+        'airQuality.level.veryPoor': 'Muito ruim',
+        'airQuality.level.extremelyPoor': 'Péssima',
+        'airQuality.level.sensitive': 'Ruim para grupos sensíveis',
+        'airQuality.level.unhealthy': 'Insalubre',
+        'airQuality.level.veryUnhealthy': 'Muito insalubre',
+        'airQuality.level.hazardous': 'Perigosa',
+        'uv.level.low': 'Baixo',
+        'uv.level.moderate': 'Moderado',
+        'uv.level.high': 'Alto',
+        'uv.level.veryHigh': 'Muito alto',
+        'uv.level.extreme': 'Extremo',
+        'export.title': '⬇️ Exportar',
+        'export.csv': 'Planilha (CSV)',
+        'export.json': 'Dados (JSON)',
+        'export.ics': 'Agenda (.ics)',
+        'export.calendarName': 'Previsão do tempo: {city}',
+        'alerts.settings': '⚠️ Alertas',
+        'alerts.type': 'Tipo de alerta',
+        'alerts.threshold': 'Limite do alerta',
+        'alerts.add': 'Adicionar',
+        'alerts.notify': 'Notificações do sistema',
+        'alerts.removeRule': 'Remover regra',
+        'alerts.one': '⚠️ Alerta',
+        'alerts.many': '⚠️ {count} alertas',
+        'alerts.notificationTitle': 'Alerta do tempo: {city}',
+        'alerts.now': 'agora',
+        'alerts.onDay': 'em {date}',
+        'alerts.atHour': 'em {date} às {hour}',
+        'alerts.type.temperatureAbove': 'Temperatura acima de',
+        'alerts.type.temperatureBelow': 'Temperatura abaixo de',
+        'alerts.type.precipitationAbove': 'Chuva no dia acima de',
+        'alerts.type.windAbove': 'Vento acima de',
+        'alerts.type.thunderstorm': 'Trovoadas',
+        'alerts.message.temperatureAbove': 'Temperatura de {value} {when}, acima de {threshold}',
+        'alerts.message.temperatureBelow': 'Temperatura de {value} {when}, abaixo de {threshold}',
+        'alerts.message.precipitationAbove': 'Chuva de {value} {when}, acima de {threshold}',
+        'alerts.message.windAbove': 'Vento de {value} {when}, acima de {threshold}',
+        'alerts.message.thunderstorm': '{description} {when}',
+        'location.mine': 'Minha localização',
+        'location.selected': 'Local selecionado',
+        'cli.current': 'Agora ({time})',
+        'cli.day': 'Dia',
+        'cli.date': 'Data',
+        'cli.conditions': 'Tempo',
+        'error.validation': 'Digite o nome de uma cidade.',
+        'error.notFound': 'Cidade não encontrada. Tente novamente.',
+        'error.rateLimit': 'Muitas consultas em pouco tempo. Aguarde alguns instantes e tente novamente.',
+        'error.rateLimitWait': 'Muitas consultas em pouco tempo. Aguarde {seconds} s e tente novamente.',
+        'error.server': 'O serviço de previsão está indisponível no momento. Tente novamente mais tarde.',
+        'error.timeout': 'O serviço de previsão demorou demais para responder. Verifique sua conexão e tente novamente.',
+        'error.network': 'Não foi possível conectar ao serviço de previsão. Verifique sua conexão com a internet.',
+        'error.format': 'O serviço de previsão retornou dados inesperados. Tente novamente mais tarde.',
+        'error.generic': 'Erro ao buscar dados do clima. Tente novamente.',
+        'error.geolocation.PERMISSION_DENIED': 'Permissão de localização negada. Autorize o acesso nas configurações do navegador ou digite o local.',
+        'error.geolocation.POSITION_UNAVAILABLE': 'Não foi possível determinar sua localização no momento.',
+        'error.geolocation.TIMEOUT': 'Tempo esgotado ao obter sua localização. Tente novamente.',
+        'error.geolocation.UNSUPPORTED': 'Este navegador não oferece acesso à localização.',
+        'weather.0': 'Céu limpo',
+        'weather.1': 'Predominantemente limpo',
+        'weather.2': 'Parcialmente nublado',
+        'weather.3': 'Nublado',
+        'weather.45': 'Neblina',
+        'weather.48': 'Neblina com geada',
+        'weather.51': 'Garoa leve',
+        'weather.53': 'Garoa moderada',
+        'weather.55': 'Garoa intensa',
+        'weather.56': 'Garoa congelante leve',
+        'weather.57': 'Garoa congelante intensa',
+        'weather.61': 'Chuva leve',
+        'weather.63': 'Chuva moderada',
+        'weather.65': 'Chuva forte',
+        'weather.66': 'Chuva congelante leve',
+        'weather.67': 'Chuva congelante forte',
+        'weather.71': 'Neve leve',
+        'weather.73': 'Neve moderada',
+        'weather.75': 'Neve forte',
+        'weather.77': 'Granizo',
+        'weather.80': 'Pancadas de chuva leves',
+        'weather.81': 'Pancadas de chuva moderadas',
+        'weather.82': 'Pancadas de chuva fortes',
+        'weather.85': 'Pancadas de neve leves',
+        'weather.86': 'Pancadas de neve fortes',
+        'weather.95': 'Tempestade',
+        'weather.96': 'Tempestade com granizo leve',
+        'weather.99': 'Tempestade com granizo forte',
+        'weather.unknown': 'Condição desconhecida'
+    },
+    en: {
+        'app.title': 'Weather Forecast',
+        'language.label': 'Language',
+        'search.placeholder': 'Type a city name...',
+        'search.submit': 'Search',
+        'search.location': 'Use my location',
+        'search.population': '{count} inhabitants',
+        'status.loading': 'Loading...',
+        'results.back': 'Back',
+        'favorites.title': 'Favorites',
+        'favorites.add': '☆ Favorite',
+        'favorites.active': '★ Favorited',
+        'favorites.addTitle': 'Add to favorites',
+        'favorites.remove': 'Remove from favorites',
+        'favorites.open': 'See the weather in {city}',
+        'favorites.moveBefore': 'Move earlier',
+        'favorites.moveAfter': 'Move later',
+        'favorites.noData': 'No data',
+        'history.title': 'Recent searches',
+        'history.clear': 'Clear',
+        'history.clearTitle': 'Clear search history',
+        'history.open': 'Search {city} again, {temperature}',
+        'units.temperature': 'Temperature',
+        'units.windspeed': 'Wind',
+        'units.precipitation': 'Rain',
+        'autoRefresh.label': 'Refresh',
+        'autoRefresh.off': 'Off',
+        'autoRefresh.every': 'every {minutes} min',
+        'current.wind': 'Wind: {speed}',
+        'current.windFrom': 'Wind from {direction} ({degrees}°)',
+        'current.feelsLike': 'Feels like {temperature}',
+        'current.details': 'Current conditions details',
+        'current.humidity': 'Humidity',
+        'current.pressure': 'Pressure',
+        'current.precipitation': 'Precipitation',
+        'current.cloudcover': 'Cloud cover',
+        'current.windgusts': 'Gusts',
+        'current.visibility': 'Visibility',
+        'current.sunrise': 'Sunrise {time}',
+        'current.sunset': 'Sunset {time}',
+        'current.cachedAt': 'data from {time}',
+        'current.updatedNow': 'updated just now',
+        'current.updatedAgo': 'updated {minutes} min ago',
+        'current.updatedAgoHours': 'updated {hours} h ago',
+        'offline.status': 'offline — showing the latest data',
+        'history.above': '{diff} above the {years}-year average',
+        'history.below': '{diff} below the {years}-year average',
+        'history.same': 'In line with the {years}-year average',
+        'history.details': 'Average high on {date} over the last {years} years: {average}',
+        'compass.points': 'N NNE NE ENE E ESE SE SSE S SSW SW WSW W WNW NW NNW',
+        'hourly.title': 'Next hours',
+        'chart.title': 'Temperature and rain in the coming days',
+        'chart.max': 'High',
+        'chart.min': 'Low',
+        'chart.precipitation': 'Rain',
+        'chart.tooltip': '{date}: high {max}, low {min}, rain {precipitation}',
+        'daily.title': 'Next days',
+        'daily.showHours': 'Show the hours of this day',
+        'daily.summary': '{weekday}, {date}: {description}. High {max}, low {min}.',
+        'daily.summaryRain': 'Chance of rain {probability}.',
+        'daily.range': 'Forecast days',
+        'daily.rangeOption': '{count} days',
+        'daily.details': 'Day details',
+        'daily.precipitationSum': 'Rain',
+        'daily.precipitationProbability': 'Chance of rain',
+        'daily.windMax': 'Max wind',
+        'daily.uvMax': 'Max UV',
+        'daily.sunrise': 'Sunrise',
+        'daily.sunset': 'Sunset',
+        'airQuality.title': 'Air quality and UV',
+        'airQuality.european_aqi': 'European AQI',
+        'airQuality.us_aqi': 'US AQI',
+        'airQuality.pm2_5': 'PM2.5',
+        'airQuality.pm10': 'PM10',
+        'airQuality.ozone': 'Ozone',
+        'airQuality.uv_index': 'UV index',
+        'airQuality.level.good': 'Good',
+        'airQuality.level.fair': 'Fair',
+        'airQuality.level.moderate': 'Moderate',
+        'airQuality.level.poor': 'Poor',
+        'airQuality.level.veryPoor': 'Very poor',
+        'airQuality.level.extremelyPoor': 'Extremely poor',
+        'airQuality.level.sensitive': 'Unhealthy for sensitive groups',
+        'airQuality.level.unhealthy': 'Unhealthy',
+        'airQuality.level.veryUnhealthy': 'Very unhealthy',
+        'airQuality.level.hazardous': 'Hazardous',
+        'uv.level.low': 'Low',
+        'uv.level.moderate': 'Moderate',
+        'uv.level.high': 'High',
+        'uv.level.veryHigh': 'Very high',
+        'uv.level.extreme': 'Extreme',
+        'export.title': '⬇️ Export',
+        'export.csv': 'Spreadsheet (CSV)',
+        'export.json': 'Data (JSON)',
+        'export.ics': 'Calendar (.ics)',
+        'export.calendarName': 'Weather forecast: {city}',
+        'alerts.settings': '⚠️ Alerts',
+        'alerts.type': 'Alert type',
+        'alerts.threshold': 'Alert threshold',
+        'alerts.add': 'Add',
+        'alerts.notify': 'System notifications',
+        'alerts.removeRule': 'Remove rule',
+        'alerts.one': '⚠️ Alert',
+        'alerts.many': '⚠️ {count} alerts',
+        'alerts.notificationTitle': 'Weather alert: {city}',
+        'alerts.now': 'now',
+        'alerts.onDay': 'on {date}',
+        'alerts.atHour': 'on {date} at {hour}',
+        'alerts.type.temperatureAbove': 'Temperature above',
+        'alerts.type.temperatureBelow': 'Temperature below',
+        'alerts.type.precipitationAbove': 'Daily rain above',
+        'alerts.type.windAbove': 'Wind above',
+        'alerts.type.thunderstorm': 'Thunderstorms',
+        'alerts.message.temperatureAbove': 'Temperature of {value} {when}, above {threshold}',
+        'alerts.message.temperatureBelow': 'Temperature of {value} {when}, below {threshold}',
+        'alerts.message.precipitationAbove': 'Rain of {value} {when}, above {threshold}',
+        'alerts.message.windAbove': 'Wind of {value} {when}, above {threshold}',
+        'location.mine': 'My location',
+        'location.selected': 'Selected location',
+        'cli.current': 'Now ({time})',
+        'cli.day': 'Day',
+        'cli.date': 'Date',
+        'cli.conditions': 'Conditions',
+        'error.validation': 'Type a city name.',
+        'error.notFound': 'City not found. Please try again.',
+        'error.rateLimit': 'Too many requests in a short time. Wait a moment and try again.',
+        'error.rateLimitWait': 'Too many requests in a short time. Wait {seconds} s and try again.',
+        'error.server': 'The forecast service is unavailable right now. Please try again later.',
+        'error.timeout': 'The forecast service took too long to respond. Check your connection and try again.',
+        'error.network': 'Could not connect to the forecast service. Check your internet connection.',
+        'error.format': 'The forecast service returned unexpected data. Please try again later.',
+        'error.generic': 'Error fetching weather data. Please try again.',
+        'error.geolocation.PERMISSION_DENIED': 'Location permission denied. Allow access in your browser settings or type the place.',
+        'error.geolocation.POSITION_UNAVAILABLE': 'Your location could not be determined right now.',
+        'error.geolocation.TIMEOUT': 'Timed out while getting your location. Please try again.',
+        'error.geolocation.UNSUPPORTED': 'This browser does not provide access to your location.',
+        'weather.0': 'Clear sky',
+        'weather.1': 'Mainly clear',
+        'weather.2': 'Partly cloudy',
+        'weather.3': 'Overcast',
+        'weather.45': 'Fog',
+        'weather.48': 'Depositing rime fog',
+        'weather.51': 'Light drizzle',
+        'weather.53': 'Moderate drizzle',
+        'weather.55': 'Dense drizzle',
+        'weather.56': 'Light freezing drizzle',
+        'weather.57': 'Dense freezing drizzle',
+        'weather.61': 'Light rain',
+        'weather.63': 'Moderate rain',
+        'weather.65': 'Heavy rain',
+        'weather.66': 'Light freezing rain',
+        'weather.67': 'Heavy freezing rain',
+        'weather.71': 'Light snow',
+        'weather.73': 'Moderate snow',
+        'weather.75': 'Heavy snow',
+        'weather.77': 'Snow grains',
+        'weather.80': 'Light rain showers',
+        'weather.81': 'Moderate rain showers',
+        'weather.82': 'Violent rain showers',
+        'weather.85': 'Light snow showers',
+        'weather.86': 'Heavy snow showers',
+        'weather.95': 'Thunderstorm',
+        'weather.96': 'Thunderstorm with light hail',
+        'weather.99': 'Thunderstorm with heavy hail',
+        'weather.unknown': 'Unknown condition'
+    },
+    es: {
+        'app.title': 'Pronóstico del tiempo',
+        'language.label': 'Idioma',
+        'search.placeholder': 'Escribe el nombre de la ciudad...',
+        'search.submit': 'Buscar',
+        'search.location': 'Usar mi ubicación',
+        'search.population': '{count} hab.',
+        'status.loading': 'Cargando...',
+        'results.back': 'Volver',
+        'favorites.title': 'Favoritos',
+        'favorites.add': '☆ Guardar',
+        'favorites.active': '★ Favorito',
+        'favorites.addTitle': 'Añadir a favoritos',
+        'favorites.remove': 'Quitar de favoritos',
+        'favorites.open': 'Ver el tiempo en {city}',
+        'favorites.moveBefore': 'Mover antes',
+        'favorites.moveAfter': 'Mover después',
+        'favorites.noData': 'Sin datos',
+        'history.title': 'Búsquedas recientes',
+        'history.clear': 'Borrar',
+        'history.clearTitle': 'Borrar el historial de búsquedas',
+        'history.open': 'Buscar de nuevo {city}, {temperature}',
+        'units.temperature': 'Temperatura',
+        'units.windspeed': 'Viento',
+        'units.precipitation': 'Lluvia',
+        'autoRefresh.label': 'Actualizar',
+        'autoRefresh.off': 'Desactivado',
+        'autoRefresh.every': 'cada {minutes} min',
+        'current.wind': 'Viento: {speed}',
+        'current.windFrom': 'Viento del {direction} ({degrees}°)',
+        'current.feelsLike': 'Sensación térmica {temperature}',
+        'current.details': 'Detalles del tiempo actual',
+        'current.humidity': 'Humedad',
+        'current.pressure': 'Presión',
+        'current.precipitation': 'Precipitación',
+        'current.cloudcover': 'Nubosidad',
+        'current.windgusts': 'Ráfagas',
+        'current.visibility': 'Visibilidad',
+        'current.sunrise': 'Amanecer {time}',
+        'current.sunset': 'Atardecer {time}',
+        'current.cachedAt': 'datos de las {time}',
+        'current.updatedNow': 'actualizado ahora',
+        'current.updatedAgo': 'actualizado hace {minutes} min',
+        'current.updatedAgoHours': 'actualizado hace {hours} h',
+        'offline.status': 'sin conexión — mostrando los últimos datos',
+        'history.above': '{diff} por encima de la media de {years} años',
+        'history.below': '{diff} por debajo de la media de {years} años',
+        'history.same': 'En la media de los últimos {years} años',
+        'history.details': 'Media de la máxima el {date} en los últimos {years} años: {average}',
+        'compass.points': 'N NNE NE ENE E ESE SE SSE S SSO SO OSO O ONO NO NNO',
+        'hourly.title': 'Próximas horas',
+        'chart.title': 'Temperatura y lluvia en los próximos días',
+        'chart.max': 'Máxima',
+        'chart.min': 'Mínima',
+        'chart.precipitation': 'Lluvia',
+        'chart.tooltip': '{date}: máxima {max}, mínima {min}, lluvia {precipitation}',
+        'daily.title': 'Próximos días',
+        'daily.showHours': 'Ver las horas de este día',
+        'daily.summary': '{weekday}, {date}: {description}. Máxima {max}, mínima {min}.',
+        'daily.summaryRain': 'Probabilidad de lluvia {probability}.',
+        'daily.range': 'Días de pronóstico',
+        'daily.rangeOption': '{count} días',
+        'daily.details': 'Detalles del día',
+        'daily.precipitationSum': 'Lluvia',
+        'daily.precipitationProbability': 'Probabilidad de lluvia',
+        'daily.windMax': 'Viento máximo',
+        'daily.uvMax': 'UV máximo',
+        'daily.sunrise': 'Amanecer',
+        'daily.sunset': 'Atardecer',
+        'airQuality.title': 'Calidad del aire y UV',
+        'airQuality.european_aqi': 'ICA europeo',
+        'airQuality.us_aqi': 'ICA EE. UU.',
+        'airQuality.pm2_5': 'PM2,5',
+        'airQuality.pm10': 'PM10',
+        'airQuality.ozone': 'Ozono',
+        'airQuality.uv_index': 'Índice UV',
+        'airQuality.level.good': 'Buena',
+        'airQuality.level.fair': 'Razonable',
+        'airQuality.level.moderate': 'Moderada',
+        'airQuality.level.poor': 'Mala',
+        'airQuality.level.veryPoor': 'Muy mala',
+        'airQuality.level.extremelyPoor': 'Extremadamente mala',
+        'airQuality.level.sensitive': 'Dañina para grupos sensibles',
+        'airQuality.level.unhealthy': 'Dañina',
+        'airQuality.level.veryUnhealthy': 'Muy dañina',
+        'airQuality.level.hazardous': 'Peligrosa',
+        'uv.level.low': 'Bajo',
+        'uv.level.moderate': 'Moderado',
+        'uv.level.high': 'Alto',
+        'uv.level.veryHigh': 'Muy alto',
+        'uv.level.extreme': 'Extremo',
+        'export.title': '⬇️ Exportar',
+        'export.csv': 'Hoja de cálculo (CSV)',
+        'export.json': 'Datos (JSON)',
+        'export.ics': 'Calendario (.ics)',
+        'export.calendarName': 'Pronóstico del tiempo: {city}',
+        'alerts.settings': '⚠️ Alertas',
+        'alerts.type': 'Tipo de alerta',
+        'alerts.threshold': 'Límite de la alerta',
+        'alerts.add': 'Añadir',
+        'alerts.notify': 'Notificaciones del sistema',
+        'alerts.removeRule': 'Eliminar regla',
+        'alerts.one': '⚠️ Alerta',
+        'alerts.many': '⚠️ {count} alertas',
+        'alerts.notificationTitle': 'Alerta meteorológica: {city}',
+        'alerts.now': 'ahora',
+        'alerts.onDay': 'el {date}',
+        'alerts.atHour': 'el {date} a las {hour}',
+        'alerts.type.temperatureAbove': 'Temperatura superior a',
+        'alerts.type.temperatureBelow': 'Temperatura inferior a',
+        'alerts.type.precipitationAbove': 'Lluvia diaria superior a',
+        'alerts.type.windAbove': 'Viento superior a',
+        'alerts.type.thunderstorm': 'Tormentas',
+        'alerts.message.temperatureAbove': 'Temperatura de {value} {when}, superior a {threshold}',
+        'alerts.message.temperatureBelow': 'Temperatura de {value} {when}, inferior a {threshold}',
+        'alerts.message.precipitationAbove': 'Lluvia de {value} {when}, superior a {threshold}',
+        'alerts.message.windAbove': 'Viento de {value} {when}, superior a {threshold}',
+        'location.mine': 'Mi ubicación',
+        'location.selected': 'Ubicación seleccionada',
+        'cli.current': 'Ahora ({time})',
+        'cli.day': 'Día',
+        'cli.date': 'Fecha',
+        'cli.conditions': 'Tiempo',
+        'error.validation': 'Escribe el nombre de una ciudad.',
+        'error.notFound': 'Ciudad no encontrada. Inténtalo de nuevo.',
+        'error.rateLimit': 'Demasiadas consultas en poco tiempo. Espera unos instantes e inténtalo de nuevo.',
+        'error.rateLimitWait': 'Demasiadas consultas en poco tiempo. Espera {seconds} s e inténtalo de nuevo.',
+        'error.server': 'El servicio de pronóstico no está disponible en este momento. Inténtalo más tarde.',
+        'error.timeout': 'El servicio de pronóstico tardó demasiado en responder. Revisa tu conexión e inténtalo de nuevo.',
+        'error.network': 'No se pudo conectar con el servicio de pronóstico. Revisa tu conexión a internet.',
+        'error.format': 'El servicio de pronóstico devolvió datos inesperados. Inténtalo más tarde.',
+        'error.generic': 'Error al obtener los datos del tiempo. Inténtalo de nuevo.',
+        'error.geolocation.PERMISSION_DENIED': 'Permiso de ubicación denegado. Autoriza el acceso en la configuración del navegador o escribe el lugar.',
+        'error.geolocation.POSITION_UNAVAILABLE': 'No se pudo determinar tu ubicación en este momento.',
+        'error.geolocation.TIMEOUT': 'Se agotó el tiempo al obtener tu ubicación. Inténtalo de nuevo.',
+        'error.geolocation.UNSUPPORTED': 'Este navegador no ofrece acceso a la ubicación.',
+        'weather.0': 'Cielo despejado',
+        'weather.1': 'Mayormente despejado',
+        'weather.2': 'Parcialmente nublado',
+        'weather.3': 'Nublado',
+        'weather.45': 'Niebla',
+        'weather.48': 'Niebla con escarcha',
+        'weather.51': 'Llovizna ligera',
+        'weather.53': 'Llovizna moderada',
+        'weather.55': 'Llovizna intensa',
+        'weather.56': 'Llovizna helada ligera',
+        'weather.57': 'Llovizna helada intensa',
+        'weather.61': 'Lluvia ligera',
+        'weather.63': 'Lluvia moderada',
+        'weather.65': 'Lluvia fuerte',
+        'weather.66': 'Lluvia helada ligera',
+        'weather.67': 'Lluvia helada fuerte',
+        'weather.71': 'Nevada ligera',
+        'weather.73': 'Nevada moderada',
+        'weather.75': 'Nevada fuerte',
+        'weather.77': 'Granos de nieve',
+        'weather.80': 'Chubascos ligeros',
+        'weather.81': 'Chubascos moderados',
+        'weather.82': 'Chubascos violentos',
+        'weather.85': 'Chubascos de nieve ligeros',
+        'weather.86': 'Chubascos de nieve fuertes',
+        'weather.95': 'Tormenta',
+        'weather.96': 'Tormenta con granizo ligero',
+        'weather.99': 'Tormenta con granizo fuerte',
+        'weather.unknown': 'Condición desconocida'
+    }
+};
+
+// Configuração padrão das requisições: tempo limite por tentativa, novas tentativas e espera entre elas
+const REQUEST_DEFAULTS = {
+    timeout: 10000, // ms por tentativa
+    retries: 2, // novas tentativas após a primeira falha (apenas erros temporários)
+    backoff: 500, // espera base (ms), dobrada a cada tentativa: 500, 1000, 2000...
+    maxRetryDelay: 10000 // esperas maiores que isso (ex: Retry-After longo) não são aguardadas
+};
+let requestOptions = { ...REQUEST_DEFAULTS };
+
+/**
+ * Erro base da aplicação. As subclasses indicam o tipo de falha para que a interface
+ * escolha a mensagem adequada (ver `getErrorMessage`).
+ *
+ * @class ClimaError
+ * @extends Error
+ * @property {boolean} retryable - Indica se uma nova tentativa pode ter sucesso.
+ */
+class ClimaError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.retryable = false;
+        if (options.cause) this.cause = options.cause;
+    }
+}
+
+/** Entrada inválida informada pelo usuário (ex: nome da cidade vazio). */
+class ValidationError extends ClimaError {}
+
+/** A busca foi feita, mas nenhum local corresponde (ex: cidade inexistente). */
+class NotFoundError extends ClimaError {}
+
+/**
+ * A API respondeu com status HTTP de erro.
+ * @property {number} status - Código HTTP da resposta.
+ */
+class ApiError extends ClimaError {
+    constructor(message, status, options) {
+        super(message, options);
+        this.status = status;
+    }
+}
+
+/**
+ * Limite de requisições excedido (HTTP 429). Pode ser repetido após a espera indicada.
+ * @property {number|null} retryAfter - Segundos a aguardar, lidos do cabeçalho `Retry-After` (se houver).
+ */
+class RateLimitError extends ApiError {
+    constructor(message, retryAfter = null, options) {
+        super(message, 429, options);
+        this.retryAfter = retryAfter;
+        this.retryable = true;
+    }
+}
+
+/** Falha no servidor da API (HTTP 5xx). Costuma ser temporária. */
+class ServerError extends ApiError {
+    constructor(message, status, options) {
+        super(message, status, options);
+        this.retryable = true;
+    }
+}
+
+/** Falha de rede: sem conexão, DNS, CORS, conexão interrompida... */
+class NetworkError extends ClimaError {
+    constructor(message, options) {
+        super(message, options);
+        this.retryable = true;
+    }
+}
+
+/** A requisição não respondeu dentro do tempo limite e foi cancelada. */
+class TimeoutError extends NetworkError {}
+
+/** A API respondeu, mas com JSON inválido ou em formato diferente do esperado. */
+class ResponseFormatError extends ClimaError {}
+
+/**
+ * Falha na geolocalização do navegador.
+ * @property {string} code - `PERMISSION_DENIED`, `POSITION_UNAVAILABLE`, `TIMEOUT` ou `UNSUPPORTED`.
+ */
+class GeolocationError extends ClimaError {
+    constructor(message, code, options) {
+        super(message, options);
+        this.code = code;
+    }
+}
+
+/**
+ * Altera a configuração das requisições (tempo limite, novas tentativas e espera).
+ * Os valores informados são aplicados sobre o padrão; chamar sem argumentos restaura o padrão.
+ *
+ * @function configureRequests
+ * @param {Object} [options] - `{timeout, retries, backoff, maxRetryDelay}` (ver `REQUEST_DEFAULTS`).
+ * @returns {Object} Configuração em vigor.
+ *
+ * @example
+ * configureRequests({ retries: 0 }); // desativa novas tentativas (ex: nos testes)
+ */
+function configureRequests(options = {}) {
+    requestOptions = { ...REQUEST_DEFAULTS, ...options };
+    return { ...requestOptions };
+}
+
+/**
+ * Converte o cabeçalho `Retry-After` (segundos ou data HTTP) em segundos de espera.
+ *
+ * @function parseRetryAfter
+ * @param {string|null} value - Valor do cabeçalho.
+ * @param {number} [now=Date.now()] - Momento atual em ms (usado quando o valor é uma data).
+ * @returns {number|null} Segundos a aguardar, ou `null` se o valor estiver ausente ou inválido.
+ *
+ * @example
+ * parseRetryAfter('30'); // Output: 30
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds);
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+/**
+ * Calcula a espera (ms) antes da próxima tentativa: o `Retry-After` da API quando houver,
+ * senão backoff exponencial (`backoff * 2^tentativa`).
+ *
+ * @function getRetryDelay
+ * @param {ClimaError} err - Erro da tentativa que falhou.
+ * @param {number} attempt - Número da tentativa que falhou (0 = primeira).
+ * @param {Object} [options=requestOptions] - Configuração das requisições.
+ * @returns {number} Espera em milissegundos.
+ */
+function getRetryDelay(err, attempt, options = requestOptions) {
+    if (err instanceof RateLimitError && err.retryAfter !== null) return err.retryAfter * 1000;
+    return options.backoff * Math.pow(2, attempt);
+}
+
+// Uma tentativa: fetch com tempo limite (AbortController) e conversão da falha em erro tipado
+async function fetchJsonOnce(url, errorMessage, timeout) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timer = null;
+    // a corrida garante o tempo limite mesmo se o fetch ignorar o sinal de cancelamento
+    const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            if (controller) controller.abort();
+            reject(new TimeoutError('Tempo limite da requisição esgotado'));
+        }, timeout);
+    });
+
+    let res;
+    try {
+        const request = controller ? fetch(url, { signal: controller.signal }) : fetch(url);
+        res = await Promise.race([request, timeoutPromise]);
+    } catch (err) {
+        if (err instanceof TimeoutError) throw err;
+        throw new NetworkError(`${errorMessage}: ${err && err.message ? err.message : 'falha de conexão'}`, { cause: err });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!res || typeof res.ok !== 'boolean') throw new ResponseFormatError('Resposta inválida da API');
+    if (!res.ok) {
+        if (res.status === 429) {
+            const header = res.headers && typeof res.headers.get === 'function' ? res.headers.get('Retry-After') : null;
+            throw new RateLimitError(errorMessage, parseRetryAfter(header));
+        }
+        if (res.status >= 500) throw new ServerError(errorMessage, res.status);
+        throw new ApiError(errorMessage, res.status);
+    }
+
+    try {
+        return await res.json();
+    } catch (err) {
+        throw new ResponseFormatError('Resposta da API não é um JSON válido', { cause: err });
+    }
+}
+
+/**
+ * Faz uma requisição GET e retorna o JSON da resposta, com tempo limite por tentativa
+ * e novas tentativas com backoff exponencial para falhas temporárias (rede, tempo
+ * esgotado, HTTP 429 e 5xx). Todas as falhas são lançadas como subclasses de `ClimaError`.
+ *
+ * @async
+ * @function fetchJson
+ * @param {string} url - Endereço da requisição.
+ * @param {string} errorMessage - Mensagem usada nos erros HTTP (ex: 'Erro ao buscar dados do clima').
+ * @returns {Promise<Object>} JSON da resposta.
+ *
+ * @throws {RateLimitError} HTTP 429 após esgotar as tentativas (com `retryAfter`).
+ * @throws {ServerError} HTTP 5xx após esgotar as tentativas.
+ * @throws {ApiError} Outros status HTTP de erro (não são repetidos).
+ * @throws {TimeoutError} Nenhuma resposta dentro do tempo limite.
+ * @throws {NetworkError} Falha de conexão.
+ * @throws {ResponseFormatError} Corpo da resposta não é JSON válido.
+ */
+async function fetchJson(url, errorMessage) {
+    const options = requestOptions;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fetchJsonOnce(url, errorMessage, options.timeout);
+        } catch (err) {
+            if (!err.retryable || attempt >= options.retries) throw err;
+            const delay = getRetryDelay(err, attempt, options);
+            if (delay > options.maxRetryDelay) throw err;
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Ajusta um código de idioma para um dos idiomas suportados ('en-US' -> 'en', 'pt' -> 'pt-BR').
+ *
+ * @function normalizeLocale
+ * @param {string} [locale] - Código de idioma (BCP 47).
+ * @returns {string} Idioma suportado; 'pt-BR' se não houver correspondência.
+ */
+function normalizeLocale(locale) {
+    if (!locale || typeof locale !== 'string') return DEFAULT_LOCALE;
+    if (SUPPORTED_LOCALES.includes(locale)) return locale;
+    const language = locale.toLowerCase().split('-')[0];
+    return SUPPORTED_LOCALES.find((l) => l.toLowerCase().split('-')[0] === language) || DEFAULT_LOCALE;
+}
+
+/**
+ * Define o idioma usado por `t`, pelas formatações de data/número e pela geocodificação.
+ *
+ * @function setLocale
+ * @param {string} locale - Código de idioma (ex: 'en', 'es', 'pt-BR').
+ * @returns {string} Idioma efetivamente aplicado.
+ */
+function setLocale(locale) {
+    currentLocale = normalizeLocale(locale);
+    return currentLocale;
+}
+
+/**
+ * Retorna o idioma atual da interface.
+ *
+ * @function getLocale
+ * @returns {string} Ex: 'pt-BR'.
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Traduz uma chave dos catálogos para o idioma atual, preenchendo os parâmetros `{nome}`.
+ * Chaves ausentes no idioma atual usam o texto em pt-BR; ausentes em todos, a própria chave.
+ *
+ * @function t
+ * @param {string} key - Chave da mensagem (ex: 'daily.title').
+ * @param {Object} [params] - Valores dos parâmetros da mensagem.
+ * @returns {string} Texto traduzido.
+ *
+ * @example
+ * setLocale('en');
+ * t('favorites.open', { city: 'Lisboa' }); // Output: 'See the weather in Lisboa'
+ */
+function t(key, params) {
+    const catalog = MESSAGES[currentLocale] || {};
+    let text = Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : MESSAGES[DEFAULT_LOCALE][key];
+    if (text === undefined) return key;
+    if (params) {
+        text = text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+    }
+    return text;
+}
+
+/**
+ * Lê o idioma escolhido pelo usuário. Sem escolha salva (ou no Node/Jest) retorna 'pt-BR'.
+ *
+ * @function loadLocale
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {string} Idioma suportado.
+ */
+function loadLocale(storage) {
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (!store) return DEFAULT_LOCALE;
+        return normalizeLocale(store.getItem(LOCALE_STORAGE_KEY));
+    } catch (e) {
+        return DEFAULT_LOCALE;
+    }
+}
+
+/**
+ * Salva o idioma escolhido para as próximas sessões.
+ *
+ * @function saveLocale
+ * @param {string} locale - Idioma escolhido.
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {string} Idioma efetivamente salvo.
+ */
+function saveLocale(locale, storage) {
+    const normalized = normalizeLocale(locale);
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (store) store.setItem(LOCALE_STORAGE_KEY, normalized);
+    } catch (e) {
+        // armazenamento indisponível: o idioma vale apenas para esta sessão
+    }
+    return normalized;
+}
+
+// Código de idioma de duas letras usado pelas APIs de geocodificação (ex: 'pt', 'en')
+function geocodingLanguage() {
+    return currentLocale.split('-')[0];
+}
+
+/**
+ * Escolhe a mensagem exibida ao usuário de acordo com o tipo do erro, no idioma atual.
+ *
+ * @function getErrorMessage
+ * @param {Error} err - Erro capturado.
+ * @returns {string} Mensagem traduzida pronta para o elemento `#error`.
+ *
+ * @example
+ * getErrorMessage(new RateLimitError('...', 30));
+ * // Output: 'Muitas consultas em pouco tempo. Aguarde 30 s e tente novamente.'
+ */
+function getErrorMessage(err) {
+    if (err instanceof ValidationError) return t('error.validation');
+    if (err instanceof NotFoundError) return t('error.notFound');
+    if (err instanceof RateLimitError) {
+        return err.retryAfter ? t('error.rateLimitWait', { seconds: err.retryAfter }) : t('error.rateLimit');
+    }
+    if (err instanceof ServerError) return t('error.server');
+    if (err instanceof TimeoutError) return t('error.timeout');
+    if (err instanceof NetworkError) return t('error.network');
+    if (err instanceof ResponseFormatError) return t('error.format');
+    if (err instanceof GeolocationError) {
+        const key = `error.geolocation.${err.code}`;
+        return MESSAGES[DEFAULT_LOCALE][key] ? t(key) : err.message;
+    }
+    return t('error.generic');
+}
+
+/**
+ * Busca cidades que correspondem ao texto informado usando a API de geocodificação Open-Meteo.
+ * Diferente de `getCityCoordinates`, retorna vários resultados para que o usuário possa
+ * escolher o local exato (ex: as várias "Santa Maria" do Brasil).
+ * 
+ * @async
+ * @function searchCities
+ * @param {string} query - Texto a ser buscado (obrigatório, não vazio).
+ * @param {number} [limit=5] - Quantidade máxima de resultados (1 a 100, limite da API).
+ * @returns {Promise<Object[]>} Lista de cidades encontradas (vazia se nenhuma corresponder).
+ *  Cada item contém `lat`, `lon`, `name`, `admin1` (estado/região), `country` e `population`.
+ * 
+ * @throws {ValidationError} Lança erro se o texto estiver vazio ou não tiver sido fornecido.
+ * @throws {ClimaError} Demais falhas da requisição (ver `fetchJson`).
+ * 
+ * @example
+ * const cities = await searchCities('Santa Maria', 3);
+ * // [{ lat: -29.68, lon: -53.81, name: 'Santa Maria', admin1: 'Rio Grande do Sul', country: 'Brasil', population: 249219 }, ...]
+ */
+async function searchCities(query, limit = 5) {
+    if (!query || !query.trim()) {
+        throw new ValidationError('Nome da cidade é obrigatório');
+    }
+    const url = `${API_BASE_URL}?name=${encodeURIComponent(query.trim())}&count=${limit}&language=${geocodingLanguage()}&format=json`;
+    const data = await fetchJson(url, 'Erro ao buscar coordenadas da cidade');
+    // sem correspondências a API omite `results`
+    if (!data || !data.results || data.results.length === 0) return [];
+    if (!Array.isArray(data.results)) throw new ResponseFormatError('Formato inesperado na resposta da geocodificação');
+    return data.results.map(r => ({
+        lat: r.latitude,
+        lon: r.longitude,
+        name: r.name,
+        admin1: r.admin1 || '',
+        country: r.country || '',
+        population: r.population || null
+    }));
+}
 
 /**
- * Busca as coordenadas geográficas de uma cidade usando a API de geocodificação Open-Meteo.
+ * Busca as coordenadas geográficas de uma cidade pelo provedor ativo (por padrão, a API de
+ * geocodificação Open-Meteo). Retorna apenas o melhor resultado; para listar as opções use `searchCities`.
  * 
  * @async
  * @function getCityCoordinates
@@ -12,232 +1007,3724 @@ const WEATHER_API_URL = 'https://api.open-meteo.com/v1/forecast';
  * @returns {number} return.lon - Longitude da cidade.
  * @returns {string} return.name - Nome oficial da cidade retornado pela API.
  * @returns {string} return.country - País onde a cidade se localiza.
+ * @returns {string} return.admin1 - Estado/região da cidade (vazio se a API não informar).
+ * @returns {number|null} return.population - População da cidade, quando disponível.
  * 
- * @throws {Error} Lança erro se o nome da cidade estiver vazio ou não tiver sido fornecido.
- * @throws {Error} Lança erro se a resposta da API não for bem-sucedida (status !ok).
- * @throws {Error} Lança erro se nenhum resultado foi encontrado para a cidade informada.
+ * @throws {ValidationError} Lança erro se o nome da cidade estiver vazio ou não tiver sido fornecido.
+ * @throws {NotFoundError} Lança erro se nenhum resultado foi encontrado para a cidade informada.
+ * @throws {ClimaError} Demais falhas da requisição (ver `fetchJson`).
  * 
  * @example
  * try {
  *   const coords = await getCityCoordinates('São Paulo');
  *   console.log(coords);
- *   // Output: { lat: -23.5505, lon: -46.6333, name: 'São Paulo', country: 'Brasil' }
+ *   // Output: { lat: -23.5505, lon: -46.6333, name: 'São Paulo', country: 'Brasil', ... }
  * } catch (err) {
  *   console.error(err.message); // ex: 'Cidade não encontrada'
  * }
  */
 async function getCityCoordinates(cityName) {
-    if (!cityName || !cityName.trim()) {
-        throw new Error('Nome da cidade é obrigatório');
-    }
-    const url = `${API_BASE_URL}?name=${encodeURIComponent(cityName)}&count=1&language=pt&format=json`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error('Erro ao buscar coordenadas da cidade');
-    const data = await res.json();
-    if (!data.results || data.results.length === 0) throw new Error('Cidade não encontrada');
-    const r = data.results[0];
-    return { lat: r.latitude, lon: r.longitude, name: r.name, country: r.country };
+    const results = await activeProvider.geocode(cityName, 1);
+    if (results.length === 0) throw new NotFoundError('Cidade não encontrada');
+    return results[0];
+}
+
+/**
+ * Obtém o nome do local correspondente a um par de coordenadas (geocodificação reversa).
+ *
+ * @async
+ * @function reverseGeocode
+ * @param {number} lat - Latitude (requerida).
+ * @param {number} lon - Longitude (requerida).
+ * @returns {Promise<Object>} Objeto no mesmo formato de `getCityCoordinates`:
+ *  `{lat, lon, name, admin1, country, population}` (as coordenadas são as informadas).
+ *
+ * @throws {NotFoundError} Lança erro se a API não identificar nenhum local para as coordenadas.
+ * @throws {ClimaError} Demais falhas da requisição (ver `fetchJson`).
+ *
+ * @example
+ * const place = await reverseGeocode(-30.03, -51.23);
+ * // Output: { lat: -30.03, lon: -51.23, name: 'Porto Alegre', admin1: 'Rio Grande do Sul', country: 'Brasil', population: null }
+ */
+async function reverseGeocode(lat, lon) {
+    const params = new URLSearchParams({ latitude: lat, longitude: lon, localityLanguage: geocodingLanguage() });
+    const data = await fetchJson(`${REVERSE_GEOCODING_URL}?${params}`, 'Erro ao buscar o nome do local');
+    const name = data && (data.city || data.locality || data.principalSubdivision);
+    if (!name) throw new NotFoundError('Local não identificado');
+    return {
+        lat,
+        lon,
+        name,
+        admin1: data.principalSubdivision || '',
+        country: data.countryName || '',
+        population: null
+    };
+}
+
+/**
+ * Obtém as coordenadas do usuário pela API de geolocalização do navegador.
+ * As falhas são rejeitadas com um `GeolocationError` cuja propriedade `code` indica o motivo
+ * (`PERMISSION_DENIED`, `POSITION_UNAVAILABLE`, `TIMEOUT` ou `UNSUPPORTED`) e cuja
+ * mensagem já está pronta para ser exibida.
+ *
+ * @async
+ * @function getCurrentPosition
+ * @param {Geolocation} [geolocation=navigator.geolocation] - Objeto de geolocalização (injetável nos testes).
+ * @param {PositionOptions} [options] - Opções repassadas a `getCurrentPosition` (padrão: timeout de 10s, cache de 5 min).
+ * @returns {Promise<{lat: number, lon: number, accuracy: number}>} Coordenadas obtidas.
+ *
+ * @example
+ * try {
+ *   const { lat, lon } = await getCurrentPosition();
+ * } catch (err) {
+ *   console.error(err.code, err.message); // ex: 'TIMEOUT'
+ * }
+ */
+function getCurrentPosition(geolocation, options) {
+    const geo = geolocation !== undefined
+        ? geolocation
+        : (typeof navigator !== 'undefined' ? navigator.geolocation : null);
+    const settings = { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000, ...options };
+
+    return new Promise((resolve, reject) => {
+        const fail = (code) => {
+            reject(new GeolocationError(t(`error.geolocation.${code}`), code));
+        };
+        if (!geo || typeof geo.getCurrentPosition !== 'function') {
+            fail('UNSUPPORTED');
+            return;
+        }
+        geo.getCurrentPosition(
+            (position) => resolve({
+                lat: position.coords.latitude,
+                lon: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            }),
+            // códigos da especificação: 1 = permissão negada, 2 = posição indisponível, 3 = tempo esgotado
+            (geoError) => {
+                const codes = { 1: 'PERMISSION_DENIED', 2: 'POSITION_UNAVAILABLE', 3: 'TIMEOUT' };
+                fail(codes[geoError && geoError.code] || 'POSITION_UNAVAILABLE');
+            },
+            settings
+        );
+    });
+}
+
+/**
+ * Monta o rótulo de exibição de uma cidade: nome, estado/região (quando houver) e país.
+ * O estado é omitido quando repete o nome da cidade (ex: "Lisboa, Lisboa").
+ * 
+ * @function formatCityLabel
+ * @param {Object} city - Cidade no formato retornado por `searchCities`/`getCityCoordinates`.
+ * @returns {string} Rótulo legível (ex: 'Santa Maria, Rio Grande do Sul, Brasil').
+ * 
+ * @example
+ * formatCityLabel({ name: 'Springfield', admin1: 'Illinois', country: 'Estados Unidos' });
+ * // Output: 'Springfield, Illinois, Estados Unidos'
+ */
+function formatCityLabel(city) {
+    if (!city) return '';
+    const parts = [city.name];
+    if (city.admin1 && city.admin1 !== city.name) parts.push(city.admin1);
+    if (city.country) parts.push(city.country);
+    return parts.filter(Boolean).join(', ');
+}
+
+/**
+ * Cria uma versão da função que só é executada após `wait` ms sem novas chamadas.
+ * Usada no autocompletar para não consultar a API a cada tecla digitada.
+ * 
+ * @function debounce
+ * @param {Function} fn - Função a ser executada.
+ * @param {number} wait - Tempo de espera em milissegundos.
+ * @returns {Function} Função com debounce; possui o método `cancel()` para descartar a chamada pendente.
+ * 
+ * @example
+ * const onType = debounce((value) => console.log(value), 300);
+ * onType('Sa'); onType('San'); // apenas 'San' é registrado, 300ms depois
+ */
+function debounce(fn, wait) {
+    let timer = null;
+    const debounced = (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            fn(...args);
+        }, wait);
+    };
+    debounced.cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+    return debounced;
+}
+
+/**
+ * Converte as preferências de unidade nos parâmetros de consulta da API Open-Meteo.
+ * Valores ausentes ou inválidos usam o padrão (°C, km/h, mm).
+ *
+ * @function unitParams
+ * @param {Object} [units] - Unidades (`temperature`, `windspeed`, `precipitation`).
+ * @returns {Object} Objeto com `temperature_unit`, `windspeed_unit` e `precipitation_unit`.
+ */
+function unitParams(units) {
+    const u = normalizeUnits(units);
+    return {
+        temperature_unit: u.temperature,
+        windspeed_unit: u.windspeed,
+        precipitation_unit: u.precipitation
+    };
+}
+
+// Variáveis de `current=` pedidas à API de previsão e seus nomes no modelo normalizado do clima atual
+const CURRENT_FIELDS = {
+    temperature_2m: 'temperature',
+    apparent_temperature: 'apparent_temperature',
+    relative_humidity_2m: 'humidity',
+    pressure_msl: 'pressure',
+    precipitation: 'precipitation',
+    cloud_cover: 'cloudcover',
+    weather_code: 'weathercode',
+    wind_speed_10m: 'windspeed',
+    wind_direction_10m: 'winddirection',
+    wind_gusts_10m: 'windgusts',
+    visibility: 'visibility',
+    is_day: 'is_day'
+};
+
+// Converte o bloco `current` da API para o modelo do clima atual; variáveis ausentes na resposta
+// (ex: visibilidade em alguns modelos) ficam de fora do objeto
+function mapCurrentWeather(current) {
+    const weather = { time: current.time };
+    Object.entries(CURRENT_FIELDS).forEach(([field, name]) => {
+        if (current[field] !== undefined) weather[name] = current[field];
+    });
+    return weather;
 }
 
 /**
- * Busca os dados do clima atual de uma localização usando a API de previsão Open-Meteo.
+ * Busca os dados do clima atual de uma localização usando a API de previsão Open-Meteo (`current=`).
  * 
  * @async
  * @function getWeatherData
  * @param {number} lat - Latitude da localização (requerida).
  * @param {number} lon - Longitude da localização (requerida).
- * @returns {Promise<Object|null>} Objeto com os dados do clima atual ou null se indisponível.
- * @returns {number} return.temperature - Temperatura atual em graus Celsius.
+ * @param {Object} [units=DEFAULT_UNITS] - Unidades desejadas (`temperature`, `windspeed`, `precipitation`).
+ * @returns {Promise<Object>} Objeto com os dados do clima atual.
+ * @returns {number} return.temperature - Temperatura atual (°C por padrão, ou na unidade pedida).
  * @returns {number} return.weathercode - Código WMO do tipo de tempo (ex: 0 = céu limpo, 80 = chuva).
  * @returns {string} return.time - Data e hora no formato ISO (ex: '2025-11-10T14:30').
- * @returns {number} return.windspeed - Velocidade do vento em km/h.
+ * @returns {number} return.windspeed - Velocidade do vento (km/h por padrão, ou na unidade pedida).
+ * @returns {number} return.winddirection - Direção de onde o vento sopra, em graus.
+ * @returns {number} return.is_day - 1 durante o dia, 0 à noite.
+ * @returns {number} return.apparent_temperature - Sensação térmica (na unidade de temperatura pedida).
+ * @returns {number} return.humidity - Umidade relativa do ar, em %.
+ * @returns {number} return.pressure - Pressão ao nível do mar, em hPa.
+ * @returns {number} return.precipitation - Precipitação da última hora (mm por padrão, ou na unidade pedida).
+ * @returns {number} return.cloudcover - Cobertura de nuvens, em %.
+ * @returns {number} return.windgusts - Rajadas de vento (na unidade de vento pedida).
+ * @returns {number} return.visibility - Visibilidade, em metros.
  * 
- * @throws {Error} Lança erro se a resposta da API não for bem-sucedida (status !ok).
+ * @throws {ResponseFormatError} Lança erro se a resposta não contiver `current`.
+ * @throws {ClimaError} Demais falhas da requisição (ver `fetchJson`).
  * 
  * @example
  * try {
  *   const weather = await getWeatherData(-23.5505, -46.6333);
  *   console.log(weather);
- *   // Output: { temperature: 25, weathercode: 1, time: '2025-11-10T14:30', windspeed: 8 }
+ *   // Output: { time: '2025-11-10T14:30', temperature: 25, apparent_temperature: 27, humidity: 70, weathercode: 1, windspeed: 8, ... }
  * } catch (err) {
  *   console.error(err.message); // ex: 'Erro ao buscar dados do clima'
  * }
  */
-async function getWeatherData(lat, lon) {
-    const params = new URLSearchParams({ latitude: lat, longitude: lon, current_weather: 'true', timezone: 'auto' });
-    const res = await fetch(`${WEATHER_API_URL}?${params}`);
-    if (!res.ok) throw new Error('Erro ao buscar dados do clima');
-    const data = await res.json();
-    // Open-Meteo returns current_weather with {temperature, windspeed, weathercode, time}
-    return data.current_weather || null;
+async function getWeatherData(lat, lon, units = DEFAULT_UNITS) {
+    const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        current: Object.keys(CURRENT_FIELDS).join(','),
+        timezone: 'auto',
+        ...unitParams(units)
+    });
+    const data = await fetchJson(`${WEATHER_API_URL}?${params}`, 'Erro ao buscar dados do clima');
+    if (!data || !data.current) throw new ResponseFormatError('Formato inesperado na resposta do clima atual');
+    return mapCurrentWeather(data.current);
 }
 
 /**
- * Obtém a previsão diária para os próximos 5 dias (incluindo o dia atual) usando a API Open-Meteo.
+ * Obtém a previsão diária de 1 a 16 dias (a partir de hoje) usando a API Open-Meteo.
+ * As datas são resolvidas no fuso horário da própria localização (`timezone=auto` com
+ * `forecast_days`), então "hoje" é o dia atual no local consultado, e não no navegador.
  *
  * @async
- * @function get5DayForecast
+ * @function getDailyForecast
  * @param {number} lat - Latitude da localização (requerida).
  * @param {number} lon - Longitude da localização (requerida).
- * @returns {Promise<Object|null>} Objeto `daily` retornado pela API contendo arrays com as datas e valores:
- *  - `time` (string[]) - datas no formato 'YYYY-MM-DD'
- *  - `temperature_2m_max` (number[]) - temperatura máxima diária em °C
- *  - `temperature_2m_min` (number[]) - temperatura mínima diária em °C
+ * @param {Object} [options] - Opções da consulta.
+ * @param {number} [options.days=7] - Quantidade de dias, incluindo hoje (1 a 16).
+ * @param {string[]} [options.variables=DAILY_VARIABLES] - Variáveis diárias da API a pedir.
+ * @param {Object} [options.units=DEFAULT_UNITS] - Unidades desejadas (`temperature`, `windspeed`, `precipitation`).
+ * @returns {Promise<Object>} Objeto `daily` retornado pela API contendo arrays com as datas e valores:
+ *  - `time` (string[]) - datas no formato 'YYYY-MM-DD', no horário local
+ *  - `temperature_2m_max` / `temperature_2m_min` (number[]) - máxima e mínima (°C por padrão)
  *  - `weathercode` (number[]) - códigos WMO para o tipo de tempo de cada dia
- *  Retorna `null` se a propriedade `daily` não estiver presente na resposta.
+ *  - `precipitation_sum` (number[]) - chuva prevista no dia (mm por padrão)
+ *  - `precipitation_probability_max` (number[]) - maior chance de chuva do dia, em %
+ *  - `windspeed_10m_max` (number[]) - vento máximo (km/h por padrão)
+ *  - `uv_index_max` (number[]) - índice UV máximo
+ *  - `sunrise` / `sunset` (string[]) - nascer e pôr do sol, no horário local ('YYYY-MM-DDTHH:MM')
  *
- * @throws {Error} Lança erro se a resposta da API não for bem-sucedida (status !ok).
+ * @throws {ValidationError} Lança erro se `days` não for um inteiro entre 1 e 16 ou `variables` estiver vazio.
+ * @throws {ResponseFormatError} Lança erro se a resposta não contiver `daily`.
+ * @throws {ClimaError} Demais falhas da requisição (ver `fetchJson`).
  *
  * @example
- * try {
- *   const forecast = await get5DayForecast(-23.5505, -46.6333);
- *   // forecast.time => ['2025-11-10','2025-11-11', ...]
- *   // forecast.temperature_2m_max => [26, 27, ...]
- * } catch (err) {
- *   console.error(err.message);
- * }
+ * const daily = await getDailyForecast(-23.5505, -46.6333, { days: 3, variables: ['temperature_2m_max', 'uv_index_max'] });
+ * // daily.time => ['2025-11-10', '2025-11-11', '2025-11-12']
+ * // daily.uv_index_max => [9.1, 7.4, 10.2]
  */
-async function get5DayForecast(lat, lon) {
-    // calcula as datas de início e fim (5 dias incluindo hoje)
-    const today = new Date();
-    const startDate = today.toISOString().slice(0, 10);
-    const end = new Date(today);
-    end.setDate(end.getDate() + 4); // +4 para totalizar 5 dias (hoje + 4 dias seguintes)
-    const endDate = end.toISOString().slice(0, 10);
+async function getDailyForecast(lat, lon, { days = DEFAULT_FORECAST_DAYS, variables = DAILY_VARIABLES, units = DEFAULT_UNITS } = {}) {
+    if (!Number.isInteger(days) || days < 1 || days > MAX_FORECAST_DAYS) {
+        throw new ValidationError(`A previsão diária aceita de 1 a ${MAX_FORECAST_DAYS} dias`);
+    }
+    if (!Array.isArray(variables) || variables.length === 0) {
+        throw new ValidationError('Informe ao menos uma variável diária');
+    }
 
     const params = new URLSearchParams({
         latitude: lat,
         longitude: lon,
-        daily: 'temperature_2m_max,temperature_2m_min,weathercode',
+        daily: variables.join(','),
         timezone: 'auto',
-        start_date: startDate,
-        end_date: endDate
+        forecast_days: days,
+        ...unitParams(units)
     });
 
-    const res = await fetch(`${WEATHER_API_URL}?${params}`);
-    if (!res.ok) throw new Error('Erro ao buscar previsão de 5 dias');
-    const data = await res.json();
-    return data.daily || null;
+    const data = await fetchJson(`${WEATHER_API_URL}?${params}`, 'Erro ao buscar previsão diária');
+    if (!data || !data.daily) throw new ResponseFormatError('Formato inesperado na resposta da previsão diária');
+    return data.daily;
 }
 
 /**
- * Converte um código WMO de tipo de tempo em uma descrição textual em português.
- * 
- * @function getWeatherDescription
- * @param {number} code - Código WMO do tipo de tempo (ex: 0 = céu limpo, 80 = chuva leve).
- * @returns {string} Descrição em português do tipo de tempo. Retorna 'Condição desconhecida' se o código não for mapeado.
- * 
+ * Obtém a previsão diária para os próximos 5 dias (incluindo o dia atual), com máxima, mínima,
+ * código do tempo e nascer/pôr do sol. Atalho para `getDailyForecast`.
+ *
+ * @async
+ * @function get5DayForecast
+ * @param {number} lat - Latitude da localização (requerida).
+ * @param {number} lon - Longitude da localização (requerida).
+ * @param {Object} [units=DEFAULT_UNITS] - Unidades desejadas (`temperature`, `windspeed`, `precipitation`).
+ * @returns {Promise<Object>} Objeto `daily` retornado pela API (ver `getDailyForecast`).
+ *
+ * @throws {ResponseFormatError} Lança erro se a resposta não contiver `daily`.
+ * @throws {ClimaError} Demais falhas da requisição (ver `fetchJson`).
+ *
  * @example
- * const desc = getWeatherDescription(80);
- * console.log(desc); // Output: 'Pancadas de chuva leves'
- * 
- * const unknown = getWeatherDescription(999);
- * console.log(unknown); // Output: 'Condição desconhecida'
+ * const forecast = await get5DayForecast(-23.5505, -46.6333);
+ * // forecast.time => ['2025-11-10','2025-11-11', ...]
  */
-function getWeatherDescription(code) {
-    const map = {
-        0: 'Céu limpo',
-        1: 'Predominantemente limpo',
-        2: 'Parcialmente nublado',
-        3: 'Nublado',
-        45: 'Neblina',
-        48: 'Neblina com geada',
-        51: 'Garoa leve',
-        53: 'Garoa moderada',
-        55: 'Garoa intensa',
-        61: 'Chuva leve',
-        63: 'Chuva moderada',
-        65: 'Chuva forte',
-        71: 'Neve leve',
-        73: 'Neve moderada',
-        75: 'Neve forte',
-        77: 'Granizo',
-        80: 'Pancadas de chuva leves',
-        81: 'Pancadas de chuva moderadas',
-        82: 'Pancadas de chuva fortes',
-        85: 'Pancadas de neve leves',
-        86: 'Pancadas de neve fortes',
-        95: 'Tempestade',
-        96: 'Tempestade com granizo leve',
-        99: 'Tempestade com granizo forte'
-    };
-    return map[code] || 'Condição desconhecida';
+async function get5DayForecast(lat, lon, units = DEFAULT_UNITS) {
+    return getDailyForecast(lat, lon, {
+        days: 5,
+        variables: ['temperature_2m_max', 'temperature_2m_min', 'weathercode', 'windspeed_10m_max', 'sunrise', 'sunset'],
+        units
+    });
 }
 
 /**
- * Converte um código WMO de tipo de tempo em uma classe de ícone da biblioteca Weather Icons.
- * 
- * @function getWeatherIcon
- * @param {number} code - Código WMO do tipo de tempo (ex: 0 = céu limpo, 80 = chuva leve).
- * @returns {string} Classe CSS do ícone Weather Icons correspondente (ex: 'wi-rain', 'wi-snow').
- *                   Retorna 'wi-na' (não disponível) se o código não for mapeado.
- * 
+ * Obtém a previsão hora a hora a partir da hora atual usando a API Open-Meteo.
+ *
+ * @async
+ * @function getHourlyForecast
+ * @param {number} lat - Latitude da localização (requerida).
+ * @param {number} lon - Longitude da localização (requerida).
+ * @param {number} [hours=48] - Quantidade de horas a partir da hora atual.
+ * @param {Object} [units=DEFAULT_UNITS] - Unidades desejadas (`temperature`, `windspeed`, `precipitation`).
+ * @returns {Promise<Object>} Objeto `hourly` retornado pela API contendo arrays com:
+ *  - `time` (string[]) - data/hora local no formato 'YYYY-MM-DDTHH:MM'
+ *  - `temperature_2m` (number[]) - temperatura (°C por padrão)
+ *  - `precipitation_probability` (number[]) - probabilidade de precipitação em %
+ *  - `precipitation` (number[]) - precipitação prevista na hora (mm por padrão)
+ *  - `weathercode` (number[]) - códigos WMO para o tipo de tempo de cada hora
+ *  - `is_day` (number[]) - 1 durante o dia, 0 à noite (para escolher o ícone)
+ *
+ * @throws {ResponseFormatError} Lança erro se a resposta não contiver `hourly`.
+ * @throws {ClimaError} Demais falhas da requisição (ver `fetchJson`).
+ *
  * @example
- * const iconClass = getWeatherIcon(80);
- * console.log(iconClass); // Output: 'wi-rain'
- * 
- * // Uso prático no HTML:
- * // <i class="wi weather-icon wi-rain"></i>
+ * const hourly = await getHourlyForecast(-23.5505, -46.6333, 24);
+ * // hourly.time => ['2025-11-10T14:00', '2025-11-10T15:00', ...]
+ * // hourly.precipitation_probability => [10, 35, 80, ...]
  */
-function getWeatherIcon(code) {
-    // Map weather codes to weather-icons classes
-    // Reference: Open-Meteo weather codes
-    if (code === 0) return 'wi-day-sunny';
-    if (code === 1) return 'wi-day-sunny';
-    if (code === 2) return 'wi-day-cloudy';
-    if (code === 3) return 'wi-cloud';
-    if (code === 45 || code === 48) return 'wi-fog';
-    if ([51,53,55,61,63,65,80,81,82].includes(code)) return 'wi-rain';
-    if ([71,73,75,85,86].includes(code)) return 'wi-snow';
-    if (code === 77) return 'wi-hail';
-    if ([95,96,99].includes(code)) return 'wi-thunderstorm';
-    return 'wi-na';
+async function getHourlyForecast(lat, lon, hours = 48, units = DEFAULT_UNITS) {
+    const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        hourly: 'temperature_2m,precipitation_probability,precipitation,weathercode,is_day',
+        forecast_hours: hours,
+        timezone: 'auto',
+        ...unitParams(units)
+    });
+
+    const data = await fetchJson(`${WEATHER_API_URL}?${params}`, 'Erro ao buscar previsão por hora');
+    if (!data || !data.hourly) throw new ResponseFormatError('Formato inesperado na resposta da previsão por hora');
+    return data.hourly;
 }
 
+// Indicadores de qualidade do ar pedidos à API, na ordem de exibição
+const AIR_QUALITY_INDICATORS = ['european_aqi', 'us_aqi', 'pm2_5', 'pm10', 'ozone'];
+
+// Faixas do índice europeu (EEA); `max` é o limite superior de cada faixa
+const europeanScale = (limits) => ['good', 'fair', 'moderate', 'poor', 'veryPoor', 'extremelyPoor']
+    .map((level, i) => ({ max: i < limits.length ? limits[i] : Infinity, level, severity: i }));
+
+// Escalas por indicador. `severity` (0 a 6) define a cor do nível, comum a todas as escalas
+const AIR_QUALITY_SCALES = {
+    european_aqi: europeanScale([20, 40, 60, 80, 100]),
+    pm2_5: europeanScale([10, 20, 25, 50, 75]),
+    pm10: europeanScale([20, 40, 50, 100, 150]),
+    ozone: europeanScale([50, 100, 130, 240, 380]),
+    // faixas da EPA (Estados Unidos)
+    us_aqi: [
+        { max: 50, level: 'good', severity: 0 },
+        { max: 100, level: 'moderate', severity: 2 },
+        { max: 150, level: 'sensitive', severity: 3 },
+        { max: 200, level: 'unhealthy', severity: 4 },
+        { max: 300, level: 'veryUnhealthy', severity: 5 },
+        { max: Infinity, level: 'hazardous', severity: 6 }
+    ]
+};
+
+// Faixas do índice UV da OMS (o índice é arredondado antes da classificação)
+const UV_INDEX_SCALE = [
+    { max: 2, level: 'low', severity: 0 },
+    { max: 5, level: 'moderate', severity: 2 },
+    { max: 7, level: 'high', severity: 3 },
+    { max: 10, level: 'veryHigh', severity: 4 },
+    { max: Infinity, level: 'extreme', severity: 5 }
+];
+
 /**
- * Formata uma string de data/hora ISO em formato legível em português brasileiro (DD/MM/YYYY HH:MM).
- * 
- * @function formatDateTimeLocal
- * @param {string} isoString - String de data/hora no formato ISO (ex: '2025-11-10T14:30' ou '2025-11-10T14:30:45').
- *                             Se vazio ou inválido, retorna a data/hora atual formatada.
- * @returns {string} Data e hora formatadas no padrão brasileiro (ex: '10/11/2025 14:30').
- * 
+ * Obtém a qualidade do ar atual (API de qualidade do ar da Open-Meteo) e o índice UV atual
+ * (API de previsão), consultadas em paralelo. Uma falha só no índice UV não descarta a qualidade do ar.
+ *
+ * @async
+ * @function getAirQuality
+ * @param {number} lat - Latitude da localização (requerida).
+ * @param {number} lon - Longitude da localização (requerida).
+ * @returns {Promise<Object>} Valores atuais (`null` quando a API não informar):
+ *  - `time` (string) - data e hora da medição, no horário local ('YYYY-MM-DDTHH:MM')
+ *  - `pm2_5` / `pm10` (number) - material particulado, em µg/m³
+ *  - `ozone` (number) - ozônio, em µg/m³
+ *  - `european_aqi` (number) - índice europeu de qualidade do ar (0 a 100+)
+ *  - `us_aqi` (number) - índice americano de qualidade do ar (0 a 500)
+ *  - `uv_index` (number) - índice UV
+ *
+ * @throws {ResponseFormatError} Lança erro se a resposta de qualidade do ar não contiver `current`.
+ * @throws {ClimaError} Demais falhas da requisição de qualidade do ar (ver `fetchJson`).
+ *
+ * @example
+ * const air = await getAirQuality(-23.5505, -46.6333);
+ * // Output: { time: '2025-11-10T14:00', pm2_5: 12.3, pm10: 20.1, ozone: 61, european_aqi: 34, us_aqi: 52, uv_index: 7.2 }
+ */
+async function getAirQuality(lat, lon) {
+    const airParams = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        current: AIR_QUALITY_INDICATORS.join(','),
+        timezone: 'auto'
+    });
+    const uvParams = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        current: 'uv_index',
+        timezone: 'auto'
+    });
+
+    const [airSettled, uvSettled] = await Promise.allSettled([
+        fetchJson(`${AIR_QUALITY_API_URL}?${airParams}`, 'Erro ao buscar qualidade do ar'),
+        fetchJson(`${WEATHER_API_URL}?${uvParams}`, 'Erro ao buscar índice UV')
+    ]);
+    if (airSettled.status === 'rejected') throw airSettled.reason;
+    const air = airSettled.value;
+    // sem o índice UV, a qualidade do ar continua válida: o UV fica `null`
+    let uv = null;
+    if (uvSettled.status === 'fulfilled') {
+        uv = uvSettled.value;
+    } else {
+        // eslint-disable-next-line no-console
+        console.warn('Erro ao obter índice UV', uvSettled.reason);
+    }
+    if (!air || !air.current) throw new ResponseFormatError('Formato inesperado na resposta da qualidade do ar');
+
+    const result = { time: air.current.time || null };
+    AIR_QUALITY_INDICATORS.forEach((key) => {
+        result[key] = Number.isFinite(air.current[key]) ? air.current[key] : null;
+    });
+    result.uv_index = uv && uv.current && Number.isFinite(uv.current.uv_index) ? uv.current.uv_index : null;
+    return result;
+}
+
+// Primeira faixa cujo limite superior (inclusivo) comporta o valor
+function classifyOnScale(scale, value) {
+    if (!Number.isFinite(value) || value < 0) return null;
+    const band = scale.find((b) => value <= b.max);
+    return { level: band.level, severity: band.severity };
+}
+
+/**
+ * Classifica um indicador de qualidade do ar na faixa correspondente: índice europeu e
+ * poluentes (PM2,5, PM10 e ozônio) pelas faixas da Agência Europeia do Ambiente, e o índice
+ * americano pelas faixas da EPA.
+ *
+ * @function classifyAirQuality
+ * @param {string} indicator - `european_aqi`, `us_aqi`, `pm2_5`, `pm10` ou `ozone`.
+ * @param {number} value - Valor medido (µg/m³ para os poluentes).
+ * @returns {{level: string, severity: number}|null} Nível (ex: 'good', 'moderate', 'poor'; rótulo em
+ *  `t('airQuality.level.<nível>')`) e gravidade de 0 a 6; `null` para valor ou indicador inválido.
+ *
+ * @example
+ * classifyAirQuality('european_aqi', 45); // Output: { level: 'moderate', severity: 2 }
+ * classifyAirQuality('us_aqi', 120); // Output: { level: 'sensitive', severity: 3 }
+ */
+function classifyAirQuality(indicator, value) {
+    const scale = AIR_QUALITY_SCALES[indicator];
+    return scale ? classifyOnScale(scale, value) : null;
+}
+
+/**
+ * Classifica o índice UV nas faixas da OMS: baixo (0–2), moderado (3–5), alto (6–7),
+ * muito alto (8–10) e extremo (11+).
+ *
+ * @function classifyUvIndex
+ * @param {number} value - Índice UV.
+ * @returns {{level: string, severity: number}|null} Nível (rótulo em `t('uv.level.<nível>')`) e
+ *  gravidade na mesma escala de cores da qualidade do ar; `null` para valor inválido.
+ *
+ * @example
+ * classifyUvIndex(7.4); // Output: { level: 'high', severity: 3 }
+ */
+function classifyUvIndex(value) {
+    return classifyOnScale(UV_INDEX_SCALE, Number.isFinite(value) ? Math.round(value) : value);
+}
+
+// Média dos valores numéricos de uma lista (uma casa decimal), ou null se não houver nenhum
+function averageOf(values) {
+    const valid = values.filter(Number.isFinite);
+    if (!valid.length) return null;
+    return Math.round((valid.reduce((sum, v) => sum + v, 0) / valid.length) * 10) / 10;
+}
+
+/**
+ * Obtém os valores da mesma data do calendário nos anos anteriores (API de arquivo histórico
+ * da Open-Meteo) e a média desses anos, para comparar o dia de hoje com o histórico.
+ * Em anos não bissextos, 29/02 é comparado com 28/02.
+ *
+ * @async
+ * @function getHistoricalComparison
+ * @param {number} lat - Latitude da localização (requerida, ex: obtida com `getCityCoordinates`).
+ * @param {number} lon - Longitude da localização (requerida).
+ * @param {string} date - Data de referência 'YYYY-MM-DD' (normalmente o dia de hoje no local).
+ * @param {number} [years=10] - Quantos anos anteriores considerar.
+ * @param {Object} [units=DEFAULT_UNITS] - Unidades desejadas (`temperature`, `precipitation`).
+ * @returns {Promise<Object>} Objeto com:
+ *  - `date` (string) - a data de referência
+ *  - `years` (Object[]) - um item por ano com dados, do mais antigo ao mais recente:
+ *    `{year, date, max, min, precipitation}`
+ *  - `average` (Object) - médias `{max, min, precipitation}` dos anos com dados (`null` se não houver)
+ *
+ * @throws {ValidationError} Lança erro se `date` não estiver no formato 'YYYY-MM-DD'.
+ * @throws {ResponseFormatError} Lança erro se a resposta não contiver `daily`.
+ * @throws {ClimaError} Demais falhas da requisição (ver `fetchJson`).
+ *
+ * @example
+ * const history = await getHistoricalComparison(-30.03, -51.23, '2025-11-10');
+ * // history.years[0] => { year: 2015, date: '2015-11-10', max: 27.1, min: 16.4, precipitation: 0 }
+ * // history.average => { max: 26.2, min: 16.9, precipitation: 3.1 }
+ */
+async function getHistoricalComparison(lat, lon, date, years = 10, units = DEFAULT_UNITS) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    if (!match) throw new ValidationError('Data de referência inválida');
+    const year = Number(match[1]);
+    const monthDay = `${match[2]}-${match[3]}`;
+
+    // um único intervalo cobrindo todos os anos; os dias de interesse são filtrados depois
+    const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        start_date: `${year - years}-${monthDay === '02-29' ? '02-28' : monthDay}`,
+        end_date: `${year - 1}-${monthDay === '02-29' ? '03-01' : monthDay}`,
+        daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum',
+        timezone: 'auto',
+        ...unitParams(units)
+    });
+
+    const data = await fetchJson(`${ARCHIVE_API_URL}?${params}`, 'Erro ao buscar dados históricos');
+    if (!data || !data.daily || !Array.isArray(data.daily.time)) {
+        throw new ResponseFormatError('Formato inesperado na resposta dos dados históricos');
+    }
+
+    const daily = data.daily;
+    const valueAt = (field, i) => (Array.isArray(daily[field]) && Number.isFinite(daily[field][i]) ? daily[field][i] : null);
+    const found = [];
+    for (let y = year - years; y < year; y++) {
+        const isLeap = (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+        const day = `${y}-${monthDay === '02-29' && !isLeap ? '02-28' : monthDay}`;
+        const i = daily.time.indexOf(day);
+        if (i < 0) continue;
+        found.push({
+            year: y,
+            date: day,
+            max: valueAt('temperature_2m_max', i),
+            min: valueAt('temperature_2m_min', i),
+            precipitation: valueAt('precipitation_sum', i)
+        });
+    }
+
+    return {
+        date,
+        years: found,
+        average: {
+            max: averageOf(found.map((item) => item.max)),
+            min: averageOf(found.map((item) => item.min)),
+            precipitation: averageOf(found.map((item) => item.precipitation))
+        }
+    };
+}
+
+/**
+ * Busca o clima atual e o resumo de hoje (mín/máx e código do dia) de várias localizações
+ * em uma única requisição, usando listas de latitudes/longitudes separadas por vírgula.
+ *
+ * @async
+ * @function getWeatherBatch
+ * @param {Array<{lat: number, lon: number}>} locations - Localizações a consultar.
+ * @param {Object} [units=DEFAULT_UNITS] - Unidades desejadas (`temperature`, `windspeed`, `precipitation`).
+ * @returns {Promise<Object[]>} Um item por localização, na mesma ordem:
+ *  `{ weather, today }`, onde `weather` é o clima atual no mesmo formato de `getWeatherData` (ou `null`) e `today` é
+ *  `{date, max, min, weathercode}` (ou `null` se a API não retornar o resumo diário).
+ *
+ * @throws {ClimaError} Falhas da requisição (ver `fetchJson`).
+ *
+ * @example
+ * const [poa, rio] = await getWeatherBatch([{ lat: -30.03, lon: -51.23 }, { lat: -22.91, lon: -43.17 }]);
+ * // poa.weather.temperature => 24, poa.today.max => 29
+ */
+async function getWeatherBatch(locations, units = DEFAULT_UNITS) {
+    if (!Array.isArray(locations) || locations.length === 0) return [];
+    const params = new URLSearchParams({
+        latitude: locations.map((l) => l.lat).join(','),
+        longitude: locations.map((l) => l.lon).join(','),
+        current: Object.keys(CURRENT_FIELDS).join(','),
+        daily: 'temperature_2m_max,temperature_2m_min,weathercode',
+        forecast_days: 1,
+        timezone: 'auto',
+        ...unitParams(units)
+    });
+
+    const data = await fetchJson(`${WEATHER_API_URL}?${params}`, 'Erro ao buscar dados do clima');
+    if (!data || typeof data !== 'object') throw new ResponseFormatError('Formato inesperado na resposta do clima em lote');
+    // com uma única localização a API retorna um objeto; com várias, um array na mesma ordem
+    const items = Array.isArray(data) ? data : [data];
+    return locations.map((loc, i) => {
+        const item = items[i] || {};
+        const daily = item.daily || {};
+        const hasToday = Array.isArray(daily.time) && daily.time.length > 0;
+        return {
+            weather: item.current ? mapCurrentWeather(item.current) : null,
+            today: hasToday ? {
+                date: daily.time[0],
+                max: daily.temperature_2m_max ? daily.temperature_2m_max[0] : null,
+                min: daily.temperature_2m_min ? daily.temperature_2m_min[0] : null,
+                weathercode: daily.weathercode ? daily.weathercode[0] : null
+            } : null
+        };
+    });
+}
+
+// Nomes das séries da Open-Meteo no modelo normalizado; os demais campos já têm o nome do modelo
+const OPEN_METEO_FIELDS = {
+    temperature_2m: 'temperature',
+    temperature_2m_max: 'temperature_max',
+    temperature_2m_min: 'temperature_min',
+    windspeed_10m: 'windspeed',
+    windspeed_10m_max: 'windspeed_max'
+};
+
+/**
+ * Converte um bloco `daily` ou `hourly` da Open-Meteo para o modelo normalizado, renomeando as
+ * séries com altura de medição no nome (ex: `temperature_2m_max` => `temperature_max`).
+ *
+ * @function normalizeOpenMeteoSeries
+ * @param {Object|null} block - Objeto `daily` ou `hourly` retornado pela API.
+ * @returns {Object|null} Cópia do objeto com os nomes do modelo normalizado.
+ *
+ * @example
+ * normalizeOpenMeteoSeries({ time: ['2025-11-10'], temperature_2m_max: [29], uv_index_max: [9.1] });
+ * // Output: { time: ['2025-11-10'], temperature_max: [29], uv_index_max: [9.1] }
+ */
+function normalizeOpenMeteoSeries(block) {
+    if (!block) return block;
+    const result = {};
+    Object.keys(block).forEach((field) => {
+        result[OPEN_METEO_FIELDS[field] || field] = block[field];
+    });
+    return result;
+}
+
+/**
+ * Cria o provedor de dados do tempo da Open-Meteo (o padrão do app).
+ *
+ * Um provedor é um objeto `{id, geocode, current, daily, hourly}` (e, opcionalmente, `batch`,
+ * `airQuality` e `history`) cujas funções assíncronas devolvem o modelo normalizado consumido pela interface:
+ * - `geocode(query, limit)` - lista de locais `{lat, lon, name, admin1, country, population}`
+ * - `current(lat, lon, units)` - clima atual `{time, temperature, weathercode, windspeed, winddirection, is_day}` e, quando
+ *   disponíveis, `apparent_temperature`, `humidity`, `pressure`, `precipitation`, `cloudcover`, `windgusts` e `visibility`
+ * - `daily(lat, lon, {days, units})` - séries por dia: `time`, `weathercode`, `temperature_max`,
+ *   `temperature_min`, `precipitation_sum`, `precipitation_probability_max`, `windspeed_max`,
+ *   `uv_index_max`, `sunrise` e `sunset`
+ * - `hourly(lat, lon, {hours, units})` - séries por hora: `time`, `temperature`, `precipitation`,
+ *   `precipitation_probability`, `weathercode` e `is_day`
+ * - `batch(locations, units)` - opcional, no formato de `getWeatherBatch`
+ * - `airQuality(lat, lon)` - opcional, no formato de `getAirQuality`
+ * - `history(lat, lon, date, years, units)` - opcional, no formato de `getHistoricalComparison`
+ *
+ * Sem `airQuality` ou `history`, os painéis correspondentes não são exibidos (nada é buscado na rede).
+ *
+ * O tipo de tempo usa sempre os códigos WMO (0 = céu limpo, 61 = chuva leve...); provedores com
+ * outra classificação devem convertê-la.
+ *
+ * @function createOpenMeteoProvider
+ * @returns {Object} Provedor com `id: 'open-meteo'`.
+ */
+function createOpenMeteoProvider() {
+    return {
+        id: 'open-meteo',
+        geocode: (query, limit) => searchCities(query, limit),
+        current: (lat, lon, units) => getWeatherData(lat, lon, units),
+        daily: async (lat, lon, { days, units } = {}) => normalizeOpenMeteoSeries(await getDailyForecast(lat, lon, { days, units })),
+        hourly: async (lat, lon, { hours, units } = {}) => normalizeOpenMeteoSeries(await getHourlyForecast(lat, lon, hours, units)),
+        batch: (locations, units) => getWeatherBatch(locations, units),
+        airQuality: (lat, lon) => getAirQuality(lat, lon),
+        history: (lat, lon, date, years, units) => getHistoricalComparison(lat, lon, date, years, units)
+    };
+}
+
+// Remove acentos e caixa para comparar nomes de cidades ('São Paulo' => 'sao paulo')
+function foldText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Cria um provedor que lê dados prontos de um servidor local de arquivos JSON, para usar a
+ * interface sem acesso à internet (ex: `python3 -m http.server` na raiz do projeto).
+ * Os arquivos já estão no modelo normalizado (ver `createOpenMeteoProvider`), nas unidades padrão
+ * (°C, km/h, mm), e são convertidos para as unidades pedidas:
+ * - `geocode.json` - `{results: [...]}`, filtrados pelo nome buscado (sem diferenciar acentos e caixa)
+ * - `current.json` - clima atual
+ * - `daily.json` / `hourly.json` - séries, cortadas na quantidade pedida
+ * - `airQuality.json` - qualidade do ar e índice UV atuais
+ * - `history.json` - `{years: [{yearsAgo, max, min, precipitation}]}`, valores da data de referência
+ *   em anos anteriores (1 = ano passado), colocados nas datas da busca
+ * As coordenadas vão na query string para que um servidor de fixtures possa variar a resposta.
+ *
+ * @function createFixtureProvider
+ * @param {string} [baseUrl='./fixtures/weather'] - Endereço da pasta com os arquivos.
+ * @returns {Object} Provedor com `id: 'fixtures'`.
+ *
+ * @example
+ * setWeatherProvider(createFixtureProvider('http://localhost:8000/fixtures/weather'));
+ */
+function createFixtureProvider(baseUrl = FIXTURE_PROVIDER_URL) {
+    const load = async (name, params, errorMessage) => {
+        const data = await fetchJson(`${baseUrl}/${name}.json?${new URLSearchParams(params)}`, errorMessage);
+        if (!data || typeof data !== 'object') throw new ResponseFormatError(`Formato inesperado no arquivo ${name}.json`);
+        return data;
+    };
+    const series = async (name, lat, lon, count, units, errorMessage) => {
+        const data = await load(name, { latitude: lat, longitude: lon }, errorMessage);
+        if (!Array.isArray(data.time)) throw new ResponseFormatError(`Formato inesperado no arquivo ${name}.json`);
+        return convertDailyUnits(count ? sliceDaily(data, count) : data, DEFAULT_UNITS, units);
+    };
+
+    return {
+        id: 'fixtures',
+        async geocode(query, limit = 5) {
+            if (!query || !query.trim()) throw new ValidationError('Nome da cidade é obrigatório');
+            const data = await load('geocode', { name: query.trim() }, 'Erro ao buscar coordenadas da cidade');
+            const results = Array.isArray(data.results) ? data.results : [];
+            return results.filter((city) => foldText(city.name).includes(foldText(query))).slice(0, limit);
+        },
+        async current(lat, lon, units) {
+            const data = await load('current', { latitude: lat, longitude: lon }, 'Erro ao buscar dados do clima');
+            return convertWeatherUnits(data, DEFAULT_UNITS, units);
+        },
+        daily: (lat, lon, { days, units } = {}) => series('daily', lat, lon, days, units, 'Erro ao buscar previsão diária'),
+        hourly: (lat, lon, { hours, units } = {}) => series('hourly', lat, lon, hours, units, 'Erro ao buscar previsão por hora'),
+        async airQuality(lat, lon) {
+            const data = await load('airQuality', { latitude: lat, longitude: lon }, 'Erro ao buscar qualidade do ar');
+            const result = { time: data.time || null };
+            [...AIR_QUALITY_INDICATORS, 'uv_index'].forEach((key) => {
+                result[key] = Number.isFinite(data[key]) ? data[key] : null;
+            });
+            return result;
+        },
+        async history(lat, lon, date, years = 10, units) {
+            const match = /^(\d{4})-(\d{2}-\d{2})$/.exec(date || '');
+            if (!match) throw new ValidationError('Data de referência inválida');
+            const data = await load('history', { latitude: lat, longitude: lon, date }, 'Erro ao buscar dados históricos');
+            if (!Array.isArray(data.years)) throw new ResponseFormatError('Formato inesperado no arquivo history.json');
+            const u = normalizeUnits(units);
+            const temperature = (value) => (Number.isFinite(value) ? convertUnit('temperature', value, DEFAULT_UNITS.temperature, u.temperature) : null);
+            const found = data.years
+                .filter((item) => item.yearsAgo >= 1 && item.yearsAgo <= years)
+                .map((item) => {
+                    const year = Number(match[1]) - item.yearsAgo;
+                    const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+                    return {
+                        year,
+                        // como em `getHistoricalComparison`, 29/02 vira 28/02 em anos não bissextos
+                        date: `${year}-${match[2] === '02-29' && !isLeap ? '02-28' : match[2]}`,
+                        max: temperature(item.max),
+                        min: temperature(item.min),
+                        precipitation: Number.isFinite(item.precipitation)
+                            ? convertUnit('precipitation', item.precipitation, DEFAULT_UNITS.precipitation, u.precipitation) : null
+                    };
+                })
+                .sort((a, b) => a.year - b.year);
+            return {
+                date,
+                years: found,
+                average: {
+                    max: averageOf(found.map((item) => item.max)),
+                    min: averageOf(found.map((item) => item.min)),
+                    precipitation: averageOf(found.map((item) => item.precipitation))
+                }
+            };
+        }
+    };
+}
+
+// Provedores disponíveis por id; `?provider=fixtures` na URL troca o provedor da página
+const WEATHER_PROVIDERS = {
+    'open-meteo': createOpenMeteoProvider,
+    fixtures: createFixtureProvider
+};
+let activeProvider = createOpenMeteoProvider();
+
+/**
+ * Define o provedor de dados do tempo usado pelas buscas (geocodificação, clima atual e previsões).
+ *
+ * @function setWeatherProvider
+ * @param {string|Object} provider - Id de um provedor conhecido (`open-meteo` ou `fixtures`) ou um
+ *  objeto provedor (ver `createOpenMeteoProvider`).
+ * @returns {Object} O provedor ativo.
+ * @throws {ValidationError} Lança erro se o id for desconhecido ou o objeto não tiver as funções exigidas.
+ *
+ * @example
+ * setWeatherProvider('fixtures');
+ * getWeatherProvider().id; // Output: 'fixtures'
+ */
+function setWeatherProvider(provider) {
+    if (typeof provider === 'string') {
+        if (!WEATHER_PROVIDERS[provider]) throw new ValidationError(`Provedor desconhecido: ${provider}`);
+        activeProvider = WEATHER_PROVIDERS[provider]();
+        return activeProvider;
+    }
+    const valid = provider && typeof provider.id === 'string'
+        && ['geocode', 'current', 'daily', 'hourly'].every((method) => typeof provider[method] === 'function');
+    if (!valid) throw new ValidationError('Provedor inválido: informe id, geocode, current, daily e hourly');
+    activeProvider = provider;
+    return activeProvider;
+}
+
+/**
+ * Retorna o provedor de dados do tempo ativo (Open-Meteo por padrão).
+ *
+ * @function getWeatherProvider
+ * @returns {Object} Provedor ativo.
+ */
+function getWeatherProvider() {
+    return activeProvider;
+}
+
+/**
+ * Lê o id do provedor salvo no navegador.
+ *
+ * @function loadProvider
+ * @param {Storage} [storage=localStorage] - Armazenamento a usar (injetável nos testes).
+ * @returns {string} Id salvo, ou `open-meteo` se não houver um válido.
+ */
+function loadProvider(storage) {
+    const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    try {
+        const saved = store ? store.getItem(PROVIDER_STORAGE_KEY) : null;
+        return WEATHER_PROVIDERS[saved] ? saved : DEFAULT_PROVIDER;
+    } catch (e) {
+        return DEFAULT_PROVIDER;
+    }
+}
+
+/**
+ * Salva o id do provedor no navegador.
+ *
+ * @function saveProvider
+ * @param {string} id - Id do provedor; valores desconhecidos salvam o padrão (`open-meteo`).
+ * @param {Storage} [storage=localStorage] - Armazenamento a usar (injetável nos testes).
+ * @returns {string} Id efetivamente salvo.
+ */
+function saveProvider(id, storage) {
+    const value = WEATHER_PROVIDERS[id] ? id : DEFAULT_PROVIDER;
+    const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    try {
+        if (store) store.setItem(PROVIDER_STORAGE_KEY, value);
+    } catch (e) {
+        // armazenamento indisponível: a escolha vale apenas nesta visita
+    }
+    return value;
+}
+
+/**
+ * Busca o clima atual e o resumo de hoje de várias localizações pelo provedor ativo: em uma única
+ * requisição quando ele oferece `batch`, ou consultando cada local em paralelo.
+ *
+ * @async
+ * @function fetchWeatherBatch
+ * @param {Array<{lat: number, lon: number}>} locations - Localizações a consultar.
+ * @param {Object} [units=DEFAULT_UNITS] - Unidades desejadas.
+ * @returns {Promise<Object[]>} Um item `{weather, today}` por localização (ver `getWeatherBatch`).
+ */
+async function fetchWeatherBatch(locations, units = DEFAULT_UNITS) {
+    const provider = activeProvider;
+    if (typeof provider.batch === 'function') return provider.batch(locations, units);
+    if (!Array.isArray(locations) || locations.length === 0) return [];
+    return Promise.all(locations.map(async ({ lat, lon }) => {
+        const [weather, daily] = await Promise.all([
+            provider.current(lat, lon, units),
+            provider.daily(lat, lon, { days: 1, units })
+        ]);
+        const hasToday = daily && Array.isArray(daily.time) && daily.time.length > 0;
+        return {
+            weather: weather || null,
+            today: hasToday ? {
+                date: daily.time[0],
+                max: daily.temperature_max ? daily.temperature_max[0] : null,
+                min: daily.temperature_min ? daily.temperature_min[0] : null,
+                weathercode: daily.weathercode ? daily.weathercode[0] : null
+            } : null
+        };
+    }));
+}
+
+/**
+ * Cria o armazenamento usado pelo cache de respostas. No navegador usa o `localStorage`
+ * (os dados sobrevivem ao recarregar a página); no Node/Jest, ou se o `localStorage`
+ * estiver bloqueado, usa um `Map` em memória.
+ *
+ * @function createCacheStore
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API. Se omitido, é detectado.
+ * @returns {{get: Function, set: Function, clear: Function}} Interface mínima de leitura/escrita de entradas.
+ */
+function createCacheStore(storage) {
+    if (storage === undefined) {
+        try {
+            storage = typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (e) {
+            storage = null;
+        }
+    }
+
+    if (!storage) {
+        const memory = new Map();
+        return {
+            get: (key) => memory.get(key) || null,
+            set: (key, entry) => { memory.set(key, entry); },
+            clear: () => memory.clear()
+        };
+    }
+
+    // remove as entradas que já não podem mais ser exibidas nem como dado vencido
+    const pruneExpired = () => {
+        const now = Date.now();
+        for (let i = storage.length - 1; i >= 0; i--) {
+            const key = storage.key(i);
+            if (!key || !key.startsWith(CACHE_KEY_PREFIX)) continue;
+            try {
+                const entry = JSON.parse(storage.getItem(key));
+                if (!entry || now - entry.storedAt > entry.ttl + CACHE_MAX_STALE) storage.removeItem(key);
+            } catch (e) {
+                storage.removeItem(key);
+            }
+        }
+    };
+
+    return {
+        get(key) {
+            try {
+                return JSON.parse(storage.getItem(CACHE_KEY_PREFIX + key));
+            } catch (e) {
+                return null;
+            }
+        },
+        set(key, entry) {
+            const value = JSON.stringify(entry);
+            try {
+                storage.setItem(CACHE_KEY_PREFIX + key, value);
+            } catch (e) {
+                // cota excedida: libera espaço e tenta uma única vez
+                pruneExpired();
+                try {
+                    storage.setItem(CACHE_KEY_PREFIX + key, value);
+                } catch (err) {
+                    // sem espaço: segue sem cache para esta resposta
+                }
+            }
+        },
+        clear() {
+            for (let i = storage.length - 1; i >= 0; i--) {
+                const key = storage.key(i);
+                if (key && key.startsWith(CACHE_KEY_PREFIX)) storage.removeItem(key);
+            }
+        }
+    };
+}
+
+const responseCache = createCacheStore();
+// atualizações em segundo plano em andamento, para não repetir a mesma requisição
+const pendingRefreshes = new Map();
+
+/**
+ * Envolve uma função de busca com cache e estratégia stale-while-revalidate:
+ * - dado dentro do TTL: retornado do cache, sem requisição;
+ * - dado vencido (até `CACHE_MAX_STALE` depois): retornado imediatamente e atualizado em segundo plano;
+ * - sem dado: busca na API e armazena o resultado.
+ * Respostas `null` (formato inesperado) não são armazenadas.
+ *
+ * @function withCache
+ * @param {string} namespace - Nome do endpoint; define o TTL usado (`geocoding`, `weather` ou `forecast`).
+ * @param {Function} fn - Função assíncrona original (ex: `getWeatherData`).
+ * @param {Function} keyFn - Recebe os mesmos argumentos de `fn` e retorna a chave do cache.
+ * @returns {Function} Função assíncrona que resolve para `{data, fetchedAt, fromCache, stale, refresh}`,
+ *  onde `refresh` é `null` ou uma Promise com o dado atualizado (ou `null` se a atualização falhar).
+ *  Sua propriedade `reload(...args)` busca sempre na rede (e atualiza o cache), no mesmo formato.
+ *
+ * @example
+ * const result = await getCachedWeatherData(-23.55, -46.63);
+ * render(result.data);
+ * if (result.refresh) result.refresh.then(fresh => fresh && render(fresh));
+ */
+function withCache(namespace, fn, keyFn) {
+    const ttl = CACHE_TTL[namespace];
+    const cached = async function (...args) {
+        const key = `${namespace}:${keyFn(...args)}`;
+        const load = () => loadEntry(key, args);
+
+        const entry = responseCache.get(key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (age < ttl) {
+            return { data: entry.value, fetchedAt: entry.storedAt, fromCache: true, stale: false, refresh: null };
+        }
+
+        if (age < ttl + CACHE_MAX_STALE) {
+            let refresh = pendingRefreshes.get(key);
+            if (!refresh) {
+                refresh = load()
+                    .then((fresh) => fresh.value)
+                    .catch((err) => {
+                        // eslint-disable-next-line no-console
+                        console.warn('Falha ao atualizar dados em cache', err);
+                        return null;
+                    })
+                    .finally(() => pendingRefreshes.delete(key));
+                pendingRefreshes.set(key, refresh);
+            }
+            return { data: entry.value, fetchedAt: entry.storedAt, fromCache: true, stale: true, refresh };
+        }
+
+        const fresh = await load();
+        return { data: fresh.value, fetchedAt: fresh.storedAt, fromCache: false, stale: false, refresh: null };
+    };
+
+    async function loadEntry(key, args) {
+        const data = await fn(...args);
+        const entry = { value: data, storedAt: Date.now(), ttl };
+        if (data !== null && data !== undefined) responseCache.set(key, entry);
+        return entry;
+    }
+
+    // ignora o que está no cache (ex: atualização automática), mas guarda a resposta nova
+    cached.reload = async (...args) => {
+        const fresh = await loadEntry(`${namespace}:${keyFn(...args)}`, args);
+        return { data: fresh.value, fetchedAt: fresh.storedAt, fromCache: false, stale: false, refresh: null };
+    };
+    return cached;
+}
+
+// chave de coordenadas arredondada (~10 m) para que pequenas variações reaproveitem o cache
+const coordsKey = (lat, lon) => `${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}`;
+// o provedor faz parte da chave: dados de fixtures não podem aparecer como dados reais
+const providerKey = () => activeProvider.id;
+// as unidades fazem parte da chave: a mesma cidade em °C e °F são respostas diferentes
+const unitsKey = (units) => {
+    const u = normalizeUnits(units);
+    return `${u.temperature}-${u.windspeed}-${u.precipitation}`;
+};
+
+/**
+ * Versão com cache de `getCityCoordinates` (TTL de 30 dias). Ver `withCache` para o formato do retorno.
+ * @function getCachedCityCoordinates
+ * @param {string} cityName - Nome da cidade.
+ * @returns {Promise<Object>} `{data, fetchedAt, fromCache, stale, refresh}`.
+ */
+const getCachedCityCoordinates = withCache('geocoding', getCityCoordinates,
+    (cityName) => `${providerKey()}:${geocodingLanguage()}:${String(cityName).trim().toLowerCase()}`);
+
+/**
+ * Clima atual pelo provedor ativo, com cache (TTL de 10 minutos). Ver `withCache` para o formato do retorno.
+ * @function getCachedWeatherData
+ * @param {number} lat - Latitude.
+ * @param {number} lon - Longitude.
+ * @param {Object} [units] - Unidades desejadas.
+ * @returns {Promise<Object>} `{data, fetchedAt, fromCache, stale, refresh}`.
+ */
+const getCachedWeatherData = withCache('weather', (lat, lon, units) => activeProvider.current(lat, lon, units),
+    (lat, lon, units) => `${providerKey()}:${coordsKey(lat, lon)}:${unitsKey(units)}`);
+
+/**
+ * Previsão diária normalizada pelo provedor ativo, com cache (TTL de 1 hora). A opção `today` (a data de hoje
+ * no local consultado, ex: `weather.time.slice(0, 10)`) faz parte da chave apenas para separar as respostas
+ * por dia, de modo que uma previsão de ontem não seja exibida como vencida no dia seguinte. É a data do local,
+ * não a do navegador: perto da meia-noite as duas podem ser dias diferentes.
+ * @function getCachedDailyForecast
+ * @param {number} lat - Latitude.
+ * @param {number} lon - Longitude.
+ * @param {Object} [options] - `{days, units}` (padrão: 7 dias nas unidades padrão) e `today` ('YYYY-MM-DD').
+ * @returns {Promise<Object>} `{data, fetchedAt, fromCache, stale, refresh}`.
+ */
+const getCachedDailyForecast = withCache('forecast',
+    (lat, lon, { days = DEFAULT_FORECAST_DAYS, units } = {}) => activeProvider.daily(lat, lon, { days, units }),
+    (lat, lon, { days = DEFAULT_FORECAST_DAYS, units, today = '' } = {}) =>
+        `${providerKey()}:${coordsKey(lat, lon)}:${days}:${unitsKey(units)}:${today}`);
+
+/**
+ * Versão com cache de `reverseGeocode` (mesmo TTL da geocodificação). Ver `withCache` para o formato do retorno.
+ * @function getCachedReverseGeocode
+ * @param {number} lat - Latitude.
+ * @param {number} lon - Longitude.
+ * @returns {Promise<Object>} `{data, fetchedAt, fromCache, stale, refresh}`.
+ */
+const getCachedReverseGeocode = withCache('geocoding', reverseGeocode,
+    (lat, lon) => `reverse:${geocodingLanguage()}:${coordsKey(lat, lon)}`);
+
+/**
+ * Versão com cache de `fetchWeatherBatch` (mesmo TTL do clima atual). A chave considera a
+ * lista de localizações na ordem informada.
+ * @function getCachedWeatherBatch
+ * @param {Array<{lat: number, lon: number}>} locations - Localizações.
+ * @param {Object} [units] - Unidades desejadas.
+ * @returns {Promise<Object>} `{data, fetchedAt, fromCache, stale, refresh}`.
+ */
+const getCachedWeatherBatch = withCache('weather', fetchWeatherBatch,
+    (locations, units) => `${providerKey()}:batch:${locations.map((l) => coordsKey(l.lat, l.lon)).join('|')}:${unitsKey(units)}`);
+
+/**
+ * Previsão por hora normalizada pelo provedor ativo, com cache (TTL de 30 minutos). Ver `withCache`
+ * para o formato do retorno.
+ * @function getCachedHourlyForecast
+ * @param {number} lat - Latitude.
+ * @param {number} lon - Longitude.
+ * @param {number} [hours=48] - Quantidade de horas.
+ * @param {Object} [units] - Unidades desejadas.
+ * @returns {Promise<Object>} `{data, fetchedAt, fromCache, stale, refresh}`.
+ */
+const getCachedHourlyForecast = withCache('hourly', (lat, lon, hours = 48, units) => activeProvider.hourly(lat, lon, { hours, units }),
+    (lat, lon, hours = 48, units) => `${providerKey()}:${coordsKey(lat, lon)}:${hours}:${unitsKey(units)}`);
+
+/**
+ * Qualidade do ar pelo provedor ativo, com cache (TTL de 30 minutos). Ver `withCache` para o formato do retorno;
+ * `data` é `null` se o provedor não oferecer qualidade do ar.
+ * @function getCachedAirQuality
+ * @param {number} lat - Latitude.
+ * @param {number} lon - Longitude.
+ * @returns {Promise<Object>} `{data, fetchedAt, fromCache, stale, refresh}`.
+ */
+const getCachedAirQuality = withCache('airQuality',
+    (lat, lon) => (typeof activeProvider.airQuality === 'function' ? activeProvider.airQuality(lat, lon) : null),
+    (lat, lon) => `${providerKey()}:${coordsKey(lat, lon)}`);
+
+/**
+ * Comparação histórica pelo provedor ativo, com cache (TTL de 7 dias). Ver `withCache` para o formato do retorno;
+ * `data` é `null` se o provedor não oferecer dados históricos.
+ * @function getCachedHistoricalComparison
+ * @param {number} lat - Latitude.
+ * @param {number} lon - Longitude.
+ * @param {string} date - Data de referência 'YYYY-MM-DD'.
+ * @param {number} [years=10] - Quantos anos anteriores considerar.
+ * @param {Object} [units] - Unidades desejadas.
+ * @returns {Promise<Object>} `{data, fetchedAt, fromCache, stale, refresh}`.
+ */
+const getCachedHistoricalComparison = withCache('history',
+    (lat, lon, date, years = 10, units) => (typeof activeProvider.history === 'function' ? activeProvider.history(lat, lon, date, years, units) : null),
+    (lat, lon, date, years = 10, units) => `${providerKey()}:${coordsKey(lat, lon)}:${date}:${years}:${unitsKey(units)}`);
+
+/**
+ * Remove todas as respostas armazenadas pelo cache.
+ * @function clearResponseCache
+ */
+function clearResponseCache() {
+    responseCache.clear();
+    pendingRefreshes.clear();
+}
+
+/**
+ * Formata um timestamp (ms) como HH:MM no horário local e no idioma atual, usado no selo "dados de HH:MM".
+ *
+ * @function formatCacheTime
+ * @param {number} timestamp - Momento em milissegundos desde a época Unix.
+ * @returns {string} Horário (ex: '14:05' em pt-BR, '02:05 PM' em inglês).
+ */
+function formatCacheTime(timestamp) {
+    return new Intl.DateTimeFormat(currentLocale, { hour: '2-digit', minute: '2-digit' }).format(new Date(timestamp));
+}
+
+/**
+ * Há quanto tempo os dados exibidos foram obtidos, para o texto ao lado da data/hora do clima atual.
+ *
+ * @function formatUpdatedAgo
+ * @param {number} timestamp - Momento (ms) em que os dados foram obtidos.
+ * @param {number} [now=Date.now()] - Momento atual (ms).
+ * @returns {string} Ex: 'atualizado agora', 'atualizado há 5 min' ou, a partir de uma hora, 'atualizado há 2 h'.
+ */
+function formatUpdatedAgo(timestamp, now = Date.now()) {
+    const minutes = Math.floor(Math.max(0, now - timestamp) / 60000);
+    if (minutes < 1) return t('current.updatedNow');
+    if (minutes < 60) return t('current.updatedAgo', { minutes: formatNumber(minutes) });
+    return t('current.updatedAgoHours', { hours: formatNumber(Math.floor(minutes / 60)) });
+}
+
+/**
+ * Valida um objeto de unidades, substituindo valores ausentes ou desconhecidos pelo padrão.
+ *
+ * @function normalizeUnits
+ * @param {Object} [units] - Unidades parciais (ex: `{ temperature: 'fahrenheit' }`).
+ * @returns {{temperature: string, windspeed: string, precipitation: string}} Unidades completas.
+ *
+ * @example
+ * normalizeUnits({ temperature: 'fahrenheit', windspeed: 'nós' });
+ * // Output: { temperature: 'fahrenheit', windspeed: 'kmh', precipitation: 'mm' }
+ */
+function normalizeUnits(units) {
+    const result = { ...DEFAULT_UNITS };
+    if (!units) return result;
+    Object.keys(UNIT_OPTIONS).forEach((kind) => {
+        if (Object.prototype.hasOwnProperty.call(UNIT_OPTIONS[kind], units[kind])) result[kind] = units[kind];
+    });
+    return result;
+}
+
+/**
+ * Lê as unidades salvas pelo usuário. Sem armazenamento disponível (Node/Jest) retorna o padrão.
+ *
+ * @function loadUnits
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {{temperature: string, windspeed: string, precipitation: string}} Unidades preferidas.
+ */
+function loadUnits(storage) {
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (!store) return normalizeUnits();
+        return normalizeUnits(JSON.parse(store.getItem(UNITS_STORAGE_KEY)));
+    } catch (e) {
+        return normalizeUnits();
+    }
+}
+
+/**
+ * Salva as unidades preferidas do usuário para as próximas sessões.
+ *
+ * @function saveUnits
+ * @param {Object} units - Unidades a salvar (valores inválidos são trocados pelo padrão).
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {{temperature: string, windspeed: string, precipitation: string}} Unidades efetivamente salvas.
+ */
+function saveUnits(units, storage) {
+    const normalized = normalizeUnits(units);
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (store) store.setItem(UNITS_STORAGE_KEY, JSON.stringify(normalized));
+    } catch (e) {
+        // armazenamento indisponível: a preferência vale apenas para esta sessão
+    }
+    return normalized;
+}
+
+/**
+ * Ajusta a quantidade de dias exibida em "Próximos dias" para uma das opções (3, 7 ou 14).
+ *
+ * @function normalizeForecastDays
+ * @param {*} days - Valor a ajustar (ex: lido do armazenamento).
+ * @returns {number} Uma das opções de `FORECAST_DAYS_OPTIONS`; 7 se o valor for inválido.
+ */
+function normalizeForecastDays(days) {
+    const value = Number(days);
+    return FORECAST_DAYS_OPTIONS.includes(value) ? value : DEFAULT_FORECAST_DAYS;
+}
+
+/**
+ * Lê a quantidade de dias de previsão escolhida pelo usuário. Sem armazenamento disponível retorna 7.
+ *
+ * @function loadForecastDays
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {number} 3, 7 ou 14.
+ */
+function loadForecastDays(storage) {
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (!store) return DEFAULT_FORECAST_DAYS;
+        return normalizeForecastDays(store.getItem(FORECAST_DAYS_STORAGE_KEY));
+    } catch (e) {
+        return DEFAULT_FORECAST_DAYS;
+    }
+}
+
+/**
+ * Salva a quantidade de dias de previsão escolhida para as próximas sessões.
+ *
+ * @function saveForecastDays
+ * @param {number} days - Dias a exibir (valores fora das opções são trocados por 7).
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {number} Quantidade efetivamente salva.
+ */
+function saveForecastDays(days, storage) {
+    const normalized = normalizeForecastDays(days);
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (store) store.setItem(FORECAST_DAYS_STORAGE_KEY, String(normalized));
+    } catch (e) {
+        // armazenamento indisponível: a preferência vale apenas para esta sessão
+    }
+    return normalized;
+}
+
+/**
+ * Ajusta o intervalo da atualização automática para uma das opções (desligada, 5, 15 ou 30 minutos).
+ *
+ * @function normalizeAutoRefresh
+ * @param {*} minutes - Valor a ajustar (ex: lido do armazenamento).
+ * @returns {number} Uma das opções de `AUTO_REFRESH_OPTIONS`; 0 (desligada) se o valor for inválido.
+ */
+function normalizeAutoRefresh(minutes) {
+    const value = Number(minutes);
+    return AUTO_REFRESH_OPTIONS.includes(value) ? value : DEFAULT_AUTO_REFRESH;
+}
+
+/**
+ * Lê o intervalo da atualização automática escolhido pelo usuário. Sem armazenamento disponível retorna 0.
+ *
+ * @function loadAutoRefresh
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {number} Minutos entre as atualizações (0 = desligada).
+ */
+function loadAutoRefresh(storage) {
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (!store) return DEFAULT_AUTO_REFRESH;
+        return normalizeAutoRefresh(store.getItem(AUTO_REFRESH_STORAGE_KEY));
+    } catch (e) {
+        return DEFAULT_AUTO_REFRESH;
+    }
+}
+
+/**
+ * Salva o intervalo da atualização automática para as próximas sessões.
+ *
+ * @function saveAutoRefresh
+ * @param {number} minutes - Minutos entre as atualizações (valores fora das opções desligam a atualização).
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {number} Intervalo efetivamente salvo.
+ */
+function saveAutoRefresh(minutes, storage) {
+    const normalized = normalizeAutoRefresh(minutes);
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (store) store.setItem(AUTO_REFRESH_STORAGE_KEY, String(normalized));
+    } catch (e) {
+        // armazenamento indisponível: a preferência vale apenas para esta sessão
+    }
+    return normalized;
+}
+
+/**
+ * Converte um valor entre unidades do mesmo tipo, permitindo trocar a unidade exibida sem nova busca.
+ *
+ * @function convertUnit
+ * @param {string} kind - Tipo da grandeza: `temperature`, `windspeed` ou `precipitation`.
+ * @param {number} value - Valor a converter.
+ * @param {string} from - Unidade de origem (ex: 'celsius', 'kmh', 'mm').
+ * @param {string} to - Unidade de destino (ex: 'fahrenheit', 'mph', 'inch').
+ * @returns {number} Valor convertido (sem arredondamento). Valores não numéricos são retornados sem alteração.
+ *
+ * @example
+ * convertUnit('temperature', 25, 'celsius', 'fahrenheit'); // Output: 77
+ * convertUnit('windspeed', 36, 'kmh', 'ms'); // Output: 10
+ */
+function convertUnit(kind, value, from, to) {
+    if (typeof value !== 'number' || from === to) return value;
+    if (kind === 'temperature') {
+        const celsius = from === 'fahrenheit' ? (value - 32) * 5 / 9 : value;
+        return to === 'fahrenheit' ? celsius * 9 / 5 + 32 : celsius;
+    }
+    // fatores para a unidade base (m/s para vento, mm para precipitação)
+    const factors = {
+        windspeed: { kmh: 1 / 3.6, mph: 0.44704, ms: 1 },
+        precipitation: { mm: 1, inch: 25.4 }
+    };
+    const table = factors[kind];
+    if (!table || !table[from] || !table[to]) return value;
+    return value * table[from] / table[to];
+}
+
+// Campos do clima atual que dependem das unidades escolhidas, por tipo de grandeza
+const CURRENT_UNIT_FIELDS = {
+    temperature: 'temperature',
+    apparent_temperature: 'temperature',
+    windspeed: 'windspeed',
+    windgusts: 'windspeed',
+    precipitation: 'precipitation'
+};
+
+/**
+ * Converte os dados do clima atual (`getWeatherData`) entre sistemas de unidades.
+ *
+ * @function convertWeatherUnits
+ * @param {Object|null} weather - Dados do clima atual.
+ * @param {Object} from - Unidades em que os dados foram obtidos.
+ * @param {Object} to - Unidades desejadas.
+ * @returns {Object|null} Cópia dos dados com temperaturas (inclusive a sensação térmica), vento, rajadas
+ *  e precipitação convertidos; campos ausentes continuam ausentes.
+ */
+function convertWeatherUnits(weather, from, to) {
+    if (!weather) return weather;
+    const f = normalizeUnits(from);
+    const t = normalizeUnits(to);
+    const result = { ...weather };
+    Object.entries(CURRENT_UNIT_FIELDS).forEach(([field, kind]) => {
+        if (field in weather) result[field] = convertUnit(kind, weather[field], f[kind], t[kind]);
+    });
+    return result;
+}
+
+/**
+ * Converte o objeto `daily` ou `hourly` (no modelo normalizado dos provedores ou no formato da Open-Meteo)
+ * entre sistemas de unidades.
+ * Campos de temperatura, vento e precipitação conhecidos são convertidos; os demais são copiados
+ * (inclusive `precipitation_probability`, que é percentual).
+ *
+ * @function convertDailyUnits
+ * @param {Object|null} daily - Objeto `daily` ou `hourly` retornado pela API.
+ * @param {Object} from - Unidades em que os dados foram obtidos.
+ * @param {Object} to - Unidades desejadas.
+ * @returns {Object|null} Cópia do objeto com os arrays convertidos.
+ */
+function convertDailyUnits(daily, from, to) {
+    if (!daily) return daily;
+    const f = normalizeUnits(from);
+    const t = normalizeUnits(to);
+    const kindOf = (field) => {
+        if (field === 'temperature' || field.startsWith('temperature_') || field.startsWith('apparent_temperature_')) return 'temperature';
+        if (field === 'windspeed' || field.startsWith('windspeed_') || field.startsWith('windgusts_')) return 'windspeed';
+        if (field === 'precipitation' || field.startsWith('precipitation_sum') || field.startsWith('rain_sum') || field.startsWith('snowfall_sum')) return 'precipitation';
+        return null;
+    };
+    const result = {};
+    Object.keys(daily).forEach((field) => {
+        const kind = kindOf(field);
+        result[field] = kind && Array.isArray(daily[field])
+            ? daily[field].map((v) => convertUnit(kind, v, f[kind], t[kind]))
+            : daily[field];
+    });
+    return result;
+}
+
+/**
+ * Formata uma temperatura arredondada com o símbolo da unidade.
+ *
+ * @function formatTemperature
+ * @param {number} value - Temperatura.
+ * @param {string} [unit='celsius'] - `celsius` ou `fahrenheit`.
+ * @returns {string} Temperatura formatada (ex: '25°C', '77°F') ou '--' se o valor for inválido.
+ */
+function formatTemperature(value, unit = 'celsius') {
+    if (typeof value !== 'number' || Number.isNaN(value)) return '--';
+    return `${Math.round(value)}${UNIT_OPTIONS.temperature[unit] || UNIT_OPTIONS.temperature.celsius}`;
+}
+
+/**
+ * Formata a velocidade do vento com a unidade.
+ *
+ * @function formatWindSpeed
+ * @param {number} value - Velocidade do vento.
+ * @param {string} [unit='kmh'] - `kmh`, `mph` ou `ms`.
+ * @returns {string} Velocidade formatada (ex: '12 km/h', '3,4 m/s') ou '--' se o valor for inválido.
+ */
+function formatWindSpeed(value, unit = 'kmh') {
+    if (typeof value !== 'number' || Number.isNaN(value)) return '--';
+    // m/s costuma ter valores pequenos: manter uma casa decimal
+    const text = formatNumber(value, { maximumFractionDigits: unit === 'ms' ? 1 : 0 });
+    return `${text} ${UNIT_OPTIONS.windspeed[unit] || UNIT_OPTIONS.windspeed.kmh}`;
+}
+
+/**
+ * Formata uma quantidade de precipitação com a unidade.
+ *
+ * @function formatPrecipitation
+ * @param {number} value - Precipitação.
+ * @param {string} [unit='mm'] - `mm` ou `inch`.
+ * @returns {string} Precipitação formatada (ex: '2,5 mm', '0,10 in') ou '--' se o valor for inválido.
+ */
+function formatPrecipitation(value, unit = 'mm') {
+    if (typeof value !== 'number' || Number.isNaN(value)) return '--';
+    const digits = unit === 'inch' ? 2 : 1;
+    const text = formatNumber(value, { minimumFractionDigits: unit === 'inch' ? 2 : 0, maximumFractionDigits: digits });
+    return `${text} ${UNIT_OPTIONS.precipitation[unit] || UNIT_OPTIONS.precipitation.mm}`;
+}
+
+// Converte 'YYYY-MM-DD' ou 'YYYY-MM-DDTHH:MM' (horário local do lugar) em Date UTC com os mesmos
+// campos; formatado com `timeZone: 'UTC'`, o horário não é deslocado pelo fuso do navegador
+function parseLocalDateTime(isoString) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(isoString || '');
+    if (!match) return null;
+    const [, y, m, d, hh = '0', mm = '0'] = match;
+    return new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm)));
+}
+
+// Formata um horário local do lugar com `Intl.DateTimeFormat` no idioma atual
+function formatLocalDateTime(isoString, options) {
+    const date = parseLocalDateTime(isoString);
+    if (!date) return null;
+    return new Intl.DateTimeFormat(currentLocale, { ...options, timeZone: 'UTC' }).format(date);
+}
+
+/**
+ * Formata uma data no padrão do idioma atual (ex: '10/11/2025' em pt-BR, '11/10/2025' em inglês).
+ *
+ * @function formatDate
+ * @param {string} isoDate - Data no formato 'YYYY-MM-DD'.
+ * @returns {string} Data formatada, ou a própria string se não estiver no formato esperado.
+ */
+function formatDate(isoDate) {
+    return formatLocalDateTime(isoDate, { day: '2-digit', month: '2-digit', year: 'numeric' }) || isoDate;
+}
+
+/**
+ * Formata dia e mês no padrão do idioma atual (ex: '10/11' em pt-BR, '11/10' em inglês).
+ *
+ * @function formatShortDate
+ * @param {string} isoDate - Data no formato 'YYYY-MM-DD' (a hora, se houver, é ignorada).
+ * @returns {string} Dia e mês formatados, ou a própria string se não estiver no formato esperado.
+ */
+function formatShortDate(isoDate) {
+    return formatLocalDateTime(isoDate, { day: '2-digit', month: '2-digit' }) || isoDate;
+}
+
+/**
+ * Nome do dia da semana no idioma atual, com a inicial maiúscula (ex: 'Segunda-feira', 'Monday').
+ *
+ * @function formatWeekday
+ * @param {string} isoDate - Data no formato 'YYYY-MM-DD'.
+ * @returns {string} Dia da semana, ou '' se a data não estiver no formato esperado.
+ */
+function formatWeekday(isoDate) {
+    const weekday = formatLocalDateTime(isoDate, { weekday: 'long' });
+    if (!weekday) return '';
+    return weekday.charAt(0).toLocaleUpperCase(currentLocale) + weekday.slice(1);
+}
+
+/**
+ * Formata um número no padrão do idioma atual (separadores de milhar e decimal).
+ *
+ * @function formatNumber
+ * @param {number} value - Número a formatar.
+ * @param {Object} [options] - Opções de `Intl.NumberFormat` (ex: `{ maximumFractionDigits: 1 }`).
+ * @returns {string} Ex: '3,4' em pt-BR, '3.4' em inglês.
+ */
+function formatNumber(value, options) {
+    return new Intl.NumberFormat(currentLocale, options).format(value);
+}
+
+/**
+ * Formata a hora de um horário ISO local para a faixa de previsão por hora. Idiomas com relógio
+ * de 24 horas usam 'HHh'; os de 12 horas, o formato do `Intl` (ex: '9 AM').
+ *
+ * @function formatHourLabel
+ * @param {string} isoString - Data/hora no formato 'YYYY-MM-DDTHH:MM'.
+ * @returns {string} Hora formatada (ex: '14h'), ou a própria string se não estiver no formato esperado.
+ *
+ * @example
+ * formatHourLabel('2025-11-10T09:00'); // Output: '09h'
+ */
+function formatHourLabel(isoString) {
+    const match = /T(\d{2}):/.exec(isoString || '');
+    if (!match) return isoString;
+    const hour12 = new Intl.DateTimeFormat(currentLocale, { hour: 'numeric' }).resolvedOptions().hour12;
+    return hour12 ? formatLocalDateTime(isoString, { hour: 'numeric' }) : `${match[1]}h`;
+}
+
+/**
+ * Indica se duas localizações são o mesmo lugar (coordenadas iguais até a 2ª casa decimal, ~1 km).
+ *
+ * @function isSameLocation
+ * @param {{lat: number, lon: number}} a - Primeira localização.
+ * @param {{lat: number, lon: number}} b - Segunda localização.
+ * @returns {boolean} `true` se as coordenadas coincidirem.
+ */
+function isSameLocation(a, b) {
+    if (!a || !b) return false;
+    return Number(a.lat).toFixed(2) === Number(b.lat).toFixed(2)
+        && Number(a.lon).toFixed(2) === Number(b.lon).toFixed(2);
+}
+
+/**
+ * Lê as localizações favoritas salvas. Sem armazenamento disponível (Node/Jest) retorna lista vazia.
+ *
+ * @function loadFavorites
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {Object[]} Favoritos na ordem escolhida pelo usuário (`{lat, lon, name, admin1, country}`).
+ */
+function loadFavorites(storage) {
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (!store) return [];
+        const list = JSON.parse(store.getItem(FAVORITES_STORAGE_KEY));
+        return Array.isArray(list)
+            ? list.filter((f) => f && typeof f.lat === 'number' && typeof f.lon === 'number')
+            : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Salva a lista de favoritos, mantendo apenas os campos necessários para exibi-los.
+ *
+ * @function saveFavorites
+ * @param {Object[]} list - Favoritos a salvar.
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {Object[]} Lista efetivamente salva.
+ */
+function saveFavorites(list, storage) {
+    const cleaned = list.map(({ lat, lon, name, admin1, country }) => ({ lat, lon, name, admin1: admin1 || '', country: country || '' }));
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (store) store.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(cleaned));
+    } catch (e) {
+        // armazenamento indisponível: os favoritos valem apenas para esta sessão
+    }
+    return cleaned;
+}
+
+/**
+ * Adiciona a cidade aos favoritos ou a remove, se já estiver lá. Não altera a lista original.
+ *
+ * @function toggleFavorite
+ * @param {Object[]} list - Favoritos atuais.
+ * @param {Object} city - Cidade no formato de `getCityCoordinates`.
+ * @returns {Object[]} Nova lista de favoritos.
+ */
+function toggleFavorite(list, city) {
+    if (list.some((f) => isSameLocation(f, city))) return list.filter((f) => !isSameLocation(f, city));
+    return [...list, city];
+}
+
+/**
+ * Move um favorito para outra posição. Não altera a lista original.
+ *
+ * @function moveFavorite
+ * @param {Object[]} list - Favoritos atuais.
+ * @param {number} from - Índice atual do favorito.
+ * @param {number} to - Novo índice (limitado ao tamanho da lista).
+ * @returns {Object[]} Nova lista reordenada.
+ *
+ * @example
+ * moveFavorite(['A', 'B', 'C'], 0, 2); // Output: ['B', 'C', 'A']
+ */
+function moveFavorite(list, from, to) {
+    const result = [...list];
+    if (from < 0 || from >= result.length) return result;
+    const target = Math.max(0, Math.min(result.length - 1, to));
+    const [item] = result.splice(from, 1);
+    result.splice(target, 0, item);
+    return result;
+}
+
+/**
+ * Normaliza as configurações de alerta: descarta regras inválidas e completa os campos.
+ * Limites ficam sempre nas unidades padrão (°C, km/h, mm).
+ *
+ * @function normalizeAlertSettings
+ * @param {Object} [settings] - Configurações no formato `{rules, notify}`.
+ * @returns {{rules: Object[], notify: boolean}} Configurações válidas (sem `settings`, as regras padrão).
+ */
+function normalizeAlertSettings(settings) {
+    if (!settings || !Array.isArray(settings.rules)) {
+        return { rules: DEFAULT_ALERT_RULES.map((rule) => ({ ...rule })), notify: !!(settings && settings.notify) };
+    }
+    const rules = settings.rules
+        .filter((rule) => rule && Object.prototype.hasOwnProperty.call(ALERT_TYPES, rule.type))
+        .filter((rule) => !ALERT_TYPES[rule.type].unit || Number.isFinite(rule.threshold))
+        .map((rule, i) => ({
+            id: rule.id ? String(rule.id) : `${rule.type}-${i}`,
+            type: rule.type,
+            threshold: ALERT_TYPES[rule.type].unit ? rule.threshold : null,
+            enabled: rule.enabled !== false
+        }));
+    return { rules, notify: !!settings.notify };
+}
+
+/**
+ * Lê as regras de alerta salvas. Sem armazenamento disponível (Node/Jest) retorna as regras padrão.
+ *
+ * @function loadAlertSettings
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {{rules: Object[], notify: boolean}} Configurações de alerta.
+ */
+function loadAlertSettings(storage) {
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (!store) return normalizeAlertSettings();
+        return normalizeAlertSettings(JSON.parse(store.getItem(ALERTS_STORAGE_KEY)));
+    } catch (e) {
+        return normalizeAlertSettings();
+    }
+}
+
+/**
+ * Salva as regras de alerta e a preferência de notificações do sistema.
+ *
+ * @function saveAlertSettings
+ * @param {Object} settings - Configurações `{rules, notify}` (regras inválidas são descartadas).
+ * @param {Storage} [storage] - Armazenamento no formato da Web Storage API (padrão: `localStorage`).
+ * @returns {{rules: Object[], notify: boolean}} Configurações efetivamente salvas.
+ */
+function saveAlertSettings(settings, storage) {
+    const normalized = normalizeAlertSettings(settings);
+    try {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (store) store.setItem(ALERTS_STORAGE_KEY, JSON.stringify(normalized));
+    } catch (e) {
+        // armazenamento indisponível: as regras valem apenas para esta sessão
+    }
+    return normalized;
+}
+
+/**
+ * Avalia as regras de alerta sobre o clima atual e as previsões. Função pura: não acessa DOM nem rede.
+ * Para cada regra ativa que disparar, retorna o valor mais extremo encontrado e quando ele ocorre.
+ * A chuva é somada por dia a partir da previsão por hora (ou lida de `daily.precipitation_sum`, se houver).
+ * O vento vem do clima atual e do máximo de cada dia (`daily.windspeed_max`): a previsão por hora não traz vento.
+ *
+ * @function evaluateAlerts
+ * @param {Object[]} rules - Regras `{id, type, threshold, enabled}` (limites em °C, km/h e mm).
+ * @param {Object} data - Dados nas unidades padrão: `{current, hourly, daily}` (ex: `createWeatherView(shown, DEFAULT_UNITS)`).
+ * @returns {Array<{ruleId: string, type: string, value: number, threshold: number|null, source: string, time: string|null}>}
+ *  Alertas disparados, na ordem das regras. `source` é 'current', 'hourly' ou 'daily'.
+ *
+ * @example
+ * evaluateAlerts([{ id: 'calor', type: 'temperatureAbove', threshold: 35, enabled: true }], {
+ *     current: { temperature: 30, time: '2025-11-10T14:00' },
+ *     daily: { time: ['2025-11-11'], temperature_max: [37] }
+ * });
+ * // Output: [{ ruleId: 'calor', type: 'temperatureAbove', value: 37, threshold: 35, source: 'daily', time: '2025-11-11' }]
+ */
+function evaluateAlerts(rules, data) {
+    const { current = null, hourly = null, daily = null } = data || {};
+
+    // valores candidatos de uma série: [{value, source, time}]
+    const series = (source, block, field) => {
+        if (!block || !Array.isArray(block[field])) return [];
+        return block[field].map((value, i) => ({ value, source, time: Array.isArray(block.time) ? block.time[i] : null }));
+    };
+    const fromCurrent = (field) => (current && typeof current[field] === 'number'
+        ? [{ value: current[field], source: 'current', time: current.time || null }]
+        : []);
+    // chuva por dia: soma das horas de cada data, ou o total diário da API
+    const dailyPrecipitation = () => {
+        if (daily && Array.isArray(daily.precipitation_sum)) return series('daily', daily, 'precipitation_sum');
+        if (!hourly || !Array.isArray(hourly.precipitation) || !Array.isArray(hourly.time)) return [];
+        const totals = new Map();
+        hourly.time.forEach((time, i) => {
+            const amount = hourly.precipitation[i];
+            if (typeof amount !== 'number') return;
+            const date = time.slice(0, 10);
+            totals.set(date, (totals.get(date) || 0) + amount);
+        });
+        return [...totals].map(([date, value]) => ({ value: Math.round(value * 10) / 10, source: 'daily', time: date }));
+    };
+    const candidates = {
+        temperatureAbove: () => [...fromCurrent('temperature'), ...series('hourly', hourly, 'temperature'), ...series('daily', daily, 'temperature_max')],
+        temperatureBelow: () => [...fromCurrent('temperature'), ...series('hourly', hourly, 'temperature'), ...series('daily', daily, 'temperature_min')],
+        precipitationAbove: dailyPrecipitation,
+        windAbove: () => [...fromCurrent('windspeed'), ...series('daily', daily, 'windspeed_max')],
+        thunderstorm: () => [...fromCurrent('weathercode'), ...series('hourly', hourly, 'weathercode'), ...series('daily', daily, 'weathercode')]
+    };
+
+    const alerts = [];
+    (rules || []).forEach((rule) => {
+        if (!rule || rule.enabled === false || !candidates[rule.type]) return;
+        const values = candidates[rule.type]().filter((c) => typeof c.value === 'number');
+        let match = null;
+        if (rule.type === 'thunderstorm') {
+            // a primeira ocorrência é a mais relevante
+            match = values.find((c) => THUNDERSTORM_CODES.includes(c.value)) || null;
+        } else {
+            const below = rule.type === 'temperatureBelow';
+            values.forEach((c) => {
+                const triggers = below ? c.value < rule.threshold : c.value > rule.threshold;
+                const moreExtreme = !match || (below ? c.value < match.value : c.value > match.value);
+                if (triggers && moreExtreme) match = c;
+            });
+        }
+        if (match) {
+            alerts.push({
+                ruleId: rule.id,
+                type: rule.type,
+                value: match.value,
+                threshold: rule.type === 'thunderstorm' ? null : rule.threshold,
+                source: match.source,
+                time: match.time
+            });
+        }
+    });
+    return alerts;
+}
+
+/**
+ * Monta a mensagem de um alerta disparado, no idioma atual e nas unidades de exibição.
+ *
+ * @function formatAlert
+ * @param {Object} alert - Alerta retornado por `evaluateAlerts`.
+ * @param {Object} [units] - Unidades de exibição (padrão: °C, km/h, mm).
+ * @returns {string} Ex: 'Temperatura de 37°C em 11/11, acima de 35°C'.
+ */
+function formatAlert(alert, units) {
+    const target = normalizeUnits(units);
+    const kind = ALERT_TYPES[alert.type] ? ALERT_TYPES[alert.type].unit : null;
+    const format = (value) => {
+        const converted = convertUnit(kind, value, DEFAULT_UNITS[kind], target[kind]);
+        if (kind === 'temperature') return formatTemperature(converted, target.temperature);
+        if (kind === 'windspeed') return formatWindSpeed(converted, target.windspeed);
+        return formatPrecipitation(converted, target.precipitation);
+    };
+
+    let when = t('alerts.now');
+    if (alert.source !== 'current' && alert.time) {
+        const date = formatShortDate(alert.time);
+        when = alert.source === 'hourly'
+            ? t('alerts.atHour', { date, hour: formatHourLabel(alert.time) })
+            : t('alerts.onDay', { date });
+    }
+
+    if (alert.type === 'thunderstorm') {
+        return t('alerts.message.thunderstorm', { description: getWeatherDescription(alert.value), when });
+    }
+    if (!kind) return '';
+    return t(`alerts.message.${alert.type}`, { value: format(alert.value), when, threshold: format(alert.threshold) });
+}
+
+/**
+ * Converte um código WMO de tipo de tempo em uma descrição textual no idioma atual.
+ * 
+ * @function getWeatherDescription
+ * @param {number} code - Código WMO do tipo de tempo (ex: 0 = céu limpo, 80 = chuva leve).
+ * @returns {string} Descrição do tipo de tempo. Retorna 'Condição desconhecida' se o código não for mapeado.
+ * 
+ * @example
+ * const desc = getWeatherDescription(80);
+ * console.log(desc); // Output: 'Pancadas de chuva leves'
+ * 
+ * const unknown = getWeatherDescription(999);
+ * console.log(unknown); // Output: 'Condição desconhecida'
+ */
+function getWeatherDescription(code) {
+    const key = `weather.${code}`;
+    return MESSAGES[DEFAULT_LOCALE][key] ? t(key) : t('weather.unknown');
+}
+
+/**
+ * Converte um código WMO de tipo de tempo em uma classe de ícone da biblioteca Weather Icons,
+ * com variantes de dia e de noite (lua no lugar do sol) quando a biblioteca as tiver.
+ * 
+ * @function getWeatherIcon
+ * @param {number} code - Código WMO do tipo de tempo (ex: 0 = céu limpo, 80 = pancadas de chuva leves).
+ * @param {boolean|number} [isDay=true] - Se é dia no local; aceita o `is_day` (1/0) da API.
+ * @returns {string} Classe CSS do ícone Weather Icons correspondente (ex: 'wi-day-showers', 'wi-night-clear').
+ *                   Retorna 'wi-na' (não disponível) se o código não for mapeado.
+ * 
+ * @example
+ * const iconClass = getWeatherIcon(80);
+ * console.log(iconClass); // Output: 'wi-day-showers'
+ * getWeatherIcon(0, 0); // Output: 'wi-night-clear'
+ * 
+ * // Uso prático no HTML:
+ * // <i class="wi weather-icon wi-day-showers"></i>
+ */
+function getWeatherIcon(code, isDay = true) {
+    // Reference: Open-Meteo weather codes
+    const icons = WEATHER_ICONS[code];
+    if (!icons) return 'wi-na';
+    return isDay === false || isDay === 0 ? icons[1] : icons[0];
+}
+
+/**
+ * Converte a direção do vento em graus no ponto cardeal correspondente (rosa dos ventos de 16 pontos).
+ *
+ * @function getCompassDirection
+ * @param {number} degrees - Direção de onde o vento sopra, em graus (0 = norte, 90 = leste).
+ * @returns {string} Sigla no idioma atual (em pt-BR: 'N', 'NE', 'L', 'SO', 'ONO'...), ou '' se a direção for inválida.
+ *
+ * @example
+ * getCompassDirection(225); // Output: 'SO'
+ */
+function getCompassDirection(degrees) {
+    if (typeof degrees !== 'number' || !Number.isFinite(degrees)) return '';
+    const points = t('compass.points').split(' ');
+    const index = Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16;
+    return points[index];
+}
+
+/**
+ * Formata o horário de uma data/hora ISO local no idioma atual (ex: nascer e pôr do sol).
+ *
+ * @function formatTimeOfDay
+ * @param {string} isoString - Data/hora no formato 'YYYY-MM-DDTHH:MM'.
+ * @returns {string} Horário (ex: '05:31'; '05:31 AM' em inglês), ou '' se a string não estiver no formato esperado.
+ *
+ * @example
+ * formatTimeOfDay('2025-11-10T05:31'); // Output: '05:31'
+ */
+function formatTimeOfDay(isoString) {
+    if (!/T\d{2}:\d{2}/.test(isoString || '')) return '';
+    return formatLocalDateTime(isoString, { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Formata uma string de data/hora ISO no padrão do idioma atual (em pt-BR, DD/MM/YYYY HH:MM).
+ * 
+ * @function formatDateTimeLocal
+ * @param {string} isoString - String de data/hora no formato ISO (ex: '2025-11-10T14:30' ou '2025-11-10T14:30:45').
+ *                             Se vazio ou inválido, retorna a data/hora atual formatada.
+ * @returns {string} Data e hora formatadas (ex: '10/11/2025 14:30' em pt-BR, '11/10/2025 02:30 PM' em inglês).
+ * 
+ * @example
+ * const formatted = formatDateTimeLocal('2025-11-10T14:30');
+ * console.log(formatted); // Output: '10/11/2025 14:30'
+ * 
+ * const current = formatDateTimeLocal('');
+ * console.log(current); // Output: (data/hora atual formatada, ex: '10/11/2025 15:45')
+ */
+function formatDateTimeLocal(isoString) {
+    // isoString expected like 'YYYY-MM-DDTHH:MM' or 'YYYY-MM-DDTHH:MM:SS'
+    if (!isoString) return new Date().toLocaleString(currentLocale);
+    // data e hora formatadas separadamente para manter o formato 'data hora' (sem vírgula)
+    if (/T\d{2}:\d{2}/.test(isoString) && parseLocalDateTime(isoString)) {
+        return `${formatDate(isoString)} ${formatTimeOfDay(isoString)}`;
+    }
+    // fallback to locale formatting
+    try {
+        return new Date(isoString).toLocaleString(currentLocale);
+    } catch (e) {
+        return isoString;
+    }
+}
+
+/**
+ * Exibe cidade, temperatura (com a sensação térmica), vento (com direção), descrição, nascer/pôr do sol,
+ * data/hora e ícone do clima atual.
+ * Atualiza os elementos existentes em `root` e cria os que faltarem.
+ *
+ * @function renderCurrentWeather
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ */
+function renderCurrentWeather(root, view) {
+    const doc = root.ownerDocument;
+    const { city: cityData, current: weather, units } = view;
+    // Exibir resultados solicitados: cidade, país, temperatura e descrição
+    const cityEl = root.querySelector('#cityName');
+    const tempEl = root.querySelector('#temperature');
+    const desc = getWeatherDescription(weather.weathercode);
+
+    if (cityEl) cityEl.textContent = formatCityLabel(cityData);
+    if (tempEl) tempEl.textContent = formatTemperature(weather.temperature, units.temperature);
+
+    // sensação térmica ao lado da temperatura principal (oculta se a fonte de dados não a informar)
+    let feelsEl = root.querySelector('#feelsLike');
+    if (!feelsEl && tempEl) {
+        feelsEl = doc.createElement('div');
+        feelsEl.id = 'feelsLike';
+        feelsEl.className = 'feels-like';
+        tempEl.insertAdjacentElement('afterend', feelsEl);
+    }
+    if (feelsEl) {
+        const hasFeelsLike = typeof weather.apparent_temperature === 'number';
+        feelsEl.hidden = !hasFeelsLike;
+        feelsEl.textContent = hasFeelsLike
+            ? t('current.feelsLike', { temperature: formatTemperature(weather.apparent_temperature, units.temperature) })
+            : '';
+    }
+
+    // criar/atualizar elemento de descrição (se existir no HTML, caso contrário criamos)
+    let descEl = root.querySelector('#description');
+    if (!descEl) {
+        descEl = doc.createElement('div');
+        descEl.id = 'description';
+        descEl.className = 'weather-description';
+        const current = root.querySelector('.current-weather');
+        if (current) current.appendChild(descEl);
+    }
+    descEl.textContent = desc;
+
+    // mostrar data/hora da consulta (usando o campo time retornado por Open-Meteo)
+    let datetimeEl = root.querySelector('#datetime');
+    const formatted = formatDateTimeLocal(weather.time);
+    if (!datetimeEl) {
+        datetimeEl = doc.createElement('div');
+        datetimeEl.id = 'datetime';
+        datetimeEl.className = 'datetime';
+        // inserir após a descrição do clima
+        let descEl = root.querySelector('#description');
+        if (descEl && descEl.parentNode) {
+            descEl.insertAdjacentElement('afterend', datetimeEl);
+        } else {
+            const current = root.querySelector('.current-weather');
+            if (current) current.appendChild(datetimeEl);
+        }
+    }
+    datetimeEl.textContent = `${formatted}`;
+
+    // vento (velocidade, seta e ponto cardeal), logo antes da data/hora
+    let windEl = root.querySelector('#windSpeed');
+    if (!windEl) {
+        windEl = doc.createElement('div');
+        windEl.id = 'windSpeed';
+        windEl.className = 'wind-speed';
+        datetimeEl.insertAdjacentElement('beforebegin', windEl);
+    }
+    windEl.textContent = t('current.wind', { speed: formatWindSpeed(weather.windspeed, units.windspeed) });
+    const compass = getCompassDirection(weather.winddirection);
+    if (compass) {
+        // a direção indica de onde o vento vem; a seta aponta para onde ele vai
+        const arrow = doc.createElement('i');
+        arrow.className = 'wi wi-direction-up wind-arrow';
+        arrow.setAttribute('aria-hidden', 'true');
+        arrow.style.transform = `rotate(${(weather.winddirection + 180) % 360}deg)`;
+        const label = doc.createElement('span');
+        label.className = 'wind-compass';
+        label.textContent = compass;
+        label.title = t('current.windFrom', { direction: compass, degrees: Math.round(weather.winddirection) });
+        windEl.appendChild(doc.createTextNode(' '));
+        windEl.appendChild(arrow);
+        windEl.appendChild(label);
+    }
+
+    // nascer e pôr do sol de hoje, da previsão diária (oculto sem esses dados)
+    let sunEl = root.querySelector('#sunTimes');
+    if (!sunEl) {
+        sunEl = doc.createElement('div');
+        sunEl.id = 'sunTimes';
+        sunEl.className = 'sun-times';
+        datetimeEl.insertAdjacentElement('beforebegin', sunEl);
+    }
+    sunEl.innerHTML = '';
+    const daily = view.daily;
+    const dayIndex = daily && Array.isArray(daily.time) && weather.time ? daily.time.indexOf(weather.time.slice(0, 10)) : -1;
+    const sunrise = dayIndex >= 0 && Array.isArray(daily.sunrise) ? formatTimeOfDay(daily.sunrise[dayIndex]) : '';
+    const sunset = dayIndex >= 0 && Array.isArray(daily.sunset) ? formatTimeOfDay(daily.sunset[dayIndex]) : '';
+    sunEl.hidden = !sunrise || !sunset;
+    if (!sunEl.hidden) {
+        [['wi-sunrise', 'current.sunrise', sunrise], ['wi-sunset', 'current.sunset', sunset]].forEach(([icon, key, time]) => {
+            const item = doc.createElement('span');
+            item.className = 'sun-time';
+            const iconEl = doc.createElement('i');
+            iconEl.className = `wi ${icon}`;
+            iconEl.setAttribute('aria-hidden', 'true');
+            item.appendChild(iconEl);
+            item.appendChild(doc.createTextNode(` ${t(key, { time })}`));
+            sunEl.appendChild(item);
+        });
+    }
+
+    // atualizar ou criar ícone de clima usando weather-icons (variante de noite quando is_day = 0)
+    let iconEl = root.querySelector('#weatherIcon');
+    const iconClass = getWeatherIcon(weather.weathercode, weather.is_day !== 0);
+    if (!iconEl) {
+        iconEl = doc.createElement('i');
+        iconEl.id = 'weatherIcon';
+        iconEl.className = `wi weather-icon ${iconClass}`;
+        const current = root.querySelector('.current-weather');
+        if (current) current.insertBefore(iconEl, current.firstChild);
+    } else {
+        // substituir classes preservando 'wi' e 'weather-icon'
+        iconEl.className = `wi weather-icon ${iconClass}`;
+    }
+    // o ícone do clima atual é informativo: leitores de tela leem a descrição
+    iconEl.removeAttribute('aria-hidden');
+    iconEl.setAttribute('role', 'img');
+    iconEl.setAttribute('aria-label', desc);
+}
+
+// Itens da grade de detalhes do clima atual: campo do modelo, chave de tradução e formatação do valor
+const CURRENT_DETAILS = [
+    ['humidity', 'current.humidity', (value) => `${formatNumber(value, { maximumFractionDigits: 0 })}%`],
+    ['pressure', 'current.pressure', (value) => `${formatNumber(value, { maximumFractionDigits: 0 })} hPa`],
+    ['precipitation', 'current.precipitation', (value, units) => formatPrecipitation(value, units.precipitation)],
+    ['cloudcover', 'current.cloudcover', (value) => `${formatNumber(value, { maximumFractionDigits: 0 })}%`],
+    ['windgusts', 'current.windgusts', (value, units) => formatWindSpeed(value, units.windspeed)],
+    // a API informa a visibilidade em metros; abaixo de 10 km, com uma casa decimal
+    ['visibility', 'current.visibility', (value) => `${formatNumber(value / 1000, { maximumFractionDigits: value < 10000 ? 1 : 0 })} km`]
+];
+
+/**
+ * Exibe a grade de detalhes do clima atual (umidade, pressão, precipitação, nuvens, rajadas e visibilidade)
+ * no fim de `.current-weather`. Itens sem dado são omitidos e, sem nenhum, a grade fica oculta.
+ *
+ * @function renderCurrentDetails
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ */
+function renderCurrentDetails(root, view) {
+    const doc = root.ownerDocument;
+    const { current: weather, units } = view;
+    let grid = root.querySelector('#currentDetails');
+    if (!grid) {
+        grid = doc.createElement('dl');
+        grid.id = 'currentDetails';
+        grid.className = 'weather-details';
+        const current = root.querySelector('.current-weather');
+        if (current) current.appendChild(grid);
+        else root.appendChild(grid);
+    }
+    grid.innerHTML = '';
+    grid.setAttribute('aria-label', t('current.details'));
+    CURRENT_DETAILS.forEach(([field, key, format]) => {
+        const value = weather ? weather[field] : null;
+        if (typeof value !== 'number' || Number.isNaN(value)) return;
+        const item = doc.createElement('div');
+        item.className = `detail-item detail-${field}`;
+        const label = doc.createElement('dt');
+        label.className = 'detail-label';
+        label.textContent = t(key);
+        const valueEl = doc.createElement('dd');
+        valueEl.className = 'detail-value';
+        valueEl.textContent = format(value, units);
+        item.appendChild(label);
+        item.appendChild(valueEl);
+        grid.appendChild(item);
+    });
+    grid.hidden = !grid.children.length;
+}
+
+/**
+ * Resumo falado de um dia da previsão, lido por leitores de tela no lugar das colunas visuais
+ * (dia, data, descrição, máxima, mínima e, se houver, a chance de chuva).
+ *
+ * @function describeForecastDay
+ * @param {Object} daily - Previsão diária no modelo normalizado (nas unidades de exibição).
+ * @param {number} i - Índice do dia.
+ * @param {Object} [units] - Unidades de exibição (padrão: °C, km/h, mm).
+ * @returns {string} Ex: 'Segunda-feira, 10/11/2025: Chuva leve. Máxima 29°C, mínima 18°C. Chance de chuva 80%.'
+ */
+function describeForecastDay(daily, i, units) {
+    const u = normalizeUnits(units);
+    const valueAt = (field) => (Array.isArray(daily[field]) ? daily[field][i] : null);
+    const date = daily.time[i];
+    const summary = t('daily.summary', {
+        weekday: formatWeekday(date),
+        date: formatDate(date),
+        description: getWeatherDescription(valueAt('weathercode')),
+        max: formatTemperature(valueAt('temperature_max'), u.temperature),
+        min: formatTemperature(valueAt('temperature_min'), u.temperature)
+    });
+    const probability = valueAt('precipitation_probability_max');
+    return Number.isFinite(probability)
+        ? `${summary} ${t('daily.summaryRain', { probability: `${Math.round(probability)}%` })}`
+        : summary;
+}
+
+/**
+ * Exibe a lista "Próximos dias" a partir do objeto `daily` normalizado, com o seletor de
+ * 3/7/14 dias (botões `data-days`) e, em cada dia, um botão que expande os detalhes
+ * (chuva, chance de chuva, vento máximo, UV máximo e nascer/pôr do sol).
+ * Dias expandidos continuam expandidos ao renderizar de novo. Sem dados diários, o container fica vazio.
+ *
+ * @function renderForecast
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ */
+function renderForecast(root, view) {
+    const doc = root.ownerDocument;
+    const { daily, units } = view;
+    // criar ou limpar container de forecast
+    let forecastEl = root.querySelector('#forecast5');
+    if (!forecastEl) {
+        forecastEl = doc.createElement('div');
+        forecastEl.id = 'forecast5';
+        forecastEl.className = 'forecast-5day';
+        const info = root;
+        const backButtonEl = root.querySelector('#backBtn');
+        // preferir inserir a previsão antes do botão "Voltar" para melhor organização
+        if (info && backButtonEl && backButtonEl.parentNode === info) {
+            info.insertBefore(forecastEl, backButtonEl);
+        } else if (info) {
+            info.appendChild(forecastEl);
+        }
+    }
+    const expanded = new Set([...forecastEl.querySelectorAll('.forecast-day.expanded')].map((day) => day.dataset.date));
+    forecastEl.innerHTML = '';
+
+    if (daily && Array.isArray(daily.time) && daily.time.length) {
+        // Título "Próximos dias" e seletor da quantidade de dias
+        const header = doc.createElement('div');
+        header.className = 'forecast-header';
+        const titleEl = doc.createElement('h3');
+        titleEl.id = 'forecastTitle';
+        titleEl.className = 'forecast-title';
+        titleEl.textContent = t('daily.title');
+        const range = doc.createElement('div');
+        range.className = 'forecast-range';
+        range.setAttribute('role', 'group');
+        range.setAttribute('aria-label', t('daily.range'));
+        FORECAST_DAYS_OPTIONS.forEach((days) => {
+            const btn = doc.createElement('button');
+            btn.type = 'button';
+            btn.dataset.days = days;
+            btn.textContent = days;
+            btn.title = t('daily.rangeOption', { count: days });
+            btn.setAttribute('aria-label', btn.title);
+            btn.setAttribute('aria-pressed', days === view.forecastDays ? 'true' : 'false');
+            range.appendChild(btn);
+        });
+        header.appendChild(titleEl);
+        header.appendChild(range);
+        forecastEl.appendChild(header);
+        renderForecastChart(root, view);
+
+        const list = doc.createElement('ul');
+        list.className = 'forecast-list';
+        // `list-style: none` faz alguns leitores de tela (Safari/VoiceOver) ignorarem a lista; o papel explícito a mantém
+        list.setAttribute('role', 'list');
+        list.setAttribute('aria-labelledby', titleEl.id);
+        for (let i = 0; i < daily.time.length; i++) {
+            const isoDate = daily.time[i]; // 'YYYY-MM-DD'
+            const day = doc.createElement('li');
+            day.className = 'forecast-day';
+            day.dataset.date = isoDate;
+            const li = doc.createElement('div');
+            li.className = 'forecast-item';
+            li.dataset.date = isoDate;
+
+            // Left: weekday above date
+            const left = doc.createElement('div');
+            left.className = 'forecast-left';
+            const wd = doc.createElement('div');
+            wd.className = 'forecast-weekday';
+            wd.textContent = formatWeekday(isoDate);
+            const dt = doc.createElement('div');
+            dt.className = 'forecast-date';
+            dt.textContent = formatDate(isoDate);
+            left.appendChild(wd);
+            left.appendChild(dt);
+
+            // Center: icon + description
+            const center = doc.createElement('div');
+            center.className = 'forecast-center';
+            const code = Array.isArray(daily.weathercode) ? daily.weathercode[i] : null;
+            const iconClass = (typeof getWeatherIcon === 'function' && code !== null) ? getWeatherIcon(code) : 'wi-na';
+            const iconEl = doc.createElement('i');
+            iconEl.className = `wi forecast-icon ${iconClass}`;
+            iconEl.setAttribute('aria-hidden', 'true');
+            const descElDay = doc.createElement('div');
+            descElDay.className = 'forecast-desc';
+            descElDay.textContent = getWeatherDescription(code);
+            center.appendChild(iconEl);
+            center.appendChild(descElDay);
+
+            // Right: max above min (stacked)
+            const right = doc.createElement('div');
+            right.className = 'forecast-right';
+            const max = Array.isArray(daily.temperature_max) ? daily.temperature_max[i] : null;
+            const min = Array.isArray(daily.temperature_min) ? daily.temperature_min[i] : null;
+            const maxEl = doc.createElement('div');
+            maxEl.className = 'temp-max';
+            maxEl.textContent = formatTemperature(max, units.temperature);
+            const minEl = doc.createElement('div');
+            minEl.className = 'temp-min';
+            minEl.textContent = formatTemperature(min, units.temperature);
+            right.appendChild(maxEl);
+            right.appendChild(minEl);
+
+            // assemble: as colunas visuais ficam ocultas para leitores de tela, que leem o resumo do dia
+            // (também o nome do item quando ele leva às horas do dia)
+            const summary = doc.createElement('span');
+            summary.className = 'sr-only forecast-summary';
+            summary.textContent = describeForecastDay(daily, i, units);
+            [left, center, right].forEach((el) => el.setAttribute('aria-hidden', 'true'));
+            li.appendChild(summary);
+            li.appendChild(left);
+            li.appendChild(center);
+            li.appendChild(right);
+            day.appendChild(li);
+
+            // detalhes do dia, exibidos pelo botão de expandir
+            const details = createForecastDetails(doc, daily, i, units);
+            if (details) {
+                details.id = `forecastDetails-${isoDate}`;
+                const toggle = doc.createElement('button');
+                toggle.type = 'button';
+                toggle.className = 'forecast-toggle';
+                toggle.textContent = '▾';
+                toggle.title = t('daily.details');
+                toggle.setAttribute('aria-label', `${t('daily.details')}: ${formatWeekday(isoDate)}`);
+                toggle.setAttribute('aria-controls', details.id);
+                day.appendChild(toggle);
+                day.appendChild(details);
+                setForecastDayExpanded(day, expanded.has(isoDate));
+            }
+            list.appendChild(day);
+        }
+        forecastEl.appendChild(list);
+        linkForecastToHourly(root);
+    }
+}
+
+// Lista (`dl`) com os campos extras de um dia da previsão, ou null se nenhum estiver disponível
+function createForecastDetails(doc, daily, i, units) {
+    const valueAt = (field) => (Array.isArray(daily[field]) ? daily[field][i] : null);
+    const uv = valueAt('uv_index_max');
+    const uvLevel = classifyUvIndex(uv);
+    const sunrise = valueAt('sunrise');
+    const sunset = valueAt('sunset');
+    const rows = [
+        ['daily.precipitationSum', Number.isFinite(valueAt('precipitation_sum'))
+            ? formatPrecipitation(valueAt('precipitation_sum'), units.precipitation) : ''],
+        ['daily.precipitationProbability', Number.isFinite(valueAt('precipitation_probability_max'))
+            ? `${Math.round(valueAt('precipitation_probability_max'))}%` : ''],
+        ['daily.windMax', Number.isFinite(valueAt('windspeed_max'))
+            ? formatWindSpeed(valueAt('windspeed_max'), units.windspeed) : ''],
+        ['daily.uvMax', uvLevel
+            ? `${formatNumber(uv, { maximumFractionDigits: 1 })} (${t(`uv.level.${uvLevel.level}`)})` : ''],
+        ['daily.sunrise', sunrise ? formatTimeOfDay(sunrise) : ''],
+        ['daily.sunset', sunset ? formatTimeOfDay(sunset) : '']
+    ].filter(([, value]) => value);
+    if (!rows.length) return null;
+
+    const details = doc.createElement('dl');
+    details.className = 'forecast-details';
+    rows.forEach(([key, value]) => {
+        const dt = doc.createElement('dt');
+        dt.textContent = t(key);
+        const dd = doc.createElement('dd');
+        dd.textContent = value;
+        details.appendChild(dt);
+        details.appendChild(dd);
+    });
+    return details;
+}
+
+// Mostra ou oculta os detalhes de um dia (`li.forecast-day`) e atualiza o botão correspondente
+function setForecastDayExpanded(day, expanded) {
+    const details = day.querySelector('.forecast-details');
+    const toggle = day.querySelector('.forecast-toggle');
+    if (!details || !toggle) return;
+    day.classList.toggle('expanded', expanded);
+    details.hidden = !expanded;
+    toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+}
+
+/**
+ * Expande ou recolhe os detalhes de um dia de "Próximos dias".
+ *
+ * @function toggleForecastDetails
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {string} date - Data do dia ('YYYY-MM-DD').
+ * @returns {boolean} `true` se o dia ficou expandido.
+ */
+function toggleForecastDetails(root, date) {
+    const day = root.querySelector(`#forecast5 .forecast-day[data-date="${date}"]`);
+    if (!day) return false;
+    const expanded = !day.classList.contains('expanded');
+    setForecastDayExpanded(day, expanded);
+    return expanded;
+}
+
+// Dimensões padrão do gráfico e margens reservadas para os eixos
+const CHART_SIZE = { width: 320, height: 180 };
+const CHART_PADDING = { top: 14, right: 34, bottom: 26, left: 34 };
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Cria uma escala linear que converte valores do domínio em coordenadas do intervalo.
+ * Com domínio degenerado (início igual ao fim), todos os valores vão para o meio do intervalo.
+ *
+ * @function linearScale
+ * @param {number[]} domain - `[mínimo, máximo]` dos valores.
+ * @param {number[]} range - `[início, fim]` em pixels (pode ser invertido, como no eixo y do SVG).
+ * @returns {Function} Função `(valor) => coordenada`.
+ *
+ * @example
+ * const y = linearScale([0, 10], [100, 0]);
+ * y(5); // Output: 50
+ */
+function linearScale(domain, range) {
+    const [d0, d1] = domain;
+    const [r0, r1] = range;
+    if (d0 === d1) return () => (r0 + r1) / 2;
+    return (value) => r0 + ((value - d0) / (d1 - d0)) * (r1 - r0);
+}
+
+/**
+ * Gera marcações "redondas" (passos de 1, 2 ou 5 × 10^n) que cobrem o intervalo informado.
+ *
+ * @function niceTicks
+ * @param {number} min - Menor valor a cobrir.
+ * @param {number} max - Maior valor a cobrir.
+ * @param {number} [count=4] - Quantidade aproximada de intervalos.
+ * @returns {number[]} Marcações em ordem crescente; a primeira ≤ `min` e a última ≥ `max`.
+ *
+ * @example
+ * niceTicks(17.2, 29.8); // Output: [15, 20, 25, 30]
+ */
+function niceTicks(min, max, count = 4) {
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const rough = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map((m) => m * magnitude).find((candidate) => candidate >= rough);
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const ticks = [];
+    // para na primeira marcação que alcança o máximo (com tolerância para erros de ponto flutuante)
+    for (let i = Math.floor(min / step); ; i++) {
+        const value = Number((i * step).toFixed(decimals));
+        ticks.push(value);
+        if (value >= max - step * 1e-9) break;
+    }
+    return ticks;
+}
+
+/**
+ * Monta o atributo `d` de um caminho SVG ligando os pontos em sequência. Pontos com
+ * coordenada ausente interrompem a linha, que recomeça no próximo ponto válido.
+ *
+ * @function buildLinePath
+ * @param {Array<{x: number, y: number|null}>} points - Pontos em coordenadas do SVG.
+ * @returns {string} Ex: 'M10,20L30,40'; '' se não houver pontos válidos.
+ */
+function buildLinePath(points) {
+    let path = '';
+    let drawing = false;
+    points.forEach(({ x, y }) => {
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            drawing = false;
+            return;
+        }
+        path += `${drawing ? 'L' : 'M'}${Math.round(x * 10) / 10},${Math.round(y * 10) / 10}`;
+        drawing = true;
+    });
+    return path;
+}
+
+/**
+ * Calcula a geometria do gráfico de "Próximos dias": linhas de máxima e mínima (eixo da
+ * esquerda), barras de chuva (eixo da direita), marcações dos eixos e rótulos das datas.
+ * Não acessa o DOM.
+ *
+ * @function computeForecastChart
+ * @param {Object} daily - Objeto `daily` normalizado (`time`, `temperature_max`, `temperature_min`
+ *  e, opcionalmente, `precipitation_sum`).
+ * @param {Object} [size] - `{width, height}` do gráfico em pixels (padrão: 320 × 180).
+ * @returns {Object|null} `{width, height, plot, days, maxPath, minPath, bars, temperatureTicks,
+ *  precipitationTicks, labels}`, ou `null` sem dados de temperatura.
+ *  - `days`: um item por dia `{date, x, band, max, min, precipitation, maxY, minY}`
+ *  - `bars`: `{date, x, y, width, height}` das barras de chuva (vazio sem `precipitation_sum`)
+ *  - `temperatureTicks` / `precipitationTicks`: `{value, y}` das marcações de cada eixo
+ *  - `labels`: `{date, x}` das datas exibidas no eixo x (espaçadas para não se sobreporem)
+ */
+function computeForecastChart(daily, size = CHART_SIZE) {
+    if (!daily || !Array.isArray(daily.time) || !daily.time.length) return null;
+    const valuesOf = (field) => daily.time.map((_, i) => (Array.isArray(daily[field]) && Number.isFinite(daily[field][i]) ? daily[field][i] : null));
+    const max = valuesOf('temperature_max');
+    const min = valuesOf('temperature_min');
+    const temperatures = [...max, ...min].filter((v) => v !== null);
+    if (!temperatures.length) return null;
+    const hasPrecipitation = Array.isArray(daily.precipitation_sum);
+    const precipitation = valuesOf('precipitation_sum');
+
+    const width = Math.max(size.width || CHART_SIZE.width, 120);
+    const height = Math.max(size.height || CHART_SIZE.height, 80);
+    const plot = {
+        left: CHART_PADDING.left,
+        right: width - CHART_PADDING.right,
+        top: CHART_PADDING.top,
+        bottom: height - CHART_PADDING.bottom
+    };
+    const band = (plot.right - plot.left) / daily.time.length;
+    const xAt = (i) => plot.left + band * (i + 0.5);
+
+    const temperatureTicks = niceTicks(Math.min(...temperatures), Math.max(...temperatures), 4);
+    const y = linearScale([temperatureTicks[0], temperatureTicks[temperatureTicks.length - 1]], [plot.bottom, plot.top]);
+    const precipitationTicks = hasPrecipitation
+        ? niceTicks(0, Math.max(1, ...precipitation.filter((v) => v !== null)), 3)
+        : [];
+    const yPrecipitation = hasPrecipitation
+        ? linearScale([0, precipitationTicks[precipitationTicks.length - 1]], [plot.bottom, plot.top])
+        : null;
+
+    const days = daily.time.map((date, i) => ({
+        date,
+        x: xAt(i),
+        band,
+        max: max[i],
+        min: min[i],
+        precipitation: precipitation[i],
+        maxY: max[i] !== null ? y(max[i]) : null,
+        minY: min[i] !== null ? y(min[i]) : null
+    }));
+    const barWidth = band * 0.5;
+    const bars = hasPrecipitation ? days
+        .filter((day) => day.precipitation !== null && day.precipitation > 0)
+        .map((day) => {
+            const top = yPrecipitation(day.precipitation);
+            return { date: day.date, x: day.x - barWidth / 2, y: top, width: barWidth, height: plot.bottom - top };
+        }) : [];
+
+    // uma data a cada `every` dias, para caberem ~40px por rótulo
+    const every = Math.max(1, Math.ceil(daily.time.length / Math.max(1, Math.floor((plot.right - plot.left) / 40))));
+    const labels = days.filter((_, i) => i % every === 0).map((day) => ({ date: day.date, x: day.x }));
+
+    return {
+        width,
+        height,
+        plot,
+        days,
+        maxPath: buildLinePath(days.map((day) => ({ x: day.x, y: day.maxY }))),
+        minPath: buildLinePath(days.map((day) => ({ x: day.x, y: day.minY }))),
+        bars,
+        temperatureTicks: temperatureTicks.map((value) => ({ value, y: y(value) })),
+        precipitationTicks: precipitationTicks.map((value) => ({ value, y: yPrecipitation(value) })),
+        labels
+    };
+}
+
+// Cria um elemento SVG com os atributos informados
+function createSvgElement(doc, tag, attributes = {}) {
+    const el = doc.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, String(value)));
+    return el;
+}
+
+/**
+ * Desenha o gráfico de temperatura e chuva em `#forecast5` (entre o título e a lista de dias),
+ * com a largura atual do container. Cada dia tem uma área focável que mostra um tooltip
+ * ao passar o mouse ou receber o foco. Renderizar de novo substitui o gráfico anterior.
+ *
+ * @function renderForecastChart
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ */
+function renderForecastChart(root, view) {
+    const doc = root.ownerDocument;
+    const forecastEl = root.querySelector('#forecast5');
+    if (!forecastEl) return;
+    let chartEl = forecastEl.querySelector('#forecastChart');
+    const width = forecastEl.clientWidth ? forecastEl.clientWidth - 28 : CHART_SIZE.width;
+    const chart = computeForecastChart(view.daily, { width, height: CHART_SIZE.height });
+    if (!chart) {
+        if (chartEl) chartEl.remove();
+        return;
+    }
+    if (!chartEl) {
+        chartEl = doc.createElement('div');
+        chartEl.id = 'forecastChart';
+        chartEl.className = 'forecast-chart';
+        const header = forecastEl.querySelector('.forecast-header');
+        if (header) header.insertAdjacentElement('afterend', chartEl);
+        else forecastEl.insertBefore(chartEl, forecastEl.firstChild);
+    }
+    chartEl.innerHTML = '';
+    const { units } = view;
+
+    const svg = createSvgElement(doc, 'svg', {
+        viewBox: `0 0 ${chart.width} ${chart.height}`,
+        width: chart.width,
+        height: chart.height,
+        role: 'group',
+        'aria-label': t('chart.title')
+    });
+
+    // linhas de grade e rótulos do eixo de temperatura (esquerda) e de chuva (direita)
+    chart.temperatureTicks.forEach(({ value, y }) => {
+        svg.appendChild(createSvgElement(doc, 'line', { class: 'chart-grid', x1: chart.plot.left, x2: chart.plot.right, y1: y, y2: y }));
+        const label = createSvgElement(doc, 'text', { class: 'chart-axis chart-axis-temperature', x: chart.plot.left - 6, y: y + 4, 'text-anchor': 'end' });
+        label.textContent = formatNumber(value);
+        svg.appendChild(label);
+    });
+    chart.precipitationTicks.forEach(({ value, y }) => {
+        const label = createSvgElement(doc, 'text', { class: 'chart-axis chart-axis-precipitation', x: chart.plot.right + 6, y: y + 4, 'text-anchor': 'start' });
+        label.textContent = formatNumber(value);
+        svg.appendChild(label);
+    });
+    [[UNIT_OPTIONS.temperature[units.temperature], chart.plot.left - 6, 'end'],
+        [chart.precipitationTicks.length ? UNIT_OPTIONS.precipitation[units.precipitation] : '', chart.plot.right + 6, 'start']]
+        .forEach(([text, x, anchor]) => {
+            if (!text) return;
+            const unitEl = createSvgElement(doc, 'text', { class: 'chart-axis chart-unit', x, y: chart.plot.top - 4, 'text-anchor': anchor });
+            unitEl.textContent = text;
+            svg.appendChild(unitEl);
+        });
+    chart.labels.forEach(({ date, x }) => {
+        const label = createSvgElement(doc, 'text', { class: 'chart-axis chart-axis-date', x, y: chart.height - 8, 'text-anchor': 'middle' });
+        label.textContent = formatShortDate(date);
+        svg.appendChild(label);
+    });
+
+    chart.bars.forEach((bar) => {
+        svg.appendChild(createSvgElement(doc, 'rect', { class: 'chart-bar', x: bar.x, y: bar.y, width: bar.width, height: bar.height, rx: 2 }));
+    });
+    svg.appendChild(createSvgElement(doc, 'path', { class: 'chart-line chart-line-max', d: chart.maxPath }));
+    svg.appendChild(createSvgElement(doc, 'path', { class: 'chart-line chart-line-min', d: chart.minPath }));
+
+    // tooltip em HTML, posicionado sobre o dia em foco
+    const tooltip = doc.createElement('div');
+    tooltip.className = 'chart-tooltip';
+    tooltip.setAttribute('role', 'tooltip');
+    tooltip.id = 'forecastChartTooltip';
+    tooltip.hidden = true;
+    const show = (day) => {
+        tooltip.textContent = t('chart.tooltip', {
+            date: `${formatWeekday(day.date)} ${formatShortDate(day.date)}`,
+            max: formatTemperature(day.max, units.temperature),
+            min: formatTemperature(day.min, units.temperature),
+            precipitation: day.precipitation !== null ? formatPrecipitation(day.precipitation, units.precipitation) : '--'
+        });
+        tooltip.style.left = `${(day.x / chart.width) * 100}%`;
+        tooltip.hidden = false;
+    };
+    const hide = () => { tooltip.hidden = true; };
+
+    chart.days.forEach((day) => {
+        [[day.maxY, 'chart-point-max'], [day.minY, 'chart-point-min']].forEach(([cy, className]) => {
+            if (cy !== null) svg.appendChild(createSvgElement(doc, 'circle', { class: `chart-point ${className}`, cx: day.x, cy, r: 3 }));
+        });
+        const hit = createSvgElement(doc, 'rect', {
+            class: 'chart-hit',
+            x: day.x - day.band / 2,
+            y: chart.plot.top,
+            width: day.band,
+            height: chart.plot.bottom - chart.plot.top,
+            tabindex: 0,
+            'data-date': day.date,
+            'aria-describedby': tooltip.id
+        });
+        hit.addEventListener('mouseenter', () => show(day));
+        hit.addEventListener('focus', () => show(day));
+        hit.addEventListener('mouseleave', hide);
+        hit.addEventListener('blur', hide);
+        svg.appendChild(hit);
+    });
+
+    const legend = doc.createElement('div');
+    legend.className = 'chart-legend';
+    [['max', 'chart.max'], ['min', 'chart.min'], ['precipitation', 'chart.precipitation']].forEach(([kind, key]) => {
+        if (kind === 'precipitation' && !chart.precipitationTicks.length) return;
+        const item = doc.createElement('span');
+        item.className = `chart-legend-item chart-legend-${kind}`;
+        item.textContent = t(key);
+        legend.appendChild(item);
+    });
+
+    chartEl.appendChild(svg);
+    chartEl.appendChild(tooltip);
+    chartEl.appendChild(legend);
+}
+
+/**
+ * Exibe a faixa horizontal com a previsão hora a hora, entre o clima atual e "Próximos dias".
+ * Sem dados horários, a faixa fica oculta.
+ *
+ * @function renderHourly
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ */
+function renderHourly(root, view) {
+    const doc = root.ownerDocument;
+    const { hourly, units } = view;
+    let hourlyEl = root.querySelector('#hourlyForecast');
+    if (!hourlyEl) {
+        hourlyEl = doc.createElement('div');
+        hourlyEl.id = 'hourlyForecast';
+        hourlyEl.className = 'hourly-forecast';
+        const current = root.querySelector('.current-weather');
+        if (current) current.insertAdjacentElement('afterend', hourlyEl);
+    } else {
+        hourlyEl.innerHTML = '';
+    }
+
+    if (!hourly || !Array.isArray(hourly.time) || !hourly.time.length) {
+        hourlyEl.style.display = 'none';
+        return;
+    }
+    hourlyEl.style.display = 'block';
+
+    const titleEl = doc.createElement('h3');
+    titleEl.className = 'forecast-title';
+    titleEl.textContent = t('hourly.title');
+    hourlyEl.appendChild(titleEl);
+
+    const strip = doc.createElement('ol');
+    strip.className = 'hourly-strip';
+    strip.id = 'hourlyStrip';
+    strip.tabIndex = 0;
+    let previousDate = null;
+    for (let i = 0; i < hourly.time.length; i++) {
+        const time = hourly.time[i];
+        const date = time.slice(0, 10);
+        const temperature = Array.isArray(hourly.temperature) ? hourly.temperature[i] : null;
+        const probability = Array.isArray(hourly.precipitation_probability) ? hourly.precipitation_probability[i] : null;
+        const amount = Array.isArray(hourly.precipitation) ? hourly.precipitation[i] : null;
+        const code = Array.isArray(hourly.weathercode) ? hourly.weathercode[i] : null;
+        const isDay = Array.isArray(hourly.is_day) ? hourly.is_day[i] !== 0 : true;
+
+        const li = doc.createElement('li');
+        li.className = 'hourly-item';
+        li.dataset.date = date;
+        // destaca as horas com chance alta de chuva
+        if (probability >= 50) li.classList.add('rainy');
+        // marca a primeira hora de cada dia (usado para o salto a partir de "Próximos dias")
+        if (date !== previousDate) {
+            li.classList.add('day-start');
+            const dayEl = doc.createElement('span');
+            dayEl.className = 'hourly-day';
+            dayEl.textContent = formatShortDate(date);
+            li.appendChild(dayEl);
+            previousDate = date;
+        }
+
+        const hourEl = doc.createElement('span');
+        hourEl.className = 'hourly-hour';
+        hourEl.textContent = formatHourLabel(time);
+        const iconEl = doc.createElement('i');
+        iconEl.className = `wi hourly-icon ${code !== null ? getWeatherIcon(code, isDay) : 'wi-na'}`;
+        iconEl.setAttribute('aria-hidden', 'true');
+        iconEl.title = getWeatherDescription(code);
+        const tempEl = doc.createElement('span');
+        tempEl.className = 'hourly-temp';
+        tempEl.textContent = formatTemperature(temperature, units.temperature);
+        const rainEl = doc.createElement('span');
+        rainEl.className = 'hourly-rain';
+        rainEl.textContent = typeof probability === 'number' ? `${probability}%` : '--';
+        li.appendChild(hourEl);
+        li.appendChild(iconEl);
+        li.appendChild(tempEl);
+        li.appendChild(rainEl);
+        if (amount > 0) {
+            const amountEl = doc.createElement('span');
+            amountEl.className = 'hourly-amount';
+            amountEl.textContent = formatPrecipitation(amount, units.precipitation);
+            li.appendChild(amountEl);
+        }
+        strip.appendChild(li);
+    }
+    hourlyEl.appendChild(strip);
+    linkForecastToHourly(root);
+}
+
+/**
+ * Rola a faixa por hora até a primeira hora do dia informado.
+ *
+ * @function scrollHourlyToDate
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {string} date - Dia no formato 'YYYY-MM-DD'.
+ * @returns {boolean} `true` se o dia existir na faixa.
+ */
+function scrollHourlyToDate(root, date) {
+    const strip = root.querySelector('#hourlyStrip');
+    if (!strip) return false;
+    const target = strip.querySelector(`.hourly-item[data-date="${date}"]`);
+    if (!target) return false;
+    const left = target.offsetLeft - strip.offsetLeft;
+    if (typeof strip.scrollTo === 'function') strip.scrollTo({ left, behavior: 'smooth' });
+    else strip.scrollLeft = left;
+    return true;
+}
+
+/**
+ * Torna clicáveis (classe `has-hours`, papel de botão) os dias de "Próximos dias"
+ * que possuem horas na faixa por hora.
+ *
+ * @function linkForecastToHourly
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ */
+function linkForecastToHourly(root) {
+    const strip = root.querySelector('#hourlyStrip');
+    root.querySelectorAll('#forecast5 .forecast-item').forEach((item) => {
+        const hasHours = !!(strip && strip.querySelector(`.hourly-item[data-date="${item.dataset.date}"]`));
+        item.classList.toggle('has-hours', hasHours);
+        if (hasHours) {
+            item.setAttribute('role', 'button');
+            item.tabIndex = 0;
+            item.title = t('daily.showHours');
+        } else {
+            item.removeAttribute('role');
+            item.removeAttribute('tabindex');
+            item.removeAttribute('title');
+        }
+    });
+}
+
+/**
+ * Descreve a máxima de hoje em relação à média histórica da mesma data
+ * (ex: '3 °C acima da média de 10 anos'). A diferença é arredondada para graus inteiros.
+ *
+ * @function describeHistoricalComparison
+ * @param {number} value - Temperatura máxima de hoje.
+ * @param {Object} history - Resultado de `getHistoricalComparison`, nas mesmas unidades de `value`.
+ * @param {string} [unit='celsius'] - Unidade de temperatura (`celsius` ou `fahrenheit`).
+ * @returns {string} Texto da comparação, ou '' se faltarem dados.
+ *
+ * @example
+ * describeHistoricalComparison(29.4, { years: [...10 anos], average: { max: 26.2 } }); // Output: '3 °C acima da média de 10 anos'
+ */
+function describeHistoricalComparison(value, history, unit = 'celsius') {
+    if (!Number.isFinite(value) || !history || !history.average || !Number.isFinite(history.average.max)) return '';
+    const years = history.years.length;
+    const diff = Math.round(Math.abs(value - history.average.max));
+    if (diff === 0) return t('history.same', { years });
+    const text = `${formatNumber(diff)} ${UNIT_OPTIONS.temperature[unit] || UNIT_OPTIONS.temperature.celsius}`;
+    return t(value > history.average.max ? 'history.above' : 'history.below', { diff: text, years });
+}
+
+/**
+ * Exibe, abaixo do clima atual, a comparação da máxima de hoje com a média histórica da
+ * mesma data (`describeHistoricalComparison`). Sem histórico ou sem a máxima de hoje, a linha fica oculta.
+ *
+ * @function renderHistoricalComparison
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ */
+function renderHistoricalComparison(root, view) {
+    const doc = root.ownerDocument;
+    const { daily, history, units } = view;
+    let lineEl = root.querySelector('#historyComparison');
+    if (!lineEl) {
+        lineEl = doc.createElement('div');
+        lineEl.id = 'historyComparison';
+        lineEl.className = 'history-comparison';
+        const datetimeEl = root.querySelector('#datetime');
+        if (datetimeEl) datetimeEl.insertAdjacentElement('beforebegin', lineEl);
+        else root.appendChild(lineEl);
+    }
+
+    // máxima prevista para a data do histórico (o dia de hoje no local)
+    const dayIndex = daily && Array.isArray(daily.time) && history ? daily.time.indexOf(history.date) : -1;
+    const todayMax = dayIndex >= 0 && Array.isArray(daily.temperature_max) ? daily.temperature_max[dayIndex] : null;
+    const text = describeHistoricalComparison(todayMax, history, units.temperature);
+    lineEl.hidden = !text;
+    lineEl.classList.remove('above', 'below');
+    if (!text) {
+        lineEl.textContent = '';
+        return;
+    }
+    lineEl.textContent = text;
+    const diff = Math.round(todayMax - history.average.max);
+    if (diff > 0) lineEl.classList.add('above');
+    if (diff < 0) lineEl.classList.add('below');
+    lineEl.title = t('history.details', {
+        date: formatShortDate(history.date),
+        years: history.years.length,
+        average: formatTemperature(history.average.max, units.temperature)
+    });
+}
+
+// Mantém apenas os `days` primeiros itens de cada array do objeto `daily` (ou `hourly`)
+function sliceDaily(daily, days) {
+    if (!daily) return daily;
+    const result = {};
+    Object.keys(daily).forEach((field) => {
+        result[field] = Array.isArray(daily[field]) ? daily[field].slice(0, days) : daily[field];
+    });
+    return result;
+}
+
+// Converte as temperaturas e a precipitação do histórico entre sistemas de unidades
+function convertHistoryUnits(history, from, to) {
+    if (!history) return null;
+    const convert = (item) => ({
+        ...item,
+        max: convertUnit('temperature', item.max, from.temperature, to.temperature),
+        min: convertUnit('temperature', item.min, from.temperature, to.temperature),
+        precipitation: convertUnit('precipitation', item.precipitation, from.precipitation, to.precipitation)
+    });
+    return { ...history, years: history.years.map(convert), average: convert(history.average) };
+}
+
+// Unidade exibida de cada indicador (os índices não têm unidade)
+const AIR_QUALITY_UNITS = { pm2_5: 'µg/m³', pm10: 'µg/m³', ozone: 'µg/m³' };
+
+/**
+ * Exibe o painel "Qualidade do ar e UV" logo abaixo do clima atual: um item por indicador
+ * com o valor e o nível, colorido conforme a gravidade (`severity-0` a `severity-6`).
+ * Sem dados de qualidade do ar, o painel fica oculto.
+ *
+ * @function renderAirQuality
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ */
+function renderAirQuality(root, view) {
+    const doc = root.ownerDocument;
+    const air = view.airQuality;
+    let panel = root.querySelector('#airQuality');
+    if (!panel) {
+        panel = doc.createElement('section');
+        panel.id = 'airQuality';
+        panel.className = 'air-quality';
+        const current = root.querySelector('.current-weather');
+        if (current) current.insertAdjacentElement('afterend', panel);
+        else root.appendChild(panel);
+    }
+    panel.innerHTML = '';
+
+    const items = air ? [...AIR_QUALITY_INDICATORS, 'uv_index']
+        .filter((key) => air[key] !== null && air[key] !== undefined)
+        .map((key) => ({
+            key,
+            value: air[key],
+            category: key === 'uv_index' ? classifyUvIndex(air[key]) : classifyAirQuality(key, air[key]),
+            levelKey: key === 'uv_index' ? 'uv.level' : 'airQuality.level'
+        }))
+        .filter((item) => item.category) : [];
+    panel.hidden = items.length === 0;
+    if (panel.hidden) return;
+
+    const titleEl = doc.createElement('h3');
+    titleEl.className = 'forecast-title';
+    titleEl.textContent = t('airQuality.title');
+    panel.appendChild(titleEl);
+
+    const list = doc.createElement('ul');
+    list.className = 'air-quality-grid';
+    items.forEach(({ key, value, category, levelKey }) => {
+        const li = doc.createElement('li');
+        li.className = `air-item severity-${category.severity}`;
+        li.dataset.indicator = key;
+        li.dataset.level = category.level;
+
+        const nameEl = doc.createElement('span');
+        nameEl.className = 'air-name';
+        nameEl.textContent = t(`airQuality.${key}`);
+        const valueEl = doc.createElement('span');
+        valueEl.className = 'air-value';
+        valueEl.textContent = formatNumber(value, { maximumFractionDigits: key === 'uv_index' ? 1 : 0 });
+        if (AIR_QUALITY_UNITS[key]) {
+            const unitEl = doc.createElement('small');
+            unitEl.className = 'air-unit';
+            unitEl.textContent = ` ${AIR_QUALITY_UNITS[key]}`;
+            valueEl.appendChild(unitEl);
+        }
+        const levelEl = doc.createElement('span');
+        levelEl.className = 'air-level';
+        levelEl.textContent = t(`${levelKey}.${category.level}`);
+
+        li.appendChild(nameEl);
+        li.appendChild(valueEl);
+        li.appendChild(levelEl);
+        list.appendChild(li);
+    });
+    panel.appendChild(list);
+}
+
+/**
+ * Normaliza o resultado de uma busca para renderização: converte os valores para as
+ * unidades de exibição e reúne cidade, clima atual e previsões em um único objeto.
+ * Não acessa o DOM nem a rede.
+ *
+ * @function createWeatherView
+ * @param {Object} data - Dados obtidos: `{city, weather, hourly, daily, airQuality, history, dataUnits}`, onde
+ *  `dataUnits` são as unidades em que a API respondeu.
+ * @param {Object} [units] - Unidades de exibição (padrão: as mesmas dos dados).
+ * @param {Object} [options] - Opções de exibição.
+ * @param {number} [options.days] - Dias de "Próximos dias" (a previsão diária é cortada nessa quantidade).
+ * @returns {{city: Object, current: Object, hourly: Object|null, daily: Object|null, airQuality: Object|null,
+ *  history: Object|null, forecastDays: number|null, units: Object}}
+ *  Dados prontos para `renderWeatherView`.
+ *
+ * @example
+ * const view = createWeatherView({ city, weather, hourly: null, daily, dataUnits: DEFAULT_UNITS }, { temperature: 'fahrenheit' });
+ * // view.current.temperature => 77 (se a API respondeu 25 °C)
+ */
+function createWeatherView(data, units, options = {}) {
+    const from = normalizeUnits(data.dataUnits);
+    const to = units ? normalizeUnits(units) : from;
+    const days = options.days || null;
+    return {
+        city: data.city,
+        current: convertWeatherUnits(data.weather, from, to),
+        hourly: convertDailyUnits(data.hourly || null, from, to),
+        daily: convertDailyUnits(days ? sliceDaily(data.daily || null, days) : data.daily || null, from, to),
+        // qualidade do ar e UV não dependem das unidades escolhidas
+        airQuality: data.airQuality || null,
+        history: convertHistoryUnits(data.history || null, from, to),
+        forecastDays: days,
+        units: to
+    };
+}
+
+/**
+ * Renderiza o painel de resultados completo: clima atual (com os detalhes e a comparação histórica), qualidade do ar e UV,
+ * faixa por hora e "Próximos dias".
+ *
+ * @function renderWeatherView
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ */
+function renderWeatherView(root, view) {
+    renderCurrentWeather(root, view);
+    renderCurrentDetails(root, view);
+    renderHistoricalComparison(root, view);
+    renderHourly(root, view);
+    // depois da faixa por hora: o painel é inserido logo abaixo do clima atual, antes dela
+    renderAirQuality(root, view);
+    renderForecast(root, view);
+}
+
+/**
+ * Mostra o selo "dados de HH:MM" quando os dados exibidos vêm do cache, ou o oculta.
+ *
+ * @function renderCacheBadge
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {number|null} timestamp - Momento (ms) em que os dados mais antigos foram obtidos; `null` oculta o selo.
+ */
+function renderCacheBadge(root, timestamp) {
+    const doc = root.ownerDocument;
+    let badge = root.querySelector('#cacheBadge');
+    if (timestamp === null || timestamp === undefined) {
+        if (badge) badge.style.display = 'none';
+        return;
+    }
+    if (!badge) {
+        badge = doc.createElement('span');
+        badge.id = 'cacheBadge';
+        badge.className = 'cache-badge';
+        const current = root.querySelector('.current-weather');
+        if (current) current.appendChild(badge);
+    }
+    badge.textContent = t('current.cachedAt', { time: formatCacheTime(timestamp) });
+    badge.style.display = 'inline-block';
+}
+
+/**
+ * Acrescenta à data/hora do clima atual (`#datetime`) há quanto tempo os dados foram obtidos
+ * (ex: '10/11/2025 15:00 · atualizado há 3 min'). Chamada de novo a cada minuto e após cada renderização.
+ *
+ * @function renderUpdatedAgo
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {number|null} timestamp - Momento (ms) em que os dados foram obtidos; `null` remove o texto.
+ * @param {number} [now=Date.now()] - Momento atual (ms).
+ */
+function renderUpdatedAgo(root, timestamp, now = Date.now()) {
+    const datetimeEl = root.querySelector('#datetime');
+    if (!datetimeEl) return;
+    let agoEl = datetimeEl.querySelector('.updated-ago');
+    if (timestamp === null || timestamp === undefined) {
+        if (agoEl) agoEl.remove();
+        return;
+    }
+    if (!agoEl) {
+        agoEl = root.ownerDocument.createElement('span');
+        agoEl.className = 'updated-ago';
+        datetimeEl.appendChild(agoEl);
+    }
+    agoEl.textContent = ` · ${formatUpdatedAgo(timestamp, now)}`;
+}
+
+/**
+ * Compara dois dados de `createWeatherView` (nas mesmas unidades) e indica o que mudou de forma visível:
+ * a temperatura exibida, a condição do tempo e os dias da previsão cuja máxima, mínima ou condição mudaram.
+ *
+ * @function diffWeatherViews
+ * @param {Object|null} before - Dados exibidos antes da atualização.
+ * @param {Object} after - Dados novos.
+ * @returns {{temperature: boolean, condition: boolean, days: string[]}} `days` tem as datas ('YYYY-MM-DD') que mudaram.
+ *
+ * @example
+ * diffWeatherViews(antes, depois); // Output: { temperature: true, condition: false, days: ['2025-11-11'] }
+ */
+function diffWeatherViews(before, after) {
+    const changes = { temperature: false, condition: false, days: [] };
+    if (!before || !after || !before.current || !after.current) return changes;
+    const unit = after.units.temperature;
+    // compara o texto exibido: variações abaixo do arredondamento não contam como mudança
+    changes.temperature = formatTemperature(before.current.temperature, unit) !== formatTemperature(after.current.temperature, unit);
+    changes.condition = before.current.weathercode !== after.current.weathercode;
+
+    const dayKey = (daily, i) => {
+        const valueAt = (field) => (Array.isArray(daily[field]) ? daily[field][i] : null);
+        return [formatTemperature(valueAt('temperature_max'), unit), formatTemperature(valueAt('temperature_min'), unit), valueAt('weathercode')].join('|');
+    };
+    const previous = {};
+    if (before.daily && Array.isArray(before.daily.time)) {
+        before.daily.time.forEach((date, i) => { previous[date] = dayKey(before.daily, i); });
+    }
+    if (after.daily && Array.isArray(after.daily.time)) {
+        // dias que só agora entraram na lista (virada do dia) não são destacados
+        changes.days = after.daily.time.filter((date, i) => date in previous && previous[date] !== dayKey(after.daily, i));
+    }
+    return changes;
+}
+
+/**
+ * Destaca por alguns instantes (classe `value-changed`, animada no CSS) os valores que mudaram
+ * em uma atualização: temperatura, condição (descrição e ícone) e os dias da previsão.
+ *
+ * @function highlightChanges
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {{temperature: boolean, condition: boolean, days: string[]}} changes - Resultado de `diffWeatherViews`.
+ * @returns {HTMLElement[]} Elementos destacados.
+ */
+function highlightChanges(root, changes) {
+    const targets = [];
+    if (changes.temperature) targets.push(root.querySelector('#temperature'));
+    if (changes.condition) targets.push(root.querySelector('#description'), root.querySelector('#weatherIcon'));
+    changes.days.forEach((date) => {
+        targets.push(root.querySelector(`#forecast5 .forecast-day[data-date="${date}"] .forecast-item`));
+    });
+    const highlighted = targets.filter(Boolean);
+    highlighted.forEach((el) => {
+        // remove e aplica de novo para reiniciar a animação em elementos já destacados antes
+        el.classList.remove('value-changed');
+        void el.offsetWidth;
+        el.classList.add('value-changed');
+        el.addEventListener('animationend', () => el.classList.remove('value-changed'), { once: true });
+    });
+    return highlighted;
+}
+
+/**
+ * Executa `render` (que recria o conteúdo de `root`) mantendo o que o usuário estava vendo: a rolagem
+ * horizontal da faixa de horas e o foco do teclado. O elemento focado é reencontrado no conteúdo novo
+ * pelo `id` ou pela classe junto com a data (`data-date`) ou a quantidade de dias (`data-days`).
+ *
+ * @function preserveViewState
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {Function} render - Função que renderiza o painel de novo.
+ * @returns {HTMLElement|null} Elemento que recebeu o foco de volta, se houver.
+ */
+function preserveViewState(root, render) {
+    const doc = root.ownerDocument;
+    const oldStrip = root.querySelector('#hourlyStrip');
+    const scrollLeft = oldStrip ? oldStrip.scrollLeft : 0;
+    const active = doc.activeElement;
+    let focused = null;
+    if (active && active !== root && root.contains(active)) {
+        const dated = active.closest('[data-date]');
+        focused = {
+            id: active.id,
+            // `getAttribute` porque em SVG (áreas do gráfico) `className` não é uma string
+            className: (active.getAttribute('class') || '').split(/\s+/)[0],
+            date: dated ? dated.getAttribute('data-date') : null,
+            days: active.getAttribute('data-days')
+        };
+    }
+
+    render();
+
+    const strip = root.querySelector('#hourlyStrip');
+    if (strip && strip !== oldStrip) strip.scrollLeft = scrollLeft;
+    if (!focused || active.isConnected) return null;
+    let target = null;
+    if (focused.id) {
+        target = root.querySelector(`#${focused.id}`);
+    } else if (focused.className) {
+        target = [...root.querySelectorAll(`.${focused.className}`)].find((el) => {
+            const dated = el.closest('[data-date]');
+            return (dated ? dated.getAttribute('data-date') : null) === focused.date && el.getAttribute('data-days') === focused.days;
+        }) || null;
+    }
+    if (target) target.focus({ preventScroll: true });
+    return target;
+}
+
+/**
+ * Mostra ou oculta, logo abaixo do nome da cidade, o aviso de que a página está sem conexão e
+ * os dados exibidos são os últimos guardados (cache local ou do service worker).
+ *
+ * @function renderOfflineStatus
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {boolean} offline - Se o navegador está sem conexão.
+ */
+function renderOfflineStatus(root, offline) {
+    const doc = root.ownerDocument;
+    let statusEl = root.querySelector('#offlineStatus');
+    if (!statusEl) {
+        if (!offline) return;
+        statusEl = doc.createElement('p');
+        statusEl.id = 'offlineStatus';
+        statusEl.className = 'offline-status';
+        statusEl.setAttribute('role', 'status');
+        const title = root.querySelector('#cityName');
+        if (title) title.insertAdjacentElement('afterend', statusEl);
+        else root.prepend(statusEl);
+    }
+    statusEl.textContent = t('offline.status');
+    statusEl.hidden = !offline;
+}
+
+/**
+ * Preenche a lista de buscas recentes: um botão por local, com o ícone e a última temperatura conhecida
+ * (convertida para a unidade escolhida).
+ *
+ * @function renderSearchHistory
+ * @param {HTMLElement} list - Lista `<ul>` que recebe os locais (`#historyList`).
+ * @param {Object[]} entries - Locais do histórico (`createSearchHistory().list()`), com a temperatura em °C.
+ * @param {Object} [units] - Unidades de exibição (padrão: °C).
+ */
+function renderSearchHistory(list, entries, units) {
+    const doc = list.ownerDocument;
+    const temperatureUnit = normalizeUnits(units).temperature;
+    list.innerHTML = '';
+    entries.forEach((entry, i) => {
+        const hasWeather = entry.temperature !== null && entry.temperature !== undefined;
+        const temperature = hasWeather
+            ? formatTemperature(convertUnit('temperature', entry.temperature, DEFAULT_UNITS.temperature, temperatureUnit), temperatureUnit)
+            : '--';
+
+        const li = doc.createElement('li');
+        li.className = 'search-history-item';
+        const button = doc.createElement('button');
+        button.type = 'button';
+        button.className = 'search-history-open';
+        button.dataset.index = i;
+        button.setAttribute('aria-label', t('history.open', { city: formatCityLabel(entry), temperature }));
+
+        const iconEl = doc.createElement('i');
+        const code = entry.weathercode;
+        iconEl.className = `wi search-history-icon ${code !== null && code !== undefined ? getWeatherIcon(code, entry.is_day !== 0) : 'wi-na'}`;
+        iconEl.setAttribute('aria-hidden', 'true');
+        const nameEl = doc.createElement('span');
+        nameEl.className = 'search-history-name';
+        nameEl.textContent = entry.name;
+        const regionEl = doc.createElement('span');
+        regionEl.className = 'search-history-region';
+        regionEl.textContent = [entry.admin1, entry.country].filter(Boolean).join(', ');
+        const tempEl = doc.createElement('span');
+        tempEl.className = 'search-history-temp';
+        tempEl.textContent = temperature;
+
+        button.appendChild(iconEl);
+        button.appendChild(nameEl);
+        button.appendChild(regionEl);
+        button.appendChild(tempEl);
+        li.appendChild(button);
+        list.appendChild(li);
+    });
+}
+
+/**
+ * Mostra no topo do painel o aviso com os alertas disparados, ou o oculta se não houver nenhum.
+ *
+ * @function renderAlertBanner
+ * @param {HTMLElement} root - Painel de resultados (`#weatherInfo`).
+ * @param {Object[]} alerts - Alertas retornados por `evaluateAlerts`.
+ * @param {Object} [units] - Unidades de exibição.
+ */
+function renderAlertBanner(root, alerts, units) {
+    const doc = root.ownerDocument;
+    let banner = root.querySelector('#alertBanner');
+    if (!banner) {
+        banner = doc.createElement('div');
+        banner.id = 'alertBanner';
+        banner.className = 'alert-banner';
+        banner.setAttribute('role', 'alert');
+        const cityEl = root.querySelector('#cityName');
+        if (cityEl) cityEl.insertAdjacentElement('afterend', banner);
+        else root.insertBefore(banner, root.firstChild);
+    }
+    banner.innerHTML = '';
+    banner.hidden = !alerts.length;
+    if (!alerts.length) return;
+
+    const title = doc.createElement('strong');
+    title.className = 'alert-banner-title';
+    title.textContent = alerts.length === 1 ? t('alerts.one') : t('alerts.many', { count: alerts.length });
+    const list = doc.createElement('ul');
+    list.className = 'alert-banner-list';
+    alerts.forEach((alert) => {
+        const li = doc.createElement('li');
+        li.textContent = formatAlert(alert, units);
+        list.appendChild(li);
+    });
+    banner.appendChild(title);
+    banner.appendChild(list);
+}
+
+/**
+ * Lista as regras de alerta no painel de configurações, com os limites nas unidades de exibição.
+ * Cada item tem `data-rule-id` e campos com `data-field` ('enabled' ou 'threshold') e o botão `data-action="remove"`.
+ *
+ * @function renderAlertRules
+ * @param {HTMLElement} listEl - Lista das regras (`#alertRules`).
+ * @param {Object[]} rules - Regras de alerta (limites em °C, km/h e mm).
+ * @param {Object} [units] - Unidades de exibição.
+ */
+function renderAlertRules(listEl, rules, units) {
+    const doc = listEl.ownerDocument;
+    const target = normalizeUnits(units);
+    listEl.innerHTML = '';
+    rules.forEach((rule) => {
+        const type = ALERT_TYPES[rule.type];
+        const typeLabel = t(`alerts.type.${rule.type}`);
+        const li = doc.createElement('li');
+        li.className = 'alert-rule';
+        li.dataset.ruleId = rule.id;
+
+        const label = doc.createElement('label');
+        const checkbox = doc.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = rule.enabled;
+        checkbox.dataset.field = 'enabled';
+        label.appendChild(checkbox);
+        label.appendChild(doc.createTextNode(` ${typeLabel}`));
+        li.appendChild(label);
+
+        if (type.unit) {
+            const value = convertUnit(type.unit, rule.threshold, DEFAULT_UNITS[type.unit], target[type.unit]);
+            const input = doc.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.value = String(Math.round(value * 10) / 10);
+            input.dataset.field = 'threshold';
+            input.setAttribute('aria-label', `${typeLabel} (${UNIT_OPTIONS[type.unit][target[type.unit]]})`);
+            const unitEl = doc.createElement('span');
+            unitEl.className = 'alert-rule-unit';
+            unitEl.textContent = UNIT_OPTIONS[type.unit][target[type.unit]];
+            li.appendChild(input);
+            li.appendChild(unitEl);
+        }
+
+        const remove = doc.createElement('button');
+        remove.type = 'button';
+        remove.className = 'alert-rule-remove';
+        remove.dataset.action = 'remove';
+        remove.textContent = '✕';
+        remove.title = t('alerts.removeRule');
+        remove.setAttribute('aria-label', `${t('alerts.removeRule')}: ${typeLabel}`);
+        li.appendChild(remove);
+        listEl.appendChild(li);
+    });
+}
+
+// Formatos de exportação: extensão e tipo MIME do arquivo baixado
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    json: { extension: 'json', mimeType: 'application/json;charset=utf-8' },
+    ics: { extension: 'ics', mimeType: 'text/calendar;charset=utf-8' }
+};
+
+// Colunas do CSV, na ordem; a segunda posição indica a unidade mostrada no cabeçalho
+const CSV_COLUMNS = [
+    ['location'],
+    ['type'],
+    ['date'],
+    ['time'],
+    ['description'],
+    ['weathercode'],
+    ['temperature', 'temperature'],
+    ['temperature_max', 'temperature'],
+    ['temperature_min', 'temperature'],
+    ['precipitation_sum', 'precipitation'],
+    ['precipitation_probability_max', '%'],
+    ['windspeed', 'windspeed'],
+    ['windspeed_max', 'windspeed'],
+    ['uv_index_max'],
+    ['sunrise'],
+    ['sunset']
+];
+
+// Arredonda para uma casa decimal (evita 84.19999 nas conversões de unidade); valores inválidos viram null
+function roundExportValue(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+/**
+ * Monta o modelo exportado a partir da visualização atual: local, unidades, clima atual e um item por dia
+ * de "Próximos dias". As descrições seguem o idioma atual e os valores estão nas unidades de exibição.
+ *
+ * @function buildForecastExport
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ * @returns {{location: Object|null, units: Object, current: Object|null, daily: Object[]}} Modelo exportado.
+ *
+ * @example
+ * buildForecastExport(view).daily[0];
+ * // { date: '2025-11-10', description: 'Chuva leve', weathercode: 61, temperature_max: 29, temperature_min: 18, ... }
+ */
+function buildForecastExport(view) {
+    const { city, current, daily } = view;
+    const units = normalizeUnits(view.units);
+    const valueAt = (field, i) => (daily && Array.isArray(daily[field]) ? daily[field][i] : null);
+    return {
+        location: city ? {
+            name: city.name || null,
+            admin1: city.admin1 || null,
+            country: city.country || null,
+            latitude: Number.isFinite(city.lat) ? city.lat : null,
+            longitude: Number.isFinite(city.lon) ? city.lon : null
+        } : null,
+        units: {
+            temperature: UNIT_OPTIONS.temperature[units.temperature],
+            windspeed: UNIT_OPTIONS.windspeed[units.windspeed],
+            precipitation: UNIT_OPTIONS.precipitation[units.precipitation]
+        },
+        current: current ? {
+            time: current.time || null,
+            description: getWeatherDescription(current.weathercode),
+            weathercode: Number.isFinite(current.weathercode) ? current.weathercode : null,
+            temperature: roundExportValue(current.temperature),
+            windspeed: roundExportValue(current.windspeed)
+        } : null,
+        daily: (daily && Array.isArray(daily.time) ? daily.time : []).map((date, i) => ({
+            date,
+            description: getWeatherDescription(valueAt('weathercode', i)),
+            weathercode: Number.isFinite(valueAt('weathercode', i)) ? valueAt('weathercode', i) : null,
+            temperature_max: roundExportValue(valueAt('temperature_max', i)),
+            temperature_min: roundExportValue(valueAt('temperature_min', i)),
+            precipitation_sum: roundExportValue(valueAt('precipitation_sum', i)),
+            precipitation_probability_max: roundExportValue(valueAt('precipitation_probability_max', i)),
+            windspeed_max: roundExportValue(valueAt('windspeed_max', i)),
+            uv_index_max: roundExportValue(valueAt('uv_index_max', i)),
+            sunrise: valueAt('sunrise', i) || null,
+            sunset: valueAt('sunset', i) || null
+        }))
+    };
+}
+
+/**
+ * Serializa o clima atual e a previsão diária em JSON (indentado com 2 espaços).
+ *
+ * @function serializeForecastJson
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ * @returns {string} Documento JSON com `location`, `units`, `current` e `daily` (ver `buildForecastExport`).
+ */
+function serializeForecastJson(view) {
+    return JSON.stringify(buildForecastExport(view), null, 2);
+}
+
+// Campo de CSV (RFC 4180): entre aspas se tiver vírgula, aspas ou quebra de linha
+function escapeCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializa o clima atual e a previsão diária em CSV: uma linha `current` seguida de uma linha `daily`
+ * por dia. Usa vírgula como separador, ponto decimal e quebras de linha CRLF (RFC 4180), para abrir
+ * em qualquer planilha; as unidades ficam no cabeçalho.
+ *
+ * @function serializeForecastCsv
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ * @returns {string} Conteúdo do arquivo CSV.
+ *
  * @example
- * const formatted = formatDateTimeLocal('2025-11-10T14:30');
- * console.log(formatted); // Output: '10/11/2025 14:30'
- * 
- * const current = formatDateTimeLocal('');
- * console.log(current); // Output: (data/hora atual formatada, ex: '10/11/2025 15:45')
+ * serializeForecastCsv(view).split('\r\n')[2];
+ * // 'São Paulo,daily,2025-11-10,,Chuva leve,61,,29,18,1.5,80,,20,9.1,2025-11-10T05:12,2025-11-10T18:20'
  */
-function formatDateTimeLocal(isoString) {
-    // isoString expected like 'YYYY-MM-DDTHH:MM' or 'YYYY-MM-DDTHH:MM:SS'
-    if (!isoString) return new Date().toLocaleString('pt-BR');
-    // split date and time
-    const parts = isoString.split('T');
-    if (parts.length >= 2) {
-        const date = parts[0].split('-'); // [YYYY,MM,DD]
-        const time = parts[1].split(':'); // [HH,MM,...]
-        const day = date[2];
-        const month = date[1];
-        const year = date[0];
-        const hour = time[0];
-        const minute = time[1] || '00';
-        return `${day}/${month}/${year} ${hour}:${minute}`;
+function serializeForecastCsv(view) {
+    const model = buildForecastExport(view);
+    const location = model.location ? model.location.name : null;
+    const header = CSV_COLUMNS.map(([name, unit]) => {
+        const symbol = unit === '%' ? unit : model.units[unit];
+        return symbol ? `${name} (${symbol})` : name;
+    });
+    const rows = [];
+    if (model.current) {
+        const time = model.current.time || '';
+        rows.push({
+            ...model.current,
+            location,
+            type: 'current',
+            date: time.slice(0, 10) || null,
+            time: time.slice(11, 16) || null
+        });
     }
-    // fallback to locale formatting
-    try {
-        return new Date(isoString).toLocaleString('pt-BR');
-    } catch (e) {
-        return isoString;
+    model.daily.forEach((day) => rows.push({ ...day, location, type: 'daily' }));
+
+    const lines = [header, ...rows.map((row) => CSV_COLUMNS.map(([name]) => row[name]))];
+    return lines.map((fields) => fields.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Texto de propriedade do iCalendar (RFC 5545): escapa barra invertida, ponto e vírgula, vírgula e quebras
+function escapeIcsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Quebra linhas com mais de 75 bytes (UTF-8) em continuações iniciadas por espaço, sem partir caracteres
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const bytes = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        // a primeira linha tem 75 bytes; as continuações, 74 mais o espaço inicial
+        if (size + bytes > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// 'YYYY-MM-DD' do dia seguinte
+function nextIsoDate(isoDate) {
+    const date = parseLocalDateTime(isoDate);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Serializa a previsão diária em iCalendar (.ics): um evento de dia inteiro por dia, com a descrição do
+ * tempo (`getWeatherDescription`) no título e mínima, máxima e chuva na descrição. Pode ser importado
+ * em qualquer aplicativo de agenda.
+ *
+ * @function serializeForecastIcs
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ * @param {Date} [now=new Date()] - Momento da exportação (`DTSTAMP` dos eventos).
+ * @returns {string} Conteúdo do arquivo .ics, com quebras de linha CRLF.
+ *
+ * @example
+ * serializeForecastIcs(view);
+ * // 'BEGIN:VCALENDAR\r\n...BEGIN:VEVENT\r\n...DTSTART;VALUE=DATE:20251110\r\n...SUMMARY:Chuva leve\r\n...'
+ */
+function serializeForecastIcs(view, now = new Date()) {
+    const model = buildForecastExport(view);
+    const units = normalizeUnits(view.units);
+    const label = formatCityLabel(view.city);
+    const { location } = model;
+    const uidSuffix = location && location.latitude !== null && location.longitude !== null
+        ? `${location.latitude.toFixed(2)}_${location.longitude.toFixed(2)}` : 'local';
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//projeto_clima//Previsao do Tempo//PT',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (label) lines.push(`X-WR-CALNAME:${escapeIcsText(t('export.calendarName', { city: label }))}`);
+    model.daily.forEach((day) => {
+        const description = [
+            `${t('chart.min')}: ${formatTemperature(day.temperature_min, units.temperature)}`,
+            `${t('chart.max')}: ${formatTemperature(day.temperature_max, units.temperature)}`
+        ];
+        if (day.precipitation_sum !== null) {
+            description.push(`${t('daily.precipitationSum')}: ${formatPrecipitation(day.precipitation_sum, units.precipitation)}`);
+        }
+        if (day.precipitation_probability_max !== null) {
+            description.push(`${t('daily.precipitationProbability')}: ${Math.round(day.precipitation_probability_max)}%`);
+        }
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${day.date}-${uidSuffix}@projeto-clima`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${day.date.replace(/-/g, '')}`,
+            `DTEND;VALUE=DATE:${nextIsoDate(day.date).replace(/-/g, '')}`,
+            `SUMMARY:${escapeIcsText(day.description)}`,
+            `DESCRIPTION:${escapeIcsText(description.join('\n'))}`
+        );
+        if (label) lines.push(`LOCATION:${escapeIcsText(label)}`);
+        // eventos informativos: não ocupam a agenda
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Nome de arquivo seguro a partir do nome da cidade ('São Paulo' => 'sao-paulo')
+function slugify(text) {
+    return foldText(text)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Gera o arquivo de exportação da visualização atual no formato pedido.
+ *
+ * @function createExportFile
+ * @param {Object} view - Dados normalizados por `createWeatherView`.
+ * @param {string} format - `csv`, `json` ou `ics`.
+ * @param {Date} [now=new Date()] - Momento da exportação (usado no .ics).
+ * @returns {{filename: string, mimeType: string, content: string}} Arquivo pronto para download.
+ * @throws {ValidationError} Lança erro se o formato não for suportado.
+ *
+ * @example
+ * createExportFile(view, 'csv').filename;
+ * // 'clima-sao-paulo-2025-11-10.csv'
+ */
+function createExportFile(view, format, now = new Date()) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new ValidationError(`Formato de exportação não suportado: ${format}`);
+    const serializers = {
+        csv: () => serializeForecastCsv(view),
+        json: () => serializeForecastJson(view),
+        ics: () => serializeForecastIcs(view, now)
+    };
+    const firstDay = view.daily && Array.isArray(view.daily.time) ? view.daily.time[0] : null;
+    const date = firstDay || (view.current && view.current.time ? view.current.time.slice(0, 10) : '');
+    const name = ['clima', slugify(view.city && view.city.name) || 'local', date].filter(Boolean).join('-');
+    return { filename: `${name}.${spec.extension}`, mimeType: spec.mimeType, content: serializers[format]() };
+}
+
+// Estados possíveis da tela
+const VIEW_STATUSES = ['idle', 'loading', 'result', 'error'];
+
+/**
+ * Aplica um estado da tela aos elementos da página:
+ * - `idle`: formulário de busca (com buscas recentes e favoritos) visível;
+ * - `loading`: formulário visível, "Carregando..." (anunciado pela região live `#loading`) e botões desabilitados;
+ * - `result`: apenas o painel de resultados;
+ * - `error`: formulário visível com a mensagem `state.message` em `#error` (`role="alert"`).
+ *
+ * `#loading` e `#error` nunca são ocultados com `display`: só o texto muda (vazias, o CSS as oculta
+ * visualmente), para que as regiões live continuem na árvore de acessibilidade e anunciem cada mudança.
+ *
+ * @function applyViewState
+ * @param {Object} elements - `{searchForm, loading, error, weatherInfo, pageTitle, container, historySection, favoritesSection, buttons}`;
+ *  elementos ausentes são ignorados.
+ * @param {{status: string, message?: string}} state - Estado a aplicar (ver `VIEW_STATUSES`).
+ * @throws {Error} Se o status não for um dos estados conhecidos.
+ */
+function applyViewState(elements, state) {
+    const { status } = state;
+    if (!VIEW_STATUSES.includes(status)) throw new Error(`Estado de tela desconhecido: ${status}`);
+    const { searchForm, loading, error, weatherInfo, pageTitle, container, historySection, favoritesSection, buttons = [] } = elements;
+    const isResult = status === 'result';
+
+    if (searchForm) searchForm.style.display = isResult ? 'none' : 'flex';
+    // regiões ao vivo: ficam sempre na página (vazias, só ocultas pelo CSS) e apenas o texto muda;
+    // com `display: none` leitores de tela deixariam de anunciar o texto novo
+    if (loading) loading.textContent = status === 'loading' ? t('status.loading') : '';
+    if (error) error.textContent = status === 'error' ? (state.message || '') : '';
+    if (weatherInfo) weatherInfo.style.display = isResult ? 'block' : 'none';
+    // o título só aparece junto ao formulário
+    if (pageTitle) pageTitle.style.display = isResult ? 'none' : 'block';
+    // com o painel em foco, o container pai fica sem fundo (mantendo o layout)
+    if (container) container.classList.toggle('no-bg', isResult);
+    // buscas recentes e favoritos acompanham o formulário, desde que existam itens
+    if (historySection) historySection.hidden = isResult || !historySection.querySelector('.search-history-item');
+    if (favoritesSection) favoritesSection.hidden = isResult || !favoritesSection.querySelector('.favorite-card');
+    buttons.forEach((btn) => { if (btn) btn.disabled = status === 'loading'; });
+}
+
+// Atributos de tradução: o texto do elemento ou um atributo recebe a mensagem da chave indicada
+const I18N_ATTRIBUTES = {
+    'data-i18n-placeholder': 'placeholder',
+    'data-i18n-title': 'title',
+    'data-i18n-aria-label': 'aria-label'
+};
+
+/**
+ * Traduz os textos fixos da página no idioma atual: `data-i18n` define o texto do elemento
+ * e `data-i18n-placeholder`, `data-i18n-title` e `data-i18n-aria-label` o atributo correspondente.
+ *
+ * @function applyTranslations
+ * @param {Document|Element} root - Documento ou elemento a traduzir.
+ *
+ * @example
+ * // <button data-i18n="search.submit">Buscar</button>
+ * setLocale('en');
+ * applyTranslations(document); // o botão passa a exibir 'Search'
+ */
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+        el.textContent = t(el.getAttribute('data-i18n'));
+    });
+    Object.entries(I18N_ATTRIBUTES).forEach(([dataAttr, attr]) => {
+        root.querySelectorAll(`[${dataAttr}]`).forEach((el) => {
+            el.setAttribute(attr, t(el.getAttribute(dataAttr)));
+        });
+    });
+}
+
+/**
+ * Lê a busca codificada na URL da página: `?city=Lisboa` ou `?lat=..&lon=..`
+ * (com `name` opcional para exibição). Coordenadas têm prioridade sobre o nome.
+ *
+ * @function parseLocationQuery
+ * @param {string} search - Parte de busca da URL (ex: `window.location.search`).
+ * @returns {{city: string}|{lat: number, lon: number, name: string}|null} Busca encontrada, ou `null`.
+ *
+ * @example
+ * parseLocationQuery('?lat=-30.03&lon=-51.23'); // Output: { lat: -30.03, lon: -51.23, name: '' }
+ * parseLocationQuery('?city=Lisboa'); // Output: { city: 'Lisboa' }
+ */
+function parseLocationQuery(search) {
+    const params = new URLSearchParams(search || '');
+    const lat = parseFloat(params.get('lat'));
+    const lon = parseFloat(params.get('lon'));
+    if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+        return { lat, lon, name: (params.get('name') || '').trim() };
     }
+    const city = (params.get('city') || '').trim();
+    return city ? { city } : null;
+}
+
+/**
+ * Monta a parte de busca da URL de um resultado (inverso de `parseLocationQuery`).
+ *
+ * @function buildLocationQuery
+ * @param {{city: string}|{lat: number, lon: number, name?: string}|null} query - Busca a codificar.
+ * @returns {string} Ex: '?city=Lisboa' ou '?lat=-30.0300&lon=-51.2300&name=Porto+Alegre'; vazio se `query` for nulo.
+ */
+function buildLocationQuery(query) {
+    if (!query) return '';
+    if (query.city) return `?${new URLSearchParams({ city: query.city })}`;
+    const params = new URLSearchParams({ lat: Number(query.lat).toFixed(4), lon: Number(query.lon).toFixed(4) });
+    if (query.name) params.set('name', query.name);
+    return `?${params}`;
 }
 
-// Run browser-only interface code only when DOM is available
-if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+// Run browser-only interface code only when DOM is available (and the app markup is on the page)
+if (typeof window !== 'undefined' && typeof document !== 'undefined' && document.getElementById('searchForm')) {
+    // Idioma: aplicado antes de qualquer renderização
+    setLocale(loadLocale());
+
+    // Provedor de dados: `?provider=fixtures` usa os arquivos locais (e fica salvo); `?provider=open-meteo` volta ao padrão
+    const providerParam = new URLSearchParams(window.location.search).get('provider');
+    setWeatherProvider(providerParam ? saveProvider(providerParam) : loadProvider());
+
+    function applyDocumentLocale() {
+        document.documentElement.lang = getLocale();
+        document.title = t('app.title');
+        applyTranslations(document);
+    }
+    applyDocumentLocale();
+
     // Interface
     const searchForm = document.getElementById('searchForm');
     const cityInput = document.getElementById('cityInput');
     const searchBtn = document.getElementById('searchBtn');
+    const locationBtn = document.getElementById('locationBtn');
     const loading = document.getElementById('loading');
     const error = document.getElementById('error');
     const weatherInfo = document.getElementById('weatherInfo');
@@ -247,231 +4734,1083 @@ if (typeof window !== 'undefined' && typeof document !== 'undefined') {
     // container pai para alternar visual (remover background quando mostrar apenas o painel)
     const container = document.querySelector('.container');
 
+    // Estado da tela (idle | loading | result | error); a visibilidade dos elementos deriva dele
+    let viewState = { status: 'idle' };
+
+    function setViewState(state) {
+        viewState = state;
+        applyViewState({
+            searchForm,
+            loading,
+            error,
+            weatherInfo,
+            pageTitle,
+            container,
+            historySection: document.getElementById('searchHistory'),
+            favoritesSection: document.getElementById('favorites'),
+            buttons: [searchBtn, locationBtn]
+        }, state);
+        // a atualização automática só corre com o resultado na tela
+        scheduleRefresh();
+    }
+
     // Função para mostrar o formulário de busca
     function showSearchForm() {
-        searchForm.style.display = 'flex';
-        weatherInfo.style.display = 'none';
-        error.style.display = 'none';
+        // descarta buscas ainda em andamento
+        currentRenderId++;
         cityInput.value = '';
-        // ao mostrar o formulário, exibir o título
-        if (pageTitle) pageTitle.style.display = 'block';
-        // restaurar visual do container pai
-        if (container) container.classList.remove('no-bg');
+        selectedCity = null;
+        closeSuggestions();
+        setViewState({ status: 'idle' });
+        // buscas recentes e favoritos acompanham o formulário de busca
+        renderHistory();
+        refreshFavorites();
+        // o foco estava no painel que acabou de sumir: devolve-o ao campo de busca
+        cityInput.focus();
+    }
+
+    // Voltar: se o resultado foi aberto nesta sessão, volta no histórico (igual ao botão do navegador);
+    // se a página foi aberta direto por um link, cria uma entrada com a URL sem parâmetros
+    if (backBtn) {
+        backBtn.addEventListener('click', () => {
+            if (window.history.state && window.history.state.pushed) {
+                window.history.back();
+                return;
+            }
+            window.history.pushState({ pushed: false }, '', window.location.pathname);
+            showSearchForm();
+        });
+    }
+
+    // Autocompletar: lista as cidades encontradas para o usuário escolher o local exato
+    const suggestionsEl = document.getElementById('citySuggestions');
+    let suggestions = [];
+    let activeSuggestion = -1;
+    // cidade escolhida na lista; quando definida, o submit não consulta a geocodificação de novo
+    let selectedCity = null;
+    // identifica a busca mais recente para descartar respostas que chegarem fora de ordem
+    let suggestionRequestId = 0;
+
+    function closeSuggestions() {
+        suggestions = [];
+        activeSuggestion = -1;
+        if (!suggestionsEl) return;
+        suggestionsEl.innerHTML = '';
+        suggestionsEl.hidden = true;
+        cityInput.setAttribute('aria-expanded', 'false');
+        cityInput.removeAttribute('aria-activedescendant');
+    }
+
+    function setActiveSuggestion(index) {
+        activeSuggestion = index;
+        const items = suggestionsEl.querySelectorAll('.city-suggestion');
+        items.forEach((item, i) => {
+            const active = i === index;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', active ? 'true' : 'false');
+            if (active) {
+                cityInput.setAttribute('aria-activedescendant', item.id);
+                if (item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        if (index < 0) cityInput.removeAttribute('aria-activedescendant');
+    }
+
+    function selectSuggestion(index) {
+        const city = suggestions[index];
+        if (!city) return;
+        cityInput.value = formatCityLabel(city);
+        closeSuggestions();
+        selectedCity = city;
+        // escolher uma opção já dispara a busca do clima
+        if (typeof searchForm.requestSubmit === 'function') searchForm.requestSubmit();
+        else searchForm.dispatchEvent(new Event('submit', { cancelable: true }));
+    }
+
+    function renderSuggestions(list) {
+        if (!suggestionsEl) return;
+        closeSuggestions();
+        if (!list.length) return;
+        suggestions = list;
+        list.forEach((city, i) => {
+            const li = document.createElement('li');
+            li.id = `citySuggestion-${i}`;
+            li.className = 'city-suggestion';
+            li.setAttribute('role', 'option');
+            li.setAttribute('aria-selected', 'false');
+
+            const nameEl = document.createElement('span');
+            nameEl.className = 'suggestion-name';
+            nameEl.textContent = city.name;
+            const regionEl = document.createElement('span');
+            regionEl.className = 'suggestion-region';
+            regionEl.textContent = [city.admin1, city.country].filter(Boolean).join(', ');
+            li.appendChild(nameEl);
+            li.appendChild(regionEl);
+            if (city.population) {
+                const popEl = document.createElement('small');
+                popEl.className = 'suggestion-population';
+                popEl.textContent = t('search.population', { count: formatNumber(city.population) });
+                li.appendChild(popEl);
+            }
+
+            // mousedown (e não click) para selecionar antes do blur fechar a lista
+            li.addEventListener('mousedown', (ev) => {
+                ev.preventDefault();
+                selectSuggestion(i);
+            });
+            li.addEventListener('mousemove', () => {
+                if (activeSuggestion !== i) setActiveSuggestion(i);
+            });
+            suggestionsEl.appendChild(li);
+        });
+        suggestionsEl.hidden = false;
+        cityInput.setAttribute('aria-expanded', 'true');
+    }
+
+    const fetchSuggestions = debounce(async (query) => {
+        const requestId = ++suggestionRequestId;
+        try {
+            const results = await getWeatherProvider().geocode(query, 5);
+            if (requestId !== suggestionRequestId) return;
+            renderSuggestions(results);
+        } catch (e) {
+            // falha no autocompletar não impede a busca normal pelo botão
+            if (requestId === suggestionRequestId) closeSuggestions();
+        }
+    }, 300);
+
+    cityInput.addEventListener('input', () => {
+        selectedCity = null;
+        const query = cityInput.value.trim();
+        if (query.length < 2) {
+            fetchSuggestions.cancel();
+            suggestionRequestId++;
+            closeSuggestions();
+            return;
+        }
+        fetchSuggestions(query);
+    });
+
+    cityInput.addEventListener('keydown', (e) => {
+        if (!suggestionsEl || suggestionsEl.hidden || suggestions.length === 0) return;
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveSuggestion((activeSuggestion + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveSuggestion(activeSuggestion <= 0 ? suggestions.length - 1 : activeSuggestion - 1);
+        } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+            e.preventDefault();
+            selectSuggestion(activeSuggestion);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeSuggestions();
+        }
+    });
+
+    cityInput.addEventListener('blur', () => {
+        closeSuggestions();
+    });
+
+    // unidades escolhidas pelo usuário (persistidas no localStorage)
+    let units = loadUnits();
+    // dias exibidos em "Próximos dias" (3, 7 ou 14; também persistidos)
+    let forecastDays = loadForecastDays();
+    // dados atualmente exibidos, nas unidades em que foram obtidos: { city, weather, hourly, daily, dataUnits }
+    let shown = null;
+    // quando o clima atual exibido foi obtido (ms), para o "atualizado há X min"
+    let updatedAt = null;
+    // atualização automática: intervalo escolhido (minutos, 0 = desligada), última tentativa e timers
+    let autoRefresh = loadAutoRefresh();
+    let refreshAttemptAt = 0;
+    let autoRefreshTimer = null;
+    let updatedAgoTimer = null;
+
+    // Seções exibidas a partir do cache (nome -> timestamp em que os dados foram obtidos)
+    let cachedSections = {};
+
+    // Horário dos dados mais antigos vindos do cache (ou null se tudo veio da rede)
+    function oldestCachedTime() {
+        const times = Object.values(cachedSections);
+        return times.length ? Math.min(...times) : null;
+    }
+
+    // Registra se a seção veio do cache e, se os dados estiverem vencidos, re-renderiza
+    // quando a atualização em segundo plano terminar (desde que a busca ainda seja a atual)
+    function trackCachedResult(section, result, renderId, rerender) {
+        if (result.fromCache) cachedSections[section] = result.fetchedAt;
+        else delete cachedSections[section];
+        if (!result.refresh) return;
+        result.refresh.then((fresh) => {
+            if (!fresh || renderId !== currentRenderId) return;
+            rerender(fresh);
+            delete cachedSections[section];
+            renderCacheBadge(weatherInfo, oldestCachedTime());
+        });
     }
 
-    // Função para esconder o formulário de busca
-    function hideSearchForm() {
-        searchForm.style.display = 'none';
+    // identifica a busca exibida para ignorar respostas e atualizações de buscas anteriores
+    let currentRenderId = 0;
+
+    // último objeto renderizado (usado para redesenhar o gráfico ao redimensionar a janela)
+    let renderedView = null;
+
+    // Re-renderiza os dados exibidos nas unidades atuais, sem nova requisição
+    function renderResults() {
+        if (!shown) return;
+        renderedView = createWeatherView(shown, units, { days: forecastDays });
+        renderWeatherView(weatherInfo, renderedView);
+        renderUpdatedAgo(weatherInfo, updatedAt);
+        renderAlertBanner(weatherInfo, currentAlerts(), units);
+        renderOfflineStatus(weatherInfo, isOffline());
     }
 
-    // Evento de clique no botão voltar
-    if (backBtn) backBtn.addEventListener('click', showSearchForm);
+    // Sem conexão os dados exibidos são os últimos guardados; o aviso acompanha o estado da rede
+    function isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+    window.addEventListener('online', () => renderOfflineStatus(weatherInfo, false));
+    window.addEventListener('offline', () => renderOfflineStatus(weatherInfo, true));
 
-    searchForm.addEventListener('submit', async (e) => {
+    // um único listener no container, pois a lista é recriada a cada renderização
+    weatherInfo.addEventListener('click', (e) => {
+        const rangeBtn = e.target.closest('#forecast5 .forecast-range button[data-days]');
+        if (rangeBtn) {
+            forecastDays = saveForecastDays(rangeBtn.dataset.days);
+            renderResults();
+            return;
+        }
+        const toggle = e.target.closest('#forecast5 .forecast-toggle');
+        if (toggle) {
+            toggleForecastDetails(weatherInfo, toggle.closest('.forecast-day').dataset.date);
+            return;
+        }
+        const item = e.target.closest('#forecast5 .forecast-item.has-hours');
+        if (item) scrollHourlyToDate(weatherInfo, item.dataset.date);
+    });
+    weatherInfo.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        const item = e.target.closest('#forecast5 .forecast-item.has-hours');
+        if (!item) return;
         e.preventDefault();
-        
-        const cityName = cityInput.value.trim();
-        
-        if (!cityName) {
+        scrollHourlyToDate(weatherInfo, item.dataset.date);
+    });
+
+    // o gráfico é desenhado na largura do container; redesenha quando ela muda
+    window.addEventListener('resize', debounce(() => {
+        if (renderedView && viewState.status === 'result') renderForecastChart(weatherInfo, renderedView);
+    }, 150));
+
+    // Seletores de unidade no painel de resultados
+    document.querySelectorAll('#unitsBar select[data-unit]').forEach((select) => {
+        select.value = units[select.dataset.unit];
+        select.addEventListener('change', () => {
+            units = saveUnits({ ...units, [select.dataset.unit]: select.value });
+            renderResults();
+            renderHistory();
+            renderFavorites();
+            renderAlertSettings();
+        });
+    });
+
+    // Atualização automática do resultado aberto (ex: a página deixada por horas em um painel na parede).
+    // Fica pausada com a aba oculta e, ao voltar, atualiza na hora se o intervalo já passou
+    const autoRefreshSelect = document.getElementById('autoRefresh');
+
+    function renderAutoRefreshOptions() {
+        if (!autoRefreshSelect) return;
+        autoRefreshSelect.innerHTML = '';
+        AUTO_REFRESH_OPTIONS.forEach((minutes) => {
+            const option = document.createElement('option');
+            option.value = String(minutes);
+            option.textContent = minutes ? t('autoRefresh.every', { minutes }) : t('autoRefresh.off');
+            autoRefreshSelect.appendChild(option);
+        });
+        autoRefreshSelect.value = String(autoRefresh);
+    }
+
+    // (Re)agenda a próxima atualização e o relógio do "atualizado há X min"
+    function scheduleRefresh() {
+        clearTimeout(autoRefreshTimer);
+        clearInterval(updatedAgoTimer);
+        autoRefreshTimer = null;
+        updatedAgoTimer = null;
+        if (viewState.status !== 'result' || !shown || document.hidden) return;
+        renderUpdatedAgo(weatherInfo, updatedAt);
+        updatedAgoTimer = setInterval(() => renderUpdatedAgo(weatherInfo, updatedAt), 60 * 1000);
+        if (autoRefresh > 0) {
+            // conta a partir da última tentativa: sem conexão, tenta de novo só no próximo intervalo
+            const last = Math.max(updatedAt || 0, refreshAttemptAt);
+            autoRefreshTimer = setTimeout(refreshShown, Math.max(0, last + autoRefresh * 60 * 1000 - Date.now()));
+        }
+    }
+
+    // Busca de novo os dados do local exibido sem passar pelo estado de carregamento: o painel continua
+    // na tela (dias expandidos, dias escolhidos), os valores são trocados e os que mudaram, destacados
+    async function refreshShown() {
+        autoRefreshTimer = null;
+        const renderId = currentRenderId;
+        const view = shown;
+        const { city, dataUnits } = view;
+        refreshAttemptAt = Date.now();
+        // sem conexão o service worker responderia com os dados já exibidos: tenta no próximo intervalo
+        if (isOffline()) {
+            scheduleRefresh();
             return;
         }
+        // mesma chave da busca: a data de hoje no local, tirada dos dados exibidos
+        const today = String(view.weather.time || '').slice(0, 10);
+        const [weatherSettled, hourlySettled, forecastSettled, airSettled] = await Promise.allSettled([
+            getCachedWeatherData.reload(city.lat, city.lon, dataUnits),
+            getCachedHourlyForecast.reload(city.lat, city.lon, 48, dataUnits),
+            getCachedDailyForecast.reload(city.lat, city.lon, { days: Math.max(...FORECAST_DAYS_OPTIONS), units: dataUnits, today }),
+            getCachedAirQuality.reload(city.lat, city.lon)
+        ]);
+        // outra busca (ou o "Voltar") aconteceu enquanto a atualização estava em andamento
+        if (renderId !== currentRenderId || shown !== view || viewState.status !== 'result') return;
+
+        // seções que falharem continuam com os dados anteriores
+        [['weather', 'weather', weatherSettled], ['hourly', 'hourly', hourlySettled],
+            ['daily', 'forecast', forecastSettled], ['airQuality', 'airQuality', airSettled]].forEach(([field, section, settled]) => {
+            if (settled.status === 'fulfilled') {
+                view[field] = settled.value.data;
+                delete cachedSections[section];
+            } else {
+                // eslint-disable-next-line no-console
+                console.warn('Erro na atualização automática', settled.reason);
+            }
+        });
+        if (weatherSettled.status === 'fulfilled') updatedAt = weatherSettled.value.fetchedAt;
 
-        // Limpar estados anteriores
-        error.style.display = 'none';
-        weatherInfo.style.display = 'none';
-        loading.style.display = 'block';
-        searchBtn.disabled = true;
+        const before = renderedView;
+        // a faixa de horas e a lista de dias são recriadas: mantém a rolagem e o foco do teclado
+        preserveViewState(weatherInfo, renderResults);
+        highlightChanges(weatherInfo, diffWeatherViews(before, renderedView));
+        renderCacheBadge(weatherInfo, oldestCachedTime());
+        if (weatherSettled.status === 'fulfilled') recordHistory(view);
+        scheduleRefresh();
+    }
+
+    renderAutoRefreshOptions();
+    if (autoRefreshSelect) {
+        autoRefreshSelect.addEventListener('change', () => {
+            autoRefresh = saveAutoRefresh(autoRefreshSelect.value);
+            scheduleRefresh();
+        });
+    }
+    // Page Visibility API: com a aba oculta nada é agendado; ao voltar, o tempo é recontado
+    document.addEventListener('visibilitychange', scheduleRefresh);
+
+    // Alertas: regras do usuário avaliadas sobre os dados exibidos a cada renderização
+    const alertRulesEl = document.getElementById('alertRules');
+    const alertTypeEl = document.getElementById('alertType');
+    const alertThresholdEl = document.getElementById('alertThreshold');
+    const alertAddBtn = document.getElementById('alertAddBtn');
+    const alertNotifyEl = document.getElementById('alertNotify');
+    const notificationsSupported = typeof Notification !== 'undefined';
+    let alertSettings = loadAlertSettings();
+
+    // as regras usam as unidades padrão, então a avaliação também; só os dias exibidos contam
+    function currentAlerts() {
+        return shown ? evaluateAlerts(alertSettings.rules, createWeatherView(shown, DEFAULT_UNITS, { days: forecastDays })) : [];
+    }
+
+    function updateAlertThresholdInput() {
+        if (!alertTypeEl || !alertThresholdEl) return;
+        const kind = ALERT_TYPES[alertTypeEl.value].unit;
+        alertThresholdEl.disabled = !kind;
+        alertThresholdEl.placeholder = kind ? UNIT_OPTIONS[kind][units[kind]] : '';
+    }
 
+    function renderAlertSettings() {
+        if (alertRulesEl) renderAlertRules(alertRulesEl, alertSettings.rules, units);
+        if (alertNotifyEl) alertNotifyEl.checked = alertSettings.notify;
+        updateAlertThresholdInput();
+    }
+
+    function updateAlertSettings(settings) {
+        alertSettings = saveAlertSettings(settings);
+        renderAlertSettings();
+        renderResults();
+    }
+
+    // Notificação do sistema com os alertas da busca (se o usuário ativou e permitiu)
+    function notifyAlerts(city, alerts) {
+        if (!alertSettings.notify || !alerts.length || !notificationsSupported || Notification.permission !== 'granted') return;
         try {
-            // Buscar coordenadas da cidade
-            const cityData = await getCityCoordinates(cityName);
-
-            // Buscar dados do clima (current_weather)
-            const weather = await getWeatherData(cityData.lat, cityData.lon);
-            if (!weather) throw new Error('Dados de clima indisponíveis');
-
-            // Exibir resultados solicitados: cidade, país, temperatura e descrição
-            const cityEl = document.getElementById('cityName');
-            const tempEl = document.getElementById('temperature');
-            const desc = getWeatherDescription(weather.weathercode);
-
-            if (cityEl) cityEl.textContent = `${cityData.name}, ${cityData.country}`;
-            if (tempEl) tempEl.textContent = `${Math.round(weather.temperature)}°C`;
-
-            // criar/atualizar elemento de descrição (se existir no HTML, caso contrário criamos)
-            let descEl = document.getElementById('description');
-            if (!descEl) {
-                descEl = document.createElement('div');
-                descEl.id = 'description';
-                descEl.className = 'weather-description';
-                const current = document.querySelector('.current-weather');
-                if (current) current.appendChild(descEl);
-            }
-            descEl.textContent = desc;
-
-            // mostrar data/hora da consulta (usando o campo time retornado por Open-Meteo)
-            let datetimeEl = document.getElementById('datetime');
-            const formatted = formatDateTimeLocal(weather.time);
-            if (!datetimeEl) {
-                datetimeEl = document.createElement('div');
-                datetimeEl.id = 'datetime';
-                datetimeEl.className = 'datetime';
-                // inserir após a descrição do clima
-                let descEl = document.getElementById('description');
-                if (descEl && descEl.parentNode) {
-                    descEl.insertAdjacentElement('afterend', datetimeEl);
-                } else {
-                    const current = document.querySelector('.current-weather');
-                    if (current) current.appendChild(datetimeEl);
+            new Notification(t('alerts.notificationTitle', { city: formatCityLabel(city) }), {
+                body: alerts.map((alert) => formatAlert(alert, units)).join('\n'),
+                // substitui a notificação anterior do mesmo local
+                tag: `clima-alert-${Number(city.lat).toFixed(2)},${Number(city.lon).toFixed(2)}`
+            });
+        } catch (e) {
+            // alguns navegadores móveis só permitem notificações via service worker
+            // eslint-disable-next-line no-console
+            console.warn('Erro ao exibir notificação', e);
+        }
+    }
+
+    if (alertRulesEl) {
+        alertRulesEl.addEventListener('change', (e) => {
+            const item = e.target.closest('.alert-rule');
+            if (!item) return;
+            const rules = alertSettings.rules.map((rule) => {
+                if (rule.id !== item.dataset.ruleId) return rule;
+                if (e.target.dataset.field === 'enabled') return { ...rule, enabled: e.target.checked };
+                const value = parseFloat(e.target.value);
+                if (e.target.dataset.field !== 'threshold' || !Number.isFinite(value)) return rule;
+                const kind = ALERT_TYPES[rule.type].unit;
+                return { ...rule, threshold: convertUnit(kind, value, units[kind], DEFAULT_UNITS[kind]) };
+            });
+            updateAlertSettings({ ...alertSettings, rules });
+        });
+        alertRulesEl.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove"]');
+            const item = e.target.closest('.alert-rule');
+            if (!button || !item) return;
+            updateAlertSettings({ ...alertSettings, rules: alertSettings.rules.filter((rule) => rule.id !== item.dataset.ruleId) });
+        });
+    }
+
+    if (alertTypeEl) alertTypeEl.addEventListener('change', updateAlertThresholdInput);
+
+    if (alertAddBtn) {
+        alertAddBtn.addEventListener('click', () => {
+            const type = alertTypeEl.value;
+            const kind = ALERT_TYPES[type].unit;
+            let threshold = null;
+            if (kind) {
+                const value = parseFloat(alertThresholdEl.value);
+                if (!Number.isFinite(value)) {
+                    alertThresholdEl.focus();
+                    return;
                 }
+                threshold = convertUnit(kind, value, units[kind], DEFAULT_UNITS[kind]);
             }
-            datetimeEl.textContent = `${formatted}`;
-
-            // atualizar ou criar ícone de clima usando weather-icons
-            let iconEl = document.getElementById('weatherIcon');
-            const iconClass = getWeatherIcon(weather.weathercode);
-            if (!iconEl) {
-                iconEl = document.createElement('i');
-                iconEl.id = 'weatherIcon';
-                iconEl.className = `wi weather-icon ${iconClass}`;
-                const current = document.querySelector('.current-weather');
-                if (current) current.insertBefore(iconEl, current.firstChild);
-            } else {
-                // substituir classes preservando 'wi' e 'weather-icon'
-                iconEl.className = `wi weather-icon ${iconClass}`;
+            alertThresholdEl.value = '';
+            const rule = { id: `${type}-${Date.now().toString(36)}`, type, threshold, enabled: true };
+            updateAlertSettings({ ...alertSettings, rules: [...alertSettings.rules, rule] });
+        });
+    }
+
+    if (alertNotifyEl) {
+        if (!notificationsSupported) alertNotifyEl.closest('label').hidden = true;
+        alertNotifyEl.addEventListener('change', async () => {
+            if (!alertNotifyEl.checked) {
+                updateAlertSettings({ ...alertSettings, notify: false });
+                return;
             }
+            // a permissão é pedida só quando o usuário ativa a opção
+            const permission = Notification.permission === 'granted' ? 'granted' : await Notification.requestPermission();
+            updateAlertSettings({ ...alertSettings, notify: permission === 'granted' });
+        });
+    }
 
-            // Obter e exibir previsão dos próximos 5 dias (inclui hoje)
-            try {
-                const daily = await get5DayForecast(cityData.lat, cityData.lon);
-                // criar ou limpar container de forecast
-                let forecastEl = document.getElementById('forecast5');
-                if (!forecastEl) {
-                    forecastEl = document.createElement('div');
-                    forecastEl.id = 'forecast5';
-                    forecastEl.className = 'forecast-5day';
-                    const info = document.getElementById('weatherInfo');
-                    const backButtonEl = document.getElementById('backBtn');
-                    // preferir inserir a previsão antes do botão "Voltar" para melhor organização
-                    if (info && backButtonEl && backButtonEl.parentNode === info) {
-                        info.insertBefore(forecastEl, backButtonEl);
-                    } else if (info) {
-                        info.appendChild(forecastEl);
-                    }
-                } else {
-                    forecastEl.innerHTML = '';
-                }
+    renderAlertSettings();
 
-                if (daily && Array.isArray(daily.time) && daily.time.length) {
-                    // Adicionar título "Próximos dias"
-                    const titleEl = document.createElement('h3');
-                    titleEl.className = 'forecast-title';
-                    titleEl.textContent = 'Próximos dias';
-                    forecastEl.appendChild(titleEl);
-
-                    const list = document.createElement('ul');
-                    list.className = 'forecast-list';
-                    for (let i = 0; i < daily.time.length; i++) {
-                            const isoDate = daily.time[i]; // 'YYYY-MM-DD'
-                            const [yy, mm, dd] = isoDate.split('-');
-                            const formattedDate = `${dd}/${mm}/${yy}`;
-                            // obter dia da semana em português (seg, ter, ...)
-                            const dateObj = new Date(Number(yy), Number(mm) - 1, Number(dd));
-                            const weekdays = ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'];
-                            const weekday = weekdays[dateObj.getDay()];
-                            // converter para PascalCase (ex: 'segunda-feira' -> 'SegundaFeira')
-                            const partsForPascal = weekday.split(/[^A-Za-zÀ-ÖØ-öø-ÿ0-9]+/);
-                            const weekdayPascal = partsForPascal.map(p => p ? (p.charAt(0).toLocaleUpperCase('pt-BR') + p.slice(1)) : '').join(' ');
-                        const tmin = Math.round(daily.temperature_2m_min[i]);
-                        const tmax = Math.round(daily.temperature_2m_max[i]);
-                        const li = document.createElement('li');
-                        li.className = 'forecast-item';
-
-                        // Left: weekday above date
-                        const left = document.createElement('div');
-                        left.className = 'forecast-left';
-                        const wd = document.createElement('div');
-                        wd.className = 'forecast-weekday';
-                        wd.textContent = weekdayPascal;
-                        const dt = document.createElement('div');
-                        dt.className = 'forecast-date';
-                        dt.textContent = formattedDate;
-                        left.appendChild(wd);
-                        left.appendChild(dt);
-
-                        // Center: icon + description
-                        const center = document.createElement('div');
-                        center.className = 'forecast-center';
-                        const code = Array.isArray(daily.weathercode) ? daily.weathercode[i] : null;
-                        const iconClass = (typeof getWeatherIcon === 'function' && code !== null) ? getWeatherIcon(code) : 'wi-na';
-                        const iconEl = document.createElement('i');
-                        iconEl.className = `wi forecast-icon ${iconClass}`;
-                        iconEl.setAttribute('aria-hidden', 'true');
-                        const descElDay = document.createElement('div');
-                        descElDay.className = 'forecast-desc';
-                        descElDay.textContent = getWeatherDescription(code);
-                        center.appendChild(iconEl);
-                        center.appendChild(descElDay);
-
-                        // Right: max above min (stacked)
-                        const right = document.createElement('div');
-                        right.className = 'forecast-right';
-                        const maxEl = document.createElement('div');
-                        maxEl.className = 'temp-max';
-                        maxEl.textContent = `${tmax}°C`;
-                        const minEl = document.createElement('div');
-                        minEl.className = 'temp-min';
-                        minEl.textContent = `${tmin}°C`;
-                        right.appendChild(maxEl);
-                        right.appendChild(minEl);
-
-                        // assemble
-                        li.appendChild(left);
-                        li.appendChild(center);
-                        li.appendChild(right);
-                        list.appendChild(li);
-                    }
-                    forecastEl.appendChild(list);
-                }
-            } catch (e) {
-                // não interrompe exibição principal; loga em console para debug
+    // Exportação: baixa o que está na tela (unidades, idioma e dias escolhidos) como CSV, JSON ou .ics
+    const exportMenu = document.getElementById('exportMenu');
+
+    function downloadFile(file) {
+        const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // revogar só depois que o navegador iniciar o download
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    if (exportMenu) {
+        exportMenu.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-export]');
+            if (!button || !renderedView) return;
+            downloadFile(createExportFile(renderedView, button.dataset.export));
+            exportMenu.open = false;
+        });
+    }
+
+    // Seletor de idioma: re-traduz a página e re-renderiza o que já está na tela, sem nova requisição
+    const languageSelect = document.getElementById('languageSelect');
+    if (languageSelect) {
+        languageSelect.value = getLocale();
+        languageSelect.addEventListener('change', () => {
+            setLocale(saveLocale(languageSelect.value));
+            applyDocumentLocale();
+            renderAutoRefreshOptions();
+            renderResults();
+            renderHistory();
+            renderFavorites();
+            renderFavoriteButton();
+            renderAlertSettings();
+            renderCacheBadge(weatherInfo, shown ? oldestCachedTime() : null);
+            if (viewState.status === 'error' && viewState.error) {
+                setViewState({ ...viewState, message: getErrorMessage(viewState.error) });
+            }
+        });
+    }
+
+    // Buscas recentes (assets/js/history.js, carregado antes deste script; no Node, via require)
+    const historySection = document.getElementById('searchHistory');
+    const historyList = document.getElementById('historyList');
+    const historyClearBtn = document.getElementById('historyClearBtn');
+    const searchHistory = (typeof createSearchHistory === 'function' ? createSearchHistory : require('./history.js').createSearchHistory)();
+
+    function renderHistory() {
+        if (!historySection || !historyList) return;
+        const entries = searchHistory.list();
+        renderSearchHistory(historyList, entries, units);
+        historySection.hidden = entries.length === 0 || viewState.status === 'result';
+    }
+
+    // guarda o local exibido com a última temperatura conhecida (em °C, convertida na exibição)
+    function recordHistory(view) {
+        const { city, weather, dataUnits } = view;
+        searchHistory.add({
+            ...city,
+            temperature: weather ? convertUnit('temperature', weather.temperature, normalizeUnits(dataUnits).temperature, DEFAULT_UNITS.temperature) : null,
+            weathercode: weather ? weather.weathercode : null,
+            is_day: weather ? weather.is_day : null
+        });
+    }
+
+    if (historyList) {
+        historyList.addEventListener('click', (e) => {
+            const button = e.target.closest('.search-history-open');
+            if (!button) return;
+            const entry = searchHistory.list()[Number(button.dataset.index)];
+            if (!entry) return;
+            const { lat, lon, name, admin1, country } = entry;
+            runSearch(async () => ({ lat, lon, name, admin1, country }));
+        });
+        // ↑/↓, Home e End movem o foco entre os locais; Enter/Espaço acionam o botão
+        historyList.addEventListener('keydown', (e) => {
+            const buttons = [...historyList.querySelectorAll('.search-history-open')];
+            const index = buttons.indexOf(e.target);
+            if (index < 0) return;
+            const targets = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: buttons.length - 1 };
+            if (!(e.key in targets)) return;
+            e.preventDefault();
+            const next = (targets[e.key] + buttons.length) % buttons.length;
+            buttons[next].focus();
+        });
+    }
+
+    if (historyClearBtn) {
+        historyClearBtn.addEventListener('click', () => {
+            searchHistory.clear();
+            renderHistory();
+            cityInput.focus();
+        });
+    }
+
+    // Favoritos: cartões compactos exibidos junto ao formulário de busca
+    const favoritesSection = document.getElementById('favorites');
+    const favoritesList = document.getElementById('favoritesList');
+    const favoriteBtn = document.getElementById('favoriteBtn');
+    let favorites = loadFavorites();
+    // último lote buscado: resultados por localização (chave lat,lon) e as unidades em que vieram
+    let favoritesData = { byLocation: {}, dataUnits: units };
+    let favoritesRequestId = 0;
+    // índice do cartão sendo arrastado
+    let draggedFavorite = null;
+
+    const favoriteKey = (f) => `${Number(f.lat).toFixed(2)},${Number(f.lon).toFixed(2)}`;
+
+    function renderFavoriteButton() {
+        if (!favoriteBtn || !shown) return;
+        const active = favorites.some((f) => isSameLocation(f, shown.city));
+        favoriteBtn.setAttribute('aria-pressed', active ? 'true' : 'false');
+        favoriteBtn.textContent = active ? t('favorites.active') : t('favorites.add');
+        favoriteBtn.title = active ? t('favorites.remove') : t('favorites.addTitle');
+    }
+
+    function renderFavorites() {
+        if (!favoritesSection || !favoritesList) return;
+        favoritesList.innerHTML = '';
+        if (favorites.length === 0) {
+            favoritesSection.hidden = true;
+            return;
+        }
+
+        favorites.forEach((fav, i) => {
+            const result = favoritesData.byLocation[favoriteKey(fav)];
+            const weather = result ? convertWeatherUnits(result.weather, favoritesData.dataUnits, units) : null;
+            const today = result && result.today ? result.today : null;
+            const toUnit = (v) => convertUnit('temperature', v, normalizeUnits(favoritesData.dataUnits).temperature, units.temperature);
+            const code = weather ? weather.weathercode : null;
+
+            const li = document.createElement('li');
+            li.className = 'favorite-card';
+            li.draggable = true;
+            li.dataset.index = i;
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'favorite-open';
+            open.dataset.action = 'open';
+            open.setAttribute('aria-label', t('favorites.open', { city: formatCityLabel(fav) }));
+            const iconEl = document.createElement('i');
+            iconEl.className = `wi favorite-icon ${code !== null ? getWeatherIcon(code, weather.is_day !== 0) : 'wi-na'}`;
+            iconEl.setAttribute('aria-hidden', 'true');
+            const nameEl = document.createElement('span');
+            nameEl.className = 'favorite-name';
+            nameEl.textContent = fav.name;
+            const tempEl = document.createElement('span');
+            tempEl.className = 'favorite-temp';
+            tempEl.textContent = weather ? formatTemperature(weather.temperature, units.temperature) : '--';
+            const descEl = document.createElement('span');
+            descEl.className = 'favorite-desc';
+            descEl.textContent = weather ? getWeatherDescription(code) : t('favorites.noData');
+            const rangeEl = document.createElement('span');
+            rangeEl.className = 'favorite-range';
+            rangeEl.textContent = today
+                ? `↑ ${formatTemperature(toUnit(today.max), units.temperature)}  ↓ ${formatTemperature(toUnit(today.min), units.temperature)}`
+                : '';
+            open.appendChild(iconEl);
+            open.appendChild(nameEl);
+            open.appendChild(tempEl);
+            open.appendChild(descEl);
+            open.appendChild(rangeEl);
+
+            const actions = document.createElement('div');
+            actions.className = 'favorite-actions';
+            const makeAction = (action, text, label, disabled) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = `favorite-action favorite-${action}`;
+                btn.dataset.action = action;
+                btn.textContent = text;
+                btn.title = label;
+                btn.setAttribute('aria-label', `${label}: ${fav.name}`);
+                btn.disabled = !!disabled;
+                return btn;
+            };
+            actions.appendChild(makeAction('left', '◀', t('favorites.moveBefore'), i === 0));
+            actions.appendChild(makeAction('right', '▶', t('favorites.moveAfter'), i === favorites.length - 1));
+            actions.appendChild(makeAction('remove', '✕', t('favorites.remove')));
+
+            li.appendChild(open);
+            li.appendChild(actions);
+            favoritesList.appendChild(li);
+        });
+        // só exibe o painel na tela de busca
+        favoritesSection.hidden = viewState.status === 'result';
+    }
+
+    // Busca todos os favoritos em uma única requisição e atualiza os cartões
+    async function refreshFavorites() {
+        renderFavorites();
+        if (favorites.length === 0) return;
+        const requestId = ++favoritesRequestId;
+        const requestUnits = units;
+        const list = favorites;
+        const apply = (results) => {
+            if (requestId !== favoritesRequestId || !results) return;
+            const byLocation = {};
+            list.forEach((fav, i) => { byLocation[favoriteKey(fav)] = results[i]; });
+            favoritesData = { byLocation, dataUnits: requestUnits };
+            renderFavorites();
+        };
+        try {
+            const result = await getCachedWeatherBatch(list, requestUnits);
+            apply(result.data);
+            if (result.refresh) result.refresh.then(apply);
+        } catch (e) {
+            // cartões continuam visíveis, apenas sem dados
+            // eslint-disable-next-line no-console
+            console.warn('Erro ao atualizar favoritos', e);
+        }
+    }
+
+    function updateFavorites(list) {
+        favorites = saveFavorites(list);
+        renderFavorites();
+        renderFavoriteButton();
+    }
+
+    if (favoriteBtn) {
+        favoriteBtn.addEventListener('click', () => {
+            if (!shown) return;
+            updateFavorites(toggleFavorite(favorites, shown.city));
+        });
+    }
+
+    if (favoritesList) {
+        favoritesList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            const card = e.target.closest('.favorite-card');
+            if (!button || !card) return;
+            const index = Number(card.dataset.index);
+            const action = button.dataset.action;
+            if (action === 'open') {
+                const fav = favorites[index];
+                runSearch(async () => fav);
+            } else if (action === 'remove') {
+                updateFavorites(favorites.filter((_, i) => i !== index));
+            } else if (action === 'left' || action === 'right') {
+                const to = action === 'left' ? index - 1 : index + 1;
+                updateFavorites(moveFavorite(favorites, index, to));
+                // manter o foco no mesmo botão do cartão movido
+                const moved = favoritesList.querySelector(`.favorite-card[data-index="${to}"] .favorite-${action}`);
+                if (moved && !moved.disabled) moved.focus();
+            }
+        });
+
+        // reordenação por arrastar e soltar
+        favoritesList.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.favorite-card');
+            if (!card) return;
+            draggedFavorite = Number(card.dataset.index);
+            card.classList.add('dragging');
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(draggedFavorite));
+            }
+        });
+        favoritesList.addEventListener('dragover', (e) => {
+            if (draggedFavorite === null) return;
+            e.preventDefault();
+        });
+        favoritesList.addEventListener('drop', (e) => {
+            const card = e.target.closest('.favorite-card');
+            if (draggedFavorite === null || !card) return;
+            e.preventDefault();
+            const to = Number(card.dataset.index);
+            const from = draggedFavorite;
+            draggedFavorite = null;
+            if (from !== to) updateFavorites(moveFavorite(favorites, from, to));
+        });
+        favoritesList.addEventListener('dragend', () => {
+            draggedFavorite = null;
+            favoritesList.querySelectorAll('.dragging').forEach((el) => el.classList.remove('dragging'));
+        });
+    }
+
+    // Executa uma busca completa: resolve a cidade, busca clima/previsões e exibe o resultado.
+    // `resolveCity` é uma função assíncrona que retorna `{lat, lon, name, admin1, country}`.
+    // `query` é a busca que vai para a URL (`{city}`; sem ela, usam-se as coordenadas encontradas) e
+    // `history` diz como registrá-la: 'push' (nova entrada), 'replace' (abertura por link) ou 'none' (voltar/avançar).
+    async function runSearch(resolveCity, { query = null, history = 'push' } = {}) {
+        const renderId = ++currentRenderId;
+        cachedSections = {};
+        setViewState({ status: 'loading' });
+
+        // unidades da busca: os dados ficam nelas e são convertidos localmente se o usuário trocar
+        const searchUnits = units;
+
+        try {
+            const city = await resolveCity();
+            if (renderId !== currentRenderId) return;
+
+            // Buscar dados do clima atual (variáveis de `current=`)
+            const weatherResult = await getCachedWeatherData(city.lat, city.lon, searchUnits);
+            if (renderId !== currentRenderId) return;
+            updatedAt = weatherResult.fetchedAt;
+            refreshAttemptAt = 0;
+
+            const view = { city, weather: weatherResult.data, hourly: null, daily: null, airQuality: null, history: null, dataUnits: searchUnits };
+            trackCachedResult('weather', weatherResult, renderId, (fresh) => {
+                view.weather = fresh;
+                updatedAt = Date.now();
+                renderResults();
+                recordHistory(view);
+            });
+
+            // Obter previsão por hora (48h), diária (até 14 dias, inclui hoje), qualidade do ar
+            // e o histórico da data de hoje no local em paralelo
+            const today = String(weatherResult.data.time || '').slice(0, 10);
+            const [hourlySettled, forecastSettled, airSettled, historySettled] = await Promise.allSettled([
+                getCachedHourlyForecast(city.lat, city.lon, 48, searchUnits),
+                // sempre a maior opção; o seletor de dias apenas corta a lista exibida
+                getCachedDailyForecast(city.lat, city.lon, { days: Math.max(...FORECAST_DAYS_OPTIONS), units: searchUnits, today }),
+                getCachedAirQuality(city.lat, city.lon),
+                getCachedHistoricalComparison(city.lat, city.lon, today, 10, searchUnits)
+            ]);
+            if (renderId !== currentRenderId) return;
+            // falhas nas previsões não interrompem a exibição principal; logam em console para debug
+            if (hourlySettled.status === 'fulfilled') {
+                view.hourly = hourlySettled.value.data;
+                trackCachedResult('hourly', hourlySettled.value, renderId, (fresh) => {
+                    view.hourly = fresh;
+                    renderResults();
+                });
+            } else {
+                // eslint-disable-next-line no-console
+                console.warn('Erro ao obter previsão por hora', hourlySettled.reason);
+            }
+            if (forecastSettled.status === 'fulfilled') {
+                view.daily = forecastSettled.value.data;
+                trackCachedResult('forecast', forecastSettled.value, renderId, (fresh) => {
+                    view.daily = fresh;
+                    renderResults();
+                });
+            } else {
                 // eslint-disable-next-line no-console
-                console.warn('Erro ao obter previsão de 5 dias', e);
+                console.warn('Erro ao obter previsão diária', forecastSettled.reason);
+            }
+            if (airSettled.status === 'fulfilled') {
+                view.airQuality = airSettled.value.data;
+                trackCachedResult('airQuality', airSettled.value, renderId, (fresh) => {
+                    view.airQuality = fresh;
+                    renderResults();
+                });
+            } else {
+                // eslint-disable-next-line no-console
+                console.warn('Erro ao obter qualidade do ar', airSettled.reason);
+            }
+            // o histórico não entra no selo "dados de HH:MM": é antigo por natureza
+            if (historySettled.status === 'fulfilled') {
+                view.history = historySettled.value.data;
+            } else {
+                // eslint-disable-next-line no-console
+                console.warn('Erro ao obter dados históricos', historySettled.reason);
             }
 
-            loading.style.display = 'none';
-            weatherInfo.style.display = 'block';
-            // esconder título ao mostrar as informações
-            if (pageTitle) pageTitle.style.display = 'none';
-            // tornar o container pai visualmente invisível (manter layout)
-            if (container) container.classList.add('no-bg');
-            hideSearchForm();
+            shown = view;
+            renderResults();
+            renderCacheBadge(weatherInfo, oldestCachedTime());
+            setViewState({ status: 'result' });
+            // leva o foco ao título do resultado (nome da cidade) para leitores de tela começarem por ele;
+            // as atualizações em segundo plano (`trackCachedResult`) não mexem no foco
+            const resultTitle = document.getElementById('cityName');
+            if (resultTitle) resultTitle.focus();
+            renderFavoriteButton();
+            recordHistory(view);
+            notifyAlerts(city, currentAlerts());
 
+            // URL compartilhável do resultado
+            const url = buildLocationQuery(query || { lat: city.lat, lon: city.lon, name: city.name });
+            if (history === 'push') window.history.pushState({ pushed: true }, '', url);
+            else if (history === 'replace') window.history.replaceState({ pushed: false }, '', url);
         } catch (err) {
-            loading.style.display = 'none';
-            // Mostrar mensagem específica quando a cidade não for encontrada
-            let message = 'Cidade não encontrada. Tente novamente.';
-            if (err && err.message && !err.message.toLowerCase().includes('cidade')) {
-                // para outros erros, mostramos a mensagem original ou fallback
-                message = err.message || 'Erro ao buscar dados do clima. Tente novamente.';
+            if (renderId !== currentRenderId) return;
+            // a mensagem depende do tipo do erro (cidade não encontrada, limite de requisições, rede...)
+            // o erro fica no estado para a mensagem ser traduzida de novo ao trocar o idioma
+            setViewState({ status: 'error', message: getErrorMessage(err), error: err });
+        }
+    }
+
+    // Abre a busca descrita na URL (`?city=` ou `?lat=&lon=`)
+    function searchFromQuery(query, history) {
+        if (query.city) {
+            return runSearch(async () => (await getCachedCityCoordinates(query.city)).data, { query, history });
+        }
+        return runSearch(async () => {
+            if (query.name) return { lat: query.lat, lon: query.lon, name: query.name, admin1: '', country: '' };
+            try {
+                return (await getCachedReverseGeocode(query.lat, query.lon)).data;
+            } catch (e) {
+                // eslint-disable-next-line no-console
+                console.warn('Erro ao obter o nome do local', e);
+                return { lat: query.lat, lon: query.lon, name: t('location.selected'), admin1: '', country: '' };
             }
-            error.textContent = message;
-            error.style.display = 'block';
-        } finally {
-            searchBtn.disabled = false;
+        }, { query, history });
+    }
+
+    searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const cityName = cityInput.value.trim();
+        
+        if (!cityName) {
+            return;
         }
+
+        // cancelar sugestões pendentes para a lista não reabrir durante a busca
+        fetchSuggestions.cancel();
+        suggestionRequestId++;
+        const chosenCity = selectedCity;
+        closeSuggestions();
+
+        // Usar a cidade escolhida no autocompletar ou buscar o melhor resultado (com cache)
+        if (chosenCity) runSearch(async () => chosenCity);
+        else runSearch(async () => (await getCachedCityCoordinates(cityName)).data, { query: { city: cityName } });
+    });
+
+    // Botão "usar minha localização": coordenadas do navegador + nome do local via geocodificação reversa
+    if (locationBtn) {
+        if (typeof navigator === 'undefined' || !navigator.geolocation) locationBtn.hidden = true;
+        locationBtn.addEventListener('click', () => {
+            fetchSuggestions.cancel();
+            suggestionRequestId++;
+            closeSuggestions();
+            runSearch(async () => {
+                const position = await getCurrentPosition();
+                try {
+                    return (await getCachedReverseGeocode(position.lat, position.lon)).data;
+                } catch (e) {
+                    // sem nome do local, ainda assim exibimos o clima das coordenadas
+                    // eslint-disable-next-line no-console
+                    console.warn('Erro ao obter o nome do local', e);
+                    return { ...position, name: t('location.mine'), admin1: '', country: '' };
+                }
+            });
+        });
+    }
+
+    // voltar/avançar do navegador: reabre o resultado da URL ou volta ao formulário
+    window.addEventListener('popstate', () => {
+        const query = parseLocationQuery(window.location.search);
+        if (query) searchFromQuery(query, 'none');
+        else showSearchForm();
     });
 
+    // exibir as buscas recentes e os favoritos salvos ao abrir a página
+    renderHistory();
+    refreshFavorites();
+
+    // Service worker: guarda a página e as últimas previsões para uso offline (só em http/https)
+    if (typeof navigator !== 'undefined' && 'serviceWorker' in navigator && /^https?:$/.test(window.location.protocol)) {
+        navigator.serviceWorker.register('./sw.js').catch((err) => {
+            // eslint-disable-next-line no-console
+            console.warn('Falha ao registrar o service worker', err);
+        });
+    }
+
+    // links diretos: `?city=Lisboa` ou `?lat=..&lon=..` abrem o resultado
+    const initialQuery = parseLocationQuery(window.location.search);
+    if (initialQuery) searchFromQuery(initialQuery, 'replace');
+
 }
 
 // Export functions for unit tests (Node environment)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        searchCities,
         getCityCoordinates,
         getWeatherData,
         getWeatherDescription,
         getWeatherIcon,
+        getCompassDirection,
+        formatTimeOfDay,
         formatDateTimeLocal,
-        get5DayForecast
+        formatCityLabel,
+        debounce,
+        get5DayForecast,
+        createCacheStore,
+        withCache,
+        getCachedCityCoordinates,
+        getCachedWeatherData,
+        getCachedDailyForecast,
+        getDailyForecast,
+        DAILY_VARIABLES,
+        loadForecastDays,
+        saveForecastDays,
+        normalizeAutoRefresh,
+        loadAutoRefresh,
+        saveAutoRefresh,
+        formatUpdatedAgo,
+        renderUpdatedAgo,
+        diffWeatherViews,
+        highlightChanges,
+        preserveViewState,
+        toggleForecastDetails,
+        linearScale,
+        niceTicks,
+        buildLinePath,
+        computeForecastChart,
+        renderForecastChart,
+        clearResponseCache,
+        formatCacheTime,
+        DEFAULT_UNITS,
+        normalizeUnits,
+        loadUnits,
+        saveUnits,
+        convertUnit,
+        convertWeatherUnits,
+        convertDailyUnits,
+        formatTemperature,
+        formatWindSpeed,
+        formatPrecipitation,
+        getHourlyForecast,
+        getCachedHourlyForecast,
+        getAirQuality,
+        classifyAirQuality,
+        classifyUvIndex,
+        getCachedAirQuality,
+        renderAirQuality,
+        getHistoricalComparison,
+        getCachedHistoricalComparison,
+        describeHistoricalComparison,
+        renderHistoricalComparison,
+        formatHourLabel,
+        reverseGeocode,
+        getCachedReverseGeocode,
+        getCurrentPosition,
+        getWeatherBatch,
+        getCachedWeatherBatch,
+        isSameLocation,
+        loadFavorites,
+        saveFavorites,
+        toggleFavorite,
+        moveFavorite,
+        ClimaError,
+        ValidationError,
+        NotFoundError,
+        ApiError,
+        RateLimitError,
+        ServerError,
+        NetworkError,
+        TimeoutError,
+        ResponseFormatError,
+        GeolocationError,
+        configureRequests,
+        fetchJson,
+        parseRetryAfter,
+        getRetryDelay,
+        getErrorMessage,
+        renderCurrentWeather,
+        renderCurrentDetails,
+        renderHourly,
+        renderForecast,
+        describeForecastDay,
+        scrollHourlyToDate,
+        createWeatherView,
+        renderWeatherView,
+        renderCacheBadge,
+        renderOfflineStatus,
+        renderSearchHistory,
+        applyViewState,
+        parseLocationQuery,
+        buildLocationQuery,
+        ALERT_TYPES,
+        DEFAULT_ALERT_RULES,
+        normalizeAlertSettings,
+        loadAlertSettings,
+        saveAlertSettings,
+        evaluateAlerts,
+        formatAlert,
+        renderAlertBanner,
+        renderAlertRules,
+        SUPPORTED_LOCALES,
+        normalizeLocale,
+        setLocale,
+        getLocale,
+        t,
+        loadLocale,
+        saveLocale,
+        formatDate,
+        formatShortDate,
+        formatWeekday,
+        formatNumber,
+        applyTranslations,
+        normalizeOpenMeteoSeries,
+        createOpenMeteoProvider,
+        createFixtureProvider,
+        setWeatherProvider,
+        getWeatherProvider,
+        loadProvider,
+        saveProvider,
+        fetchWeatherBatch,
+        EXPORT_FORMATS,
+        buildForecastExport,
+        serializeForecastCsv,
+        serializeForecastJson,
+        serializeForecastIcs,
+        createExportFile
     };
 }
\ No newline at end of file
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Linha de comando do Projeto Clima: clima atual e previsão diária no terminal, usando as mesmas
+ * funções do navegador (exportadas por `assets/js/scripts.js`).
+ *
+ * Uso: clima "Porto Alegre" --days 5 --json
+ */
+
+const {
+    getCityCoordinates,
+    getWeatherData,
+    getDailyForecast,
+    normalizeOpenMeteoSeries,
+    createWeatherView,
+    buildForecastExport,
+    formatCityLabel,
+    formatDateTimeLocal,
+    formatTemperature,
+    formatWindSpeed,
+    formatPrecipitation,
+    formatNumber,
+    formatShortDate,
+    formatWeekday,
+    getWeatherDescription,
+    getWeatherIcon,
+    getErrorMessage,
+    normalizeLocale,
+    setLocale,
+    t,
+    ValidationError,
+    NotFoundError,
+    NetworkError
+} = require('../assets/js/scripts.js');
+
+// Códigos de saída: scripts podem distinguir cidade inexistente de falta de conexão
+const EXIT_CODES = {
+    ok: 0,
+    error: 1,
+    usage: 2,
+    notFound: 3,
+    network: 4
+};
+
+const CLI_DEFAULT_DAYS = 5;
+const CLI_MAX_DAYS = 16;
+
+// `--units`: conjuntos de unidades aceitos pelas funções da API
+const UNIT_SYSTEMS = {
+    metric: { temperature: 'celsius', windspeed: 'kmh', precipitation: 'mm' },
+    imperial: { temperature: 'fahrenheit', windspeed: 'mph', precipitation: 'inch' }
+};
+
+const USAGE = `Uso: clima <cidade> [opções]
+
+Mostra o clima atual e a previsão dos próximos dias.
+
+Opções:
+  -d, --days <n>      Dias de previsão, incluindo hoje (1 a ${CLI_MAX_DAYS}; padrão: ${CLI_DEFAULT_DAYS})
+  -u, --units <tipo>  metric (°C, km/h, mm; padrão) ou imperial (°F, mph, in)
+  -l, --lang <idioma> pt-BR (padrão), en ou es
+      --json          Saída em JSON (formato da exportação do navegador, com os ícones)
+  -h, --help          Mostra esta ajuda
+
+Códigos de saída: 0 sucesso, 2 uso inválido, 3 cidade não encontrada, 4 falha de conexão, 1 demais erros.
+
+Exemplo: clima "Porto Alegre" --days 5 --json
+`;
+
+/**
+ * Interpreta os argumentos da linha de comando. Palavras soltas formam o nome da cidade
+ * (`clima Porto Alegre` equivale a `clima "Porto Alegre"`).
+ *
+ * @function parseArgs
+ * @param {string[]} argv - Argumentos sem `node` e o caminho do script (`process.argv.slice(2)`).
+ * @returns {{city: string, days: number, json: boolean, units: Object, locale: string, help: boolean}} Opções.
+ * @throws {ValidationError} Se uma opção for desconhecida, vier sem valor ou com valor inválido,
+ *  ou se a cidade não for informada (exceto com `--help`).
+ *
+ * @example
+ * parseArgs(['Porto Alegre', '--days', '3', '--json']);
+ * // Output: { city: 'Porto Alegre', days: 3, json: true, units: {...}, locale: 'pt-BR', help: false }
+ */
+function parseArgs(argv) {
+    const options = { city: '', days: CLI_DEFAULT_DAYS, json: false, units: UNIT_SYSTEMS.metric, locale: normalizeLocale(), help: false };
+    const words = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        // `--days=5` equivale a `--days 5`
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+        const value = () => {
+            const next = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (next === undefined || next === '') throw new ValidationError(`A opção ${flag} precisa de um valor`);
+            return next;
+        };
+        if (flag === '-h' || flag === '--help') {
+            options.help = true;
+        } else if (flag === '--json') {
+            options.json = true;
+        } else if (flag === '-d' || flag === '--days') {
+            const days = Number(value());
+            if (!Number.isInteger(days) || days < 1 || days > CLI_MAX_DAYS) {
+                throw new ValidationError(`--days deve ser um número inteiro entre 1 e ${CLI_MAX_DAYS}`);
+            }
+            options.days = days;
+        } else if (flag === '-u' || flag === '--units') {
+            const system = value();
+            if (!UNIT_SYSTEMS[system]) throw new ValidationError(`--units deve ser ${Object.keys(UNIT_SYSTEMS).join(' ou ')}`);
+            options.units = UNIT_SYSTEMS[system];
+        } else if (flag === '-l' || flag === '--lang') {
+            options.locale = normalizeLocale(value());
+        } else if (arg.startsWith('-') && arg.length > 1) {
+            throw new ValidationError(`Opção desconhecida: ${arg}`);
+        } else {
+            words.push(arg);
+        }
+    }
+    options.city = words.join(' ').trim();
+    if (!options.city && !options.help) throw new ValidationError('Informe o nome da cidade');
+    return options;
+}
+
+/**
+ * Busca a cidade, o clima atual e a previsão diária, no formato usado pelo painel do navegador.
+ *
+ * @async
+ * @function fetchWeatherView
+ * @param {{city: string, days: number, units: Object}} options - Opções de `parseArgs`.
+ * @returns {Promise<Object>} Dados normalizados por `createWeatherView` (`{city, current, daily, units, ...}`).
+ * @throws {NotFoundError} Se a cidade não for encontrada.
+ * @throws {ClimaError} Demais falhas das requisições.
+ */
+async function fetchWeatherView({ city: query, days, units }) {
+    const city = await getCityCoordinates(query);
+    const [weather, daily] = await Promise.all([
+        getWeatherData(city.lat, city.lon, units),
+        getDailyForecast(city.lat, city.lon, { days, units })
+    ]);
+    return createWeatherView({ city, weather, daily: normalizeOpenMeteoSeries(daily), dataUnits: units });
+}
+
+/**
+ * Monta o JSON do comando: o modelo da exportação do navegador (`buildForecastExport`) com o ícone
+ * da biblioteca Weather Icons de cada item, para outras interfaces reaproveitarem.
+ *
+ * @function buildJsonReport
+ * @param {Object} view - Dados de `fetchWeatherView`.
+ * @returns {Object} `{location, units, current, daily}`.
+ */
+function buildJsonReport(view) {
+    const report = buildForecastExport(view);
+    if (report.current) report.current.icon = getWeatherIcon(report.current.weathercode, view.current.is_day !== 0);
+    report.daily.forEach((day) => { day.icon = getWeatherIcon(day.weathercode); });
+    return report;
+}
+
+/**
+ * Formata os dados para o terminal: local, clima atual e uma tabela com um dia por linha.
+ * Os textos seguem o idioma atual (`setLocale`) e os valores, as unidades da busca.
+ *
+ * @function formatReport
+ * @param {Object} view - Dados de `fetchWeatherView`.
+ * @returns {string} Texto pronto para exibir, terminado em quebra de linha.
+ *
+ * @example
+ * formatReport(report);
+ * // Porto Alegre, Rio Grande do Sul, Brasil
+ * // Agora (10/11/2025 14:30): 25°C, Pancadas de chuva leves
+ * // Vento: 8 km/h
+ * // ...
+ */
+function formatReport(view) {
+    const { city, current, daily, units } = view;
+    const lines = [formatCityLabel(city)];
+    if (current) {
+        lines.push(`${t('cli.current', { time: formatDateTimeLocal(current.time) })}: ${formatTemperature(current.temperature, units.temperature)}, ${getWeatherDescription(current.weathercode)}`);
+        lines.push(t('current.wind', { speed: formatWindSpeed(current.windspeed, units.windspeed) }));
+    }
+    const dates = daily && Array.isArray(daily.time) ? daily.time : [];
+    if (dates.length) {
+        const valueAt = (field, i) => (Array.isArray(daily[field]) ? daily[field][i] : null);
+        const probability = (value) => (typeof value === 'number' ? `${formatNumber(value)}%` : '--');
+        const header = [t('cli.day'), t('cli.date'), t('chart.max'), t('chart.min'), t('daily.precipitationProbability'), t('daily.precipitationSum'), t('cli.conditions')];
+        const rows = dates.map((date, i) => [
+            formatWeekday(date),
+            formatShortDate(date),
+            formatTemperature(valueAt('temperature_max', i), units.temperature),
+            formatTemperature(valueAt('temperature_min', i), units.temperature),
+            probability(valueAt('precipitation_probability_max', i)),
+            formatPrecipitation(valueAt('precipitation_sum', i), units.precipitation),
+            getWeatherDescription(valueAt('weathercode', i))
+        ]);
+        // colunas alinhadas pelo maior texto; a última (descrição) fica sem preenchimento
+        const widths = header.map((_, col) => Math.max(...[header, ...rows].map((row) => row[col].length)));
+        const formatRow = (row) => row.map((cell, col) => (col === row.length - 1 ? cell : cell.padEnd(widths[col]))).join('  ');
+        lines.push('', t('daily.title'), formatRow(header), ...rows.map(formatRow));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Código de saída correspondente ao erro (ver `EXIT_CODES`).
+ *
+ * @function getExitCode
+ * @param {Error} err - Erro lançado pela busca ou por `parseArgs`.
+ * @returns {number} Código de saída do processo.
+ */
+function getExitCode(err) {
+    if (err instanceof NotFoundError) return EXIT_CODES.notFound;
+    if (err instanceof NetworkError) return EXIT_CODES.network;
+    if (err instanceof ValidationError) return EXIT_CODES.usage;
+    return EXIT_CODES.error;
+}
+
+/**
+ * Executa o comando: interpreta os argumentos, busca os dados e escreve o resultado.
+ *
+ * @async
+ * @function run
+ * @param {string[]} argv - Argumentos da linha de comando (`process.argv.slice(2)`).
+ * @param {{stdout: {write: Function}, stderr: {write: Function}}} [io] - Saídas (padrão: as do processo).
+ * @returns {Promise<number>} Código de saída (ver `EXIT_CODES`); nunca rejeita.
+ */
+async function run(argv, io = process) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (err) {
+        io.stderr.write(`clima: ${err.message}\n\n${USAGE}`);
+        return getExitCode(err);
+    }
+    if (options.help) {
+        io.stdout.write(USAGE);
+        return EXIT_CODES.ok;
+    }
+    setLocale(options.locale);
+    try {
+        const view = await fetchWeatherView(options);
+        io.stdout.write(options.json ? `${JSON.stringify(buildJsonReport(view), null, 2)}\n` : formatReport(view));
+        return EXIT_CODES.ok;
+    } catch (err) {
+        io.stderr.write(`clima: ${getErrorMessage(err)}\n`);
+        return getExitCode(err);
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    EXIT_CODES,
+    parseArgs,
+    fetchWeatherView,
+    buildJsonReport,
+    formatReport,
+    getExitCode,
+    run
+};
@@ -0,0 +1,175 @@
+/**
+ * Service worker do Projeto Clima: deixa a página disponível sem conexão.
+ *
+ * - Na instalação, guarda a página, os estilos, o script, a imagem de fundo e a fonte de ícones.
+ * - Arquivos da página: stale-while-revalidate (resposta imediata do cache, atualizada em segundo plano).
+ * - Dados do tempo (APIs e fixtures): network-first; sem rede, responde com a última resposta guardada
+ *   de cada consulta, mantendo apenas as `MAX_DATA_ENTRIES` mais recentes.
+ *
+ * Para testar: sirva a pasta (ex: `python3 -m http.server 8000`), abra uma cidade e ative o modo
+ * offline nas ferramentas do navegador.
+ */
+
+// Trocar a versão ao publicar mudanças nos arquivos da página descarta os caches antigos
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `clima-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `clima-data-${CACHE_VERSION}`;
+const MAX_DATA_ENTRIES = 40;
+
+const WEATHER_ICONS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/weather-icons/2.0.10';
+// Arquivos da própria página: sem qualquer um deles a instalação falha
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './assets/css/styles.css',
+    './assets/js/history.js',
+    './assets/js/scripts.js',
+    './assets/img/background.jpg',
+    './assets/img/icon-192.png'
+];
+// Biblioteca de ícones (CDN): guardada quando disponível, sem impedir a instalação
+const OPTIONAL_PRECACHE_URLS = [
+    `${WEATHER_ICONS_URL}/css/weather-icons.min.css`,
+    `${WEATHER_ICONS_URL}/font/weathericons-regular-webfont.woff2`,
+    `${WEATHER_ICONS_URL}/font/weathericons-regular-webfont.woff`
+];
+// Servidores das APIs de dados do tempo e de geocodificação
+const DATA_HOSTS = [
+    'api.open-meteo.com',
+    'geocoding-api.open-meteo.com',
+    'air-quality-api.open-meteo.com',
+    'archive-api.open-meteo.com',
+    'api.bigdatacloud.net'
+];
+
+/**
+ * Indica se a requisição é de dados do tempo (APIs ou arquivos do provedor de fixtures).
+ *
+ * @function isDataRequest
+ * @param {string} url - Endereço absoluto da requisição.
+ * @returns {boolean} `true` para dados, que seguem a estratégia network-first.
+ */
+function isDataRequest(url) {
+    const { hostname, pathname } = new URL(url);
+    return DATA_HOSTS.includes(hostname) || pathname.includes('/fixtures/');
+}
+
+/**
+ * Indica se a requisição é de um arquivo da página (mesma origem ou biblioteca de ícones).
+ *
+ * @function isShellRequest
+ * @param {string} url - Endereço absoluto da requisição.
+ * @param {string} origin - Origem da página (ex: 'http://localhost:8000').
+ * @returns {boolean} `true` para arquivos servidos com stale-while-revalidate.
+ */
+function isShellRequest(url, origin) {
+    return url.startsWith(`${origin}/`) || url.startsWith(`${WEATHER_ICONS_URL}/`);
+}
+
+// Remove as entradas mais antigas até sobrarem `max` (o Cache API mantém a ordem de inserção)
+async function trimCache(cache, max) {
+    const keys = await cache.keys();
+    for (let i = 0; i < keys.length - max; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+/**
+ * Network-first: busca na rede e guarda a resposta; sem rede, usa a última resposta guardada.
+ *
+ * @async
+ * @function networkFirst
+ * @param {Request} request - Requisição interceptada.
+ * @returns {Promise<Response>} Resposta da rede ou do cache.
+ * @throws {TypeError} Repassa a falha de rede quando não há nada guardado para a requisição.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // `put` substitui a cópia anterior no fim da fila: as consultas mais recentes são as mantidas
+            await cache.put(request, response.clone());
+            await trimCache(cache, MAX_DATA_ENTRIES);
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+/**
+ * Stale-while-revalidate: responde com o cache (se houver) e atualiza a cópia em segundo plano.
+ * Navegações com parâmetros (`?city=Lisboa`) usam a página guardada, ignorando a query string.
+ *
+ * @async
+ * @function staleWhileRevalidate
+ * @param {Request} request - Requisição interceptada.
+ * @param {Function} [waitUntil] - `event.waitUntil`, para o navegador aguardar a atualização.
+ * @returns {Promise<Response>} Resposta do cache ou, sem cópia guardada, da rede.
+ */
+async function staleWhileRevalidate(request, waitUntil) {
+    const cache = await caches.open(SHELL_CACHE);
+    // todas as navegações abrem a mesma página: guardada uma única vez, sem a query string
+    const key = request.mode === 'navigate' ? request.url.split('?')[0] : request;
+    const cached = await cache.match(key);
+    const update = fetch(request).then(async (response) => {
+        if (response.ok) await cache.put(key, response.clone());
+        return response;
+    });
+    if (!cached) return update;
+    const background = update.catch(() => null);
+    if (waitUntil) waitUntil(background);
+    return cached;
+}
+
+// Só registra os eventos quando executado como service worker (não ao ser importado nos testes)
+if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+    self.addEventListener('install', (event) => {
+        event.waitUntil((async () => {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.addAll(PRECACHE_URLS);
+            await Promise.all(OPTIONAL_PRECACHE_URLS.map((url) => cache.add(new Request(url, { mode: 'cors' })).catch(() => null)));
+            await self.skipWaiting();
+        })());
+    });
+
+    // descarta os caches de versões anteriores e assume as abas já abertas
+    self.addEventListener('activate', (event) => {
+        event.waitUntil((async () => {
+            const names = await caches.keys();
+            await Promise.all(names
+                .filter((name) => name.startsWith('clima-') && name !== SHELL_CACHE && name !== DATA_CACHE)
+                .map((name) => caches.delete(name)));
+            await self.clients.claim();
+        })());
+    });
+
+    self.addEventListener('fetch', (event) => {
+        const { request } = event;
+        if (request.method !== 'GET') return;
+        if (isDataRequest(request.url)) {
+            event.respondWith(networkFirst(request));
+        } else if (request.mode === 'navigate' || isShellRequest(request.url, self.location.origin)) {
+            event.respondWith(staleWhileRevalidate(request, (promise) => event.waitUntil(promise)));
+        }
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CACHE_VERSION,
+        SHELL_CACHE,
+        DATA_CACHE,
+        MAX_DATA_ENTRIES,
+        PRECACHE_URLS,
+        OPTIONAL_PRECACHE_URLS,
+        isDataRequest,
+        isShellRequest,
+        networkFirst,
+        staleWhileRevalidate
+    };
+}
@@ -0,0 +1,122 @@
+const { EXIT_CODES, parseArgs, run } = require('../bin/clima.js');
+const { configureRequests, setLocale } = require('../assets/js/scripts.js');
+
+const jsonResponse = (data) => ({ ok: true, status: 200, json: async () => data });
+
+const geocoding = { results: [{ latitude: -30.03, longitude: -51.23, name: 'Porto Alegre', admin1: 'Rio Grande do Sul', country: 'Brasil' }] };
+const currentWeather = { current: { time: '2025-11-10T14:30', temperature_2m: 25.4, weather_code: 80, wind_speed_10m: 8.2, wind_direction_10m: 90, is_day: 1 } };
+const dailyForecast = {
+  daily: {
+    time: ['2025-11-10', '2025-11-11'],
+    weathercode: [80, 0],
+    temperature_2m_max: [28.4, 31],
+    temperature_2m_min: [19.1, 20.6],
+    precipitation_sum: [12.5, 0],
+    precipitation_probability_max: [80, 5]
+  }
+};
+
+// saídas em memória no lugar de process.stdout/stderr
+function createIo() {
+  const io = { out: '', err: '' };
+  io.stdout = { write: (text) => { io.out += text; } };
+  io.stderr = { write: (text) => { io.err += text; } };
+  return io;
+}
+
+describe('Linha de comando', () => {
+  beforeEach(() => {
+    configureRequests({ retries: 0 });
+    global.fetch = jest.fn(async (url) => {
+      if (url.includes('geocoding-api')) return jsonResponse(geocoding);
+      if (url.includes('current=')) return jsonResponse(currentWeather);
+      return jsonResponse(dailyForecast);
+    });
+  });
+
+  afterEach(() => {
+    configureRequests();
+    setLocale('pt-BR');
+  });
+
+  test('parseArgs junta o nome da cidade e lê as opções', () => {
+    expect(parseArgs(['Porto Alegre', '--days', '3', '--json'])).toMatchObject({ city: 'Porto Alegre', days: 3, json: true, help: false });
+    expect(parseArgs(['Porto', 'Alegre', '--days=10', '-u', 'imperial', '--lang', 'en'])).toMatchObject({
+      city: 'Porto Alegre',
+      days: 10,
+      json: false,
+      units: { temperature: 'fahrenheit', windspeed: 'mph', precipitation: 'inch' },
+      locale: 'en'
+    });
+    expect(parseArgs(['Lisboa'])).toMatchObject({ days: 5, units: { temperature: 'celsius' }, locale: 'pt-BR' });
+    expect(parseArgs(['--help']).help).toBe(true);
+  });
+
+  test('parseArgs rejeita opções inválidas e a falta da cidade', () => {
+    expect(() => parseArgs([])).toThrow('Informe o nome da cidade');
+    expect(() => parseArgs(['Lisboa', '--days', '0'])).toThrow('--days deve ser um número inteiro entre 1 e 16');
+    expect(() => parseArgs(['Lisboa', '--days', '2.5'])).toThrow('--days');
+    expect(() => parseArgs(['Lisboa', '--days'])).toThrow('A opção --days precisa de um valor');
+    expect(() => parseArgs(['Lisboa', '--units', 'kelvin'])).toThrow('--units deve ser metric ou imperial');
+    expect(() => parseArgs(['Lisboa', '--verbose'])).toThrow('Opção desconhecida: --verbose');
+  });
+
+  test('mostra o clima atual e a tabela da previsão', async () => {
+    const io = createIo();
+    await expect(run(['Porto Alegre', '--days', '2'], io)).resolves.toBe(EXIT_CODES.ok);
+
+    const lines = io.out.trimEnd().split('\n');
+    expect(lines[0]).toBe('Porto Alegre, Rio Grande do Sul, Brasil');
+    expect(lines[1]).toBe('Agora (10/11/2025 14:30): 25°C, Pancadas de chuva leves');
+    expect(lines[2]).toBe('Vento: 8 km/h');
+    expect(lines[4]).toBe('Próximos dias');
+    // colunas alinhadas: cada valor começa na mesma posição do cabeçalho
+    const [header, first, second] = lines.slice(5);
+    expect(header).toMatch(/^Dia\s+Data\s+Máxima\s+Mínima\s+Chance de chuva\s+Chuva\s+Tempo$/);
+    expect(first.split(/\s{2,}/)).toEqual(['Segunda-feira', '10/11', '28°C', '19°C', '80%', '12,5 mm', 'Pancadas de chuva leves']);
+    expect(second.split(/\s{2,}/)).toEqual(['Terça-feira', '11/11', '31°C', '21°C', '5%', '0 mm', 'Céu limpo']);
+    expect(first.indexOf('28°C')).toBe(header.indexOf('Máxima'));
+    expect(io.err).toBe('');
+
+    const dailyUrl = new URL(global.fetch.mock.calls.map(([url]) => url).find((url) => url.includes('daily=')));
+    expect(dailyUrl.searchParams.get('forecast_days')).toBe('2');
+  });
+
+  test('--json usa o formato da exportação, com ícones, nas unidades e no idioma pedidos', async () => {
+    const io = createIo();
+    await expect(run(['Porto Alegre', '--json', '--units', 'imperial', '--lang', 'en'], io)).resolves.toBe(EXIT_CODES.ok);
+
+    const report = JSON.parse(io.out);
+    expect(report.location).toEqual({ name: 'Porto Alegre', admin1: 'Rio Grande do Sul', country: 'Brasil', latitude: -30.03, longitude: -51.23 });
+    expect(report.units).toEqual({ temperature: '°F', windspeed: 'mph', precipitation: 'in' });
+    expect(report.current).toMatchObject({ temperature: 25.4, description: 'Light rain showers', icon: 'wi-day-showers' });
+    expect(report.daily).toHaveLength(2);
+    expect(report.daily[1]).toMatchObject({ date: '2025-11-11', temperature_max: 31, description: 'Clear sky', icon: 'wi-day-sunny' });
+    // as unidades vão para a API: os valores já chegam convertidos
+    const weatherUrl = new URL(global.fetch.mock.calls.find(([url]) => url.includes('current='))[0]);
+    expect(weatherUrl.searchParams.get('temperature_unit')).toBe('fahrenheit');
+  });
+
+  test('usa códigos de saída diferentes para cidade não encontrada, falha de conexão e uso inválido', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ results: [] }));
+    let io = createIo();
+    await expect(run(['Cidade Inexistente'], io)).resolves.toBe(EXIT_CODES.notFound);
+    expect(io.err).toBe('clima: Cidade não encontrada. Tente novamente.\n');
+    expect(io.out).toBe('');
+
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('fetch failed'));
+    io = createIo();
+    await expect(run(['Lisboa'], io)).resolves.toBe(EXIT_CODES.network);
+    expect(io.err).toContain('Não foi possível conectar ao serviço de previsão');
+
+    io = createIo();
+    await expect(run(['Lisboa', '--days', 'muitos'], io)).resolves.toBe(EXIT_CODES.usage);
+    expect(io.err).toMatch(/^clima: --days deve ser/);
+    expect(io.err).toContain('Uso: clima <cidade> [opções]');
+
+    io = createIo();
+    await expect(run(['--help'], io)).resolves.toBe(EXIT_CODES.ok);
+    expect(io.out).toContain('Códigos de saída');
+    expect(new Set(Object.values(EXIT_CODES)).size).toBe(Object.keys(EXIT_CODES).length);
+  });
+});
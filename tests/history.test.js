@@ -0,0 +1,80 @@
+const {
+  SEARCH_HISTORY_STORAGE_KEY,
+  SEARCH_HISTORY_LIMIT,
+  searchHistoryKey,
+  createSearchHistory
+} = require('../assets/js/history.js');
+
+const createStorage = () => ({
+  data: {},
+  getItem(k) { return this.data[k] ?? null; },
+  setItem(k, v) { this.data[k] = v; },
+  removeItem(k) { delete this.data[k]; }
+});
+
+const saoPaulo = { lat: -23.5505, lon: -46.6333, name: 'São Paulo', admin1: 'São Paulo', country: 'Brasil', temperature: 25.4, weathercode: 80, is_day: 1 };
+const lisboa = { lat: 38.7167, lon: -9.1333, name: 'Lisboa', admin1: 'Lisboa', country: 'Portugal', temperature: 18, weathercode: 3, is_day: 0 };
+
+describe('Histórico de buscas', () => {
+  test('guarda os locais mais recentes primeiro e persiste no armazenamento', () => {
+    const storage = createStorage();
+    const history = createSearchHistory(storage);
+    history.add(saoPaulo, 1000);
+    const list = history.add(lisboa, 2000);
+
+    expect(list.map((e) => e.name)).toEqual(['Lisboa', 'São Paulo']);
+    expect(list[1]).toEqual({ ...saoPaulo, searchedAt: 1000 });
+    // uma nova instância lê o que foi salvo
+    expect(createSearchHistory(storage).list()).toEqual(list);
+    expect(JSON.parse(storage.data[SEARCH_HISTORY_STORAGE_KEY])).toHaveLength(2);
+  });
+
+  test('não repete o mesmo local: buscá-lo de novo o leva ao topo com os dados novos', () => {
+    const history = createSearchHistory(createStorage());
+    history.add(saoPaulo, 1000);
+    history.add(lisboa, 2000);
+    // mesmas coordenadas (até ~1 km), com outro nome vindo de outra busca
+    const list = history.add({ ...saoPaulo, lat: -23.5512, name: 'Sao Paulo', temperature: 22 }, 3000);
+
+    expect(searchHistoryKey(saoPaulo)).toBe('-23.55,-46.63');
+    expect(list.map((e) => e.name)).toEqual(['Sao Paulo', 'Lisboa']);
+    expect(list[0]).toMatchObject({ temperature: 22, searchedAt: 3000 });
+  });
+
+  test('mantém o último clima conhecido quando a busca não trouxe dados', () => {
+    const history = createSearchHistory(createStorage());
+    history.add(saoPaulo, 1000);
+    const [entry] = history.add({ lat: saoPaulo.lat, lon: saoPaulo.lon, name: 'São Paulo' }, 2000);
+    expect(entry).toMatchObject({ temperature: 25.4, weathercode: 80, is_day: 1, searchedAt: 2000 });
+  });
+
+  test('respeita o limite de locais e descarta os mais antigos', () => {
+    const history = createSearchHistory(createStorage(), { limit: 3 });
+    for (let i = 0; i < 5; i++) history.add({ lat: i, lon: i, name: `Local ${i}` }, i);
+    expect(history.list().map((e) => e.name)).toEqual(['Local 4', 'Local 3', 'Local 2']);
+    expect(SEARCH_HISTORY_LIMIT).toBeGreaterThan(3);
+  });
+
+  test('clear apaga a lista e o que estava salvo', () => {
+    const storage = createStorage();
+    const history = createSearchHistory(storage);
+    history.add(saoPaulo);
+    history.clear();
+    expect(history.list()).toEqual([]);
+    expect(storage.data).toEqual({});
+  });
+
+  test('ignora dados salvos inválidos e funciona sem armazenamento', () => {
+    const storage = createStorage();
+    storage.data[SEARCH_HISTORY_STORAGE_KEY] = JSON.stringify([{ name: 'Sem coordenadas' }, saoPaulo, null]);
+    expect(createSearchHistory(storage).list().map((e) => e.name)).toEqual(['São Paulo']);
+    storage.data[SEARCH_HISTORY_STORAGE_KEY] = '{corrompido';
+    expect(createSearchHistory(storage).list()).toEqual([]);
+
+    const broken = { getItem() { throw new Error('bloqueado'); }, setItem() { throw new Error('bloqueado'); } };
+    const history = createSearchHistory(broken);
+    expect(history.add(lisboa).map((e) => e.name)).toEqual(['Lisboa']);
+    // entradas sem coordenadas não entram no histórico
+    expect(history.add({ name: 'Nenhum lugar' })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,803 @@
+/**
+ * @jest-environment jsdom
+ */
+const fs = require('fs');
+const path = require('path');
+
+const {
+  createWeatherView,
+  renderWeatherView,
+  renderHourly,
+  renderCacheBadge,
+  renderOfflineStatus,
+  renderSearchHistory,
+  applyViewState,
+  parseLocationQuery,
+  buildLocationQuery,
+  evaluateAlerts,
+  renderAlertBanner,
+  renderAlertRules,
+  renderAirQuality,
+  toggleForecastDetails,
+  renderForecastChart,
+  describeForecastDay,
+  renderUpdatedAgo,
+  diffWeatherViews,
+  highlightChanges,
+  configureRequests,
+  DEFAULT_UNITS,
+  setLocale,
+  applyTranslations
+} = require('../assets/js/scripts');
+
+// corpo do index.html, sem a tag <script> (o app é carregado via require quando necessário)
+const pageBody = fs
+  .readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8')
+  .match(/<body>([\s\S]*)<\/body>/)[1]
+  .replace(/<script[\s\S]*?<\/script>/g, '');
+
+const city = { lat: 38.72, lon: -9.14, name: 'Lisboa', admin1: 'Lisboa', country: 'Portugal' };
+const weather = { temperature: 25, windspeed: 10, winddirection: 45, weathercode: 63, is_day: 1, time: '2025-11-10T15:00' };
+// `weather` como a API de previsão responde em `current=`
+const currentResponse = {
+  time: weather.time,
+  temperature_2m: weather.temperature,
+  apparent_temperature: 27,
+  relative_humidity_2m: 65,
+  weather_code: weather.weathercode,
+  wind_speed_10m: weather.windspeed,
+  wind_direction_10m: weather.winddirection,
+  is_day: weather.is_day
+};
+const daily = {
+  time: ['2025-11-10', '2025-11-11'],
+  temperature_max: [29, 27],
+  temperature_min: [18, 17],
+  weathercode: [3, 61],
+  sunrise: ['2025-11-10T05:31', '2025-11-11T05:30'],
+  sunset: ['2025-11-10T18:42', '2025-11-11T18:43']
+};
+const hourly = {
+  time: ['2025-11-10T15:00', '2025-11-10T16:00', '2025-11-11T00:00'],
+  temperature: [25, 24, 19],
+  precipitation_probability: [10, 60, 0],
+  precipitation: [0, 1.5, 0],
+  weathercode: [3, 61, 0],
+  is_day: [1, 1, 0]
+};
+
+beforeEach(() => {
+  document.body.innerHTML = pageBody;
+  localStorage.clear();
+});
+
+describe('Renderização do painel', () => {
+  test('createWeatherView converte os dados para as unidades de exibição', () => {
+    const view = createWeatherView(
+      { city, weather, hourly, daily, dataUnits: DEFAULT_UNITS },
+      { temperature: 'fahrenheit', windspeed: 'ms', precipitation: 'inch' }
+    );
+    expect(view.city).toBe(city);
+    expect(view.current.temperature).toBe(77);
+    expect(view.daily.temperature_max[0]).toBeCloseTo(84.2);
+    expect(view.hourly.precipitation[1]).toBeCloseTo(0.059, 3);
+    expect(view.units.temperature).toBe('fahrenheit');
+    // sem unidades de exibição, mantém as dos dados
+    expect(createWeatherView({ city, weather, dataUnits: DEFAULT_UNITS }).current.temperature).toBe(25);
+  });
+
+  test('renderWeatherView preenche clima atual, faixa por hora e próximos dias', () => {
+    const root = document.getElementById('weatherInfo');
+    renderWeatherView(root, createWeatherView({ city, weather, hourly, daily, dataUnits: DEFAULT_UNITS }));
+
+    expect(root.querySelector('#cityName').textContent).toBe('Lisboa, Portugal');
+    expect(root.querySelector('#temperature').textContent).toBe('25°C');
+    expect(root.querySelector('#description').textContent).toBe('Chuva moderada');
+    expect(root.querySelector('#windSpeed').textContent).toBe('Vento: 10 km/h NE');
+    // a seta aponta para onde o vento vai (oposto à direção de origem)
+    expect(root.querySelector('#windSpeed .wind-arrow').style.transform).toBe('rotate(225deg)');
+    expect(root.querySelector('#sunTimes').textContent).toBe(' Nascer do sol 05:31 Pôr do sol 18:42');
+    expect(root.querySelector('#weatherIcon').classList.contains('wi-day-rain')).toBe(true);
+    expect(root.querySelector('#datetime').textContent).toBe('10/11/2025 15:00');
+
+    const items = root.querySelectorAll('#forecast5 .forecast-item');
+    expect(items).toHaveLength(2);
+    expect(items[0].querySelector('.temp-max').textContent).toBe('29°C');
+    // dias com horas na faixa ficam clicáveis
+    expect(items[0].classList.contains('has-hours')).toBe(true);
+
+    const hours = root.querySelectorAll('#hourlyStrip .hourly-item');
+    expect(hours).toHaveLength(3);
+    expect(hours[1].classList.contains('rainy')).toBe(true);
+    expect(root.querySelectorAll('#hourlyStrip .day-start')).toHaveLength(2);
+    expect(hours[2].querySelector('.hourly-icon').classList.contains('wi-night-clear')).toBe(true);
+
+    // renderizar de novo atualiza os mesmos elementos, sem duplicar seções
+    renderWeatherView(root, createWeatherView({ city, weather: { ...weather, temperature: 20 }, hourly, daily, dataUnits: DEFAULT_UNITS }));
+    expect(root.querySelector('#temperature').textContent).toBe('20°C');
+    expect(root.querySelectorAll('#forecast5')).toHaveLength(1);
+    expect(root.querySelectorAll('#forecast5 .forecast-item')).toHaveLength(2);
+    expect(root.querySelectorAll('#description')).toHaveLength(1);
+    expect(root.querySelectorAll('#windSpeed .wind-arrow')).toHaveLength(1);
+  });
+
+  test('renderCurrentWeather mostra o ícone de noite e oculta o sol sem previsão diária', () => {
+    const root = document.getElementById('weatherInfo');
+    renderWeatherView(root, createWeatherView({ city, weather: { ...weather, weathercode: 0, is_day: 0, winddirection: undefined }, dataUnits: DEFAULT_UNITS }));
+    expect(root.querySelector('#weatherIcon').className).toBe('wi weather-icon wi-night-clear');
+    expect(root.querySelector('#windSpeed').textContent).toBe('Vento: 10 km/h');
+    expect(root.querySelector('#sunTimes').hidden).toBe(true);
+  });
+
+  test('o ícone do clima atual e os dias da previsão têm textos para leitores de tela', () => {
+    const root = document.getElementById('weatherInfo');
+    renderWeatherView(root, createWeatherView({ city, weather, hourly, daily: { ...daily, precipitation_probability_max: [20, 85] }, dataUnits: DEFAULT_UNITS }));
+
+    const icon = root.querySelector('#weatherIcon');
+    expect(icon.getAttribute('role')).toBe('img');
+    expect(icon.getAttribute('aria-label')).toBe('Chuva moderada');
+    expect(icon.hasAttribute('aria-hidden')).toBe(false);
+
+    const list = root.querySelector('#forecast5 .forecast-list');
+    expect(list.getAttribute('role')).toBe('list');
+    expect(document.getElementById(list.getAttribute('aria-labelledby')).textContent).toBe('Próximos dias');
+    const items = list.querySelectorAll('.forecast-item');
+    expect(items[1].querySelector('.sr-only').textContent).toBe('Terça-feira, 11/11/2025: Chuva leve. Máxima 27°C, mínima 17°C. Chance de chuva 85%.');
+    // as colunas visuais não são lidas duas vezes
+    expect([...items[1].children].filter((el) => el.getAttribute('aria-hidden') === 'true')).toHaveLength(3);
+    // sem chance de chuva, o resumo termina nas temperaturas
+    expect(describeForecastDay(daily, 0)).toBe('Segunda-feira, 10/11/2025: Nublado. Máxima 29°C, mínima 18°C.');
+  });
+
+  test('renderForecast corta a lista nos dias escolhidos e marca a opção do seletor', () => {
+    const root = document.getElementById('weatherInfo');
+    renderWeatherView(root, createWeatherView({ city, weather, hourly, daily, dataUnits: DEFAULT_UNITS }, null, { days: 1 }));
+    expect(root.querySelectorAll('#forecast5 .forecast-item')).toHaveLength(1);
+
+    renderWeatherView(root, createWeatherView({ city, weather, hourly, daily, dataUnits: DEFAULT_UNITS }, null, { days: 3 }));
+    const buttons = root.querySelectorAll('#forecast5 .forecast-range button');
+    expect([...buttons].map((b) => b.dataset.days)).toEqual(['3', '7', '14']);
+    expect([...buttons].map((b) => b.getAttribute('aria-pressed'))).toEqual(['true', 'false', 'false']);
+    expect(root.querySelectorAll('#forecast5 .forecast-item')).toHaveLength(2);
+  });
+
+  test('toggleForecastDetails expande os campos extras do dia e mantém o estado ao renderizar de novo', () => {
+    const root = document.getElementById('weatherInfo');
+    const extended = {
+      ...daily,
+      precipitation_sum: [0, 12.4],
+      precipitation_probability_max: [5, 80],
+      windspeed_max: [14, 32],
+      uv_index_max: [7.4, 3]
+    };
+    renderWeatherView(root, createWeatherView({ city, weather, daily: extended, dataUnits: DEFAULT_UNITS }));
+
+    const day = root.querySelector('#forecast5 .forecast-day[data-date="2025-11-11"]');
+    const details = day.querySelector('.forecast-details');
+    const toggle = day.querySelector('.forecast-toggle');
+    expect(details.hidden).toBe(true);
+    expect(toggle.getAttribute('aria-controls')).toBe(details.id);
+
+    expect(toggleForecastDetails(root, '2025-11-11')).toBe(true);
+    expect(details.hidden).toBe(false);
+    expect(toggle.getAttribute('aria-expanded')).toBe('true');
+    expect([...details.querySelectorAll('dd')].map((dd) => dd.textContent))
+      .toEqual(['12,4 mm', '80%', '32 km/h', '3 (Moderado)', '05:30', '18:43']);
+
+    renderWeatherView(root, createWeatherView({ city, weather, daily: extended, dataUnits: DEFAULT_UNITS }, { ...DEFAULT_UNITS, windspeed: 'ms' }));
+    const again = root.querySelector('#forecast5 .forecast-day[data-date="2025-11-11"] .forecast-details');
+    expect(again.hidden).toBe(false);
+    expect(again.querySelectorAll('dd')[2].textContent).toBe('8,9 m/s');
+    expect(toggleForecastDetails(root, '2025-11-11')).toBe(false);
+  });
+
+  test('renderForecast desenha o gráfico com linhas, barras e tooltip por dia', () => {
+    const root = document.getElementById('weatherInfo');
+    const withRain = { ...daily, precipitation_sum: [0, 12.4] };
+    renderWeatherView(root, createWeatherView({ city, weather, daily: withRain, dataUnits: DEFAULT_UNITS }));
+
+    const chart = root.querySelector('#forecast5 #forecastChart');
+    expect(chart.previousElementSibling.classList.contains('forecast-header')).toBe(true);
+    expect(chart.querySelector('svg').getAttribute('aria-label')).toBe('Temperatura e chuva nos próximos dias');
+    expect(chart.querySelector('.chart-line-max').getAttribute('d')).toMatch(/^M[\d.]+,[\d.]+L/);
+    expect(chart.querySelectorAll('.chart-bar')).toHaveLength(1);
+    expect([...chart.querySelectorAll('.chart-unit')].map((el) => el.textContent)).toEqual(['°C', 'mm']);
+
+    const tooltip = chart.querySelector('.chart-tooltip');
+    expect(tooltip.hidden).toBe(true);
+    const hit = chart.querySelector('.chart-hit[data-date="2025-11-11"]');
+    hit.dispatchEvent(new FocusEvent('focus'));
+    expect(tooltip.hidden).toBe(false);
+    expect(tooltip.textContent).toBe('Terça-feira 11/11: máxima 27°C, mínima 17°C, chuva 12,4 mm');
+    hit.dispatchEvent(new FocusEvent('blur'));
+    expect(tooltip.hidden).toBe(true);
+
+    // renderizar de novo substitui o gráfico; sem dados diários ele some
+    renderWeatherView(root, createWeatherView({ city, weather, daily: withRain, dataUnits: DEFAULT_UNITS }));
+    expect(root.querySelectorAll('#forecastChart')).toHaveLength(1);
+    renderForecastChart(root, createWeatherView({ city, weather, daily: null, dataUnits: DEFAULT_UNITS }));
+    expect(root.querySelector('#forecastChart')).toBeNull();
+  });
+
+  test('renderHourly oculta a faixa quando não há dados por hora', () => {
+    const root = document.getElementById('weatherInfo');
+    renderHourly(root, createWeatherView({ city, weather, hourly: null, dataUnits: DEFAULT_UNITS }));
+    expect(root.querySelector('#hourlyForecast').style.display).toBe('none');
+  });
+
+  test('renderHourly mostra -- quando falta a série de temperatura', () => {
+    const root = document.getElementById('weatherInfo');
+    const { temperature, ...withoutTemperature } = hourly;
+    renderWeatherView(root, createWeatherView({ city, weather, hourly: withoutTemperature, daily, dataUnits: DEFAULT_UNITS }));
+    const temps = [...root.querySelectorAll('#hourlyStrip .hourly-temp')].map((el) => el.textContent);
+    expect(temps).toEqual(['--', '--', '--']);
+    expect(root.querySelector('#hourlyStrip .hourly-rain').textContent).toBe('10%');
+  });
+
+  test('os próximos dias mostram -- quando faltam as séries de máxima e mínima', () => {
+    const root = document.getElementById('weatherInfo');
+    const { temperature_max: max, temperature_min: min, ...withoutTemperatures } = daily;
+    renderWeatherView(root, createWeatherView({ city, weather, hourly, daily: withoutTemperatures, dataUnits: DEFAULT_UNITS }));
+    const items = root.querySelectorAll('#forecast5 .forecast-item');
+    expect(items).toHaveLength(2);
+    expect([...items].map((el) => `${el.querySelector('.temp-max').textContent}/${el.querySelector('.temp-min').textContent}`)).toEqual(['--/--', '--/--']);
+    expect(items[1].querySelector('.forecast-desc').textContent).toBe('Chuva leve');
+  });
+
+  test('renderAirQuality mostra os indicadores coloridos pelo nível, abaixo do clima atual', () => {
+    const root = document.getElementById('weatherInfo');
+    const airQuality = { time: '2025-11-10T15:00', european_aqi: 45, us_aqi: 120, pm2_5: 12.3, pm10: null, ozone: 61, uv_index: 7.2 };
+    renderWeatherView(root, createWeatherView({ city, weather, hourly, daily, airQuality, dataUnits: DEFAULT_UNITS }));
+
+    const panel = root.querySelector('#airQuality');
+    expect(panel.hidden).toBe(false);
+    expect(panel.previousElementSibling.classList.contains('current-weather')).toBe(true);
+    expect(panel.nextElementSibling.id).toBe('hourlyForecast');
+
+    const items = panel.querySelectorAll('.air-item');
+    expect([...items].map((li) => li.dataset.indicator)).toEqual(['european_aqi', 'us_aqi', 'pm2_5', 'ozone', 'uv_index']);
+    expect(items[0].classList.contains('severity-2')).toBe(true);
+    expect(items[0].querySelector('.air-level').textContent).toBe('Moderada');
+    expect(items[1].querySelector('.air-level').textContent).toBe('Ruim para grupos sensíveis');
+    expect(items[2].querySelector('.air-value').textContent).toBe('12 µg/m³');
+    expect(items[4].querySelector('.air-value').textContent).toBe('7,2');
+    expect(items[4].querySelector('.air-level').textContent).toBe('Alto');
+
+    renderAirQuality(root, createWeatherView({ city, weather, dataUnits: DEFAULT_UNITS }));
+    expect(panel.hidden).toBe(true);
+    expect(root.querySelectorAll('#airQuality')).toHaveLength(1);
+  });
+
+  test('renderWeatherView compara a máxima de hoje com a média histórica, nas unidades de exibição', () => {
+    const root = document.getElementById('weatherInfo');
+    const years = [
+      { year: 2023, date: '2023-11-10', max: 25, min: 15, precipitation: 0 },
+      { year: 2024, date: '2024-11-10', max: 27, min: 17, precipitation: 0 }
+    ];
+    const history = { date: '2025-11-10', years, average: { max: 26, min: 16, precipitation: 0 } };
+    renderWeatherView(root, createWeatherView({ city, weather, daily, history, dataUnits: DEFAULT_UNITS }));
+    const line = root.querySelector('#historyComparison');
+    expect(line.hidden).toBe(false);
+    expect(line.textContent).toBe('3 °C acima da média de 2 anos');
+    expect(line.classList.contains('above')).toBe(true);
+    expect(line.nextElementSibling.id).toBe('datetime');
+
+    renderWeatherView(root, createWeatherView({ city, weather, daily, history, dataUnits: DEFAULT_UNITS }, { ...DEFAULT_UNITS, temperature: 'fahrenheit' }));
+    expect(line.textContent).toBe('5 °F acima da média de 2 anos');
+
+    renderWeatherView(root, createWeatherView({ city, weather, daily, dataUnits: DEFAULT_UNITS }));
+    expect(line.hidden).toBe(true);
+  });
+
+  test('renderCacheBadge mostra o horário dos dados do cache e some sem cache', () => {
+    const root = document.getElementById('weatherInfo');
+    renderCacheBadge(root, new Date(2025, 10, 10, 9, 5).getTime());
+    const badge = root.querySelector('#cacheBadge');
+    expect(badge.textContent).toBe('dados de 09:05');
+    expect(badge.style.display).toBe('inline-block');
+    renderCacheBadge(root, null);
+    expect(badge.style.display).toBe('none');
+  });
+
+  test('renderOfflineStatus avisa abaixo do nome da cidade que os dados são os últimos guardados', () => {
+    const root = document.getElementById('weatherInfo');
+    renderOfflineStatus(root, false);
+    expect(root.querySelector('#offlineStatus')).toBeNull();
+
+    renderOfflineStatus(root, true);
+    const status = root.querySelector('#offlineStatus');
+    expect(status.textContent).toBe('offline — exibindo últimos dados');
+    expect(status.getAttribute('role')).toBe('status');
+    expect(status.previousElementSibling.id).toBe('cityName');
+    expect(status.hidden).toBe(false);
+    renderOfflineStatus(root, false);
+    expect(status.hidden).toBe(true);
+  });
+
+  test('mostra a sensação térmica e a grade de detalhes do clima atual nas unidades escolhidas', () => {
+    const root = document.getElementById('weatherInfo');
+    const full = { ...weather, apparent_temperature: 30, humidity: 64.6, pressure: 1012.6, precipitation: 2.54, cloudcover: 75, windgusts: 32.18688, visibility: 8500 };
+    renderWeatherView(root, createWeatherView({ city, weather: full, daily, dataUnits: DEFAULT_UNITS }, { temperature: 'fahrenheit', windspeed: 'mph', precipitation: 'inch' }));
+
+    const feels = root.querySelector('#feelsLike');
+    expect(feels.previousElementSibling.id).toBe('temperature');
+    expect(feels.textContent).toBe('Sensação térmica 86°F');
+    const grid = root.querySelector('.current-weather #currentDetails');
+    expect(grid.tagName).toBe('DL');
+    const items = [...grid.querySelectorAll('.detail-item')].map((item) => [item.querySelector('dt').textContent, item.querySelector('dd').textContent]);
+    expect(items).toEqual([
+      ['Umidade', '65%'],
+      ['Pressão', '1.013 hPa'],
+      ['Precipitação', '0,10 in'],
+      ['Nuvens', '75%'],
+      ['Rajadas', '20 mph'],
+      ['Visibilidade', '8,5 km']
+    ]);
+
+    // dados sem as variáveis novas (ex: provedores antigos): sensação e grade ficam ocultas
+    renderWeatherView(root, createWeatherView({ city, weather, daily, dataUnits: DEFAULT_UNITS }));
+    expect(feels.hidden).toBe(true);
+    expect(grid.hidden).toBe(true);
+    expect(root.querySelectorAll('#currentDetails')).toHaveLength(1);
+  });
+
+  test('diffWeatherViews e highlightChanges destacam só os valores que mudaram', () => {
+    const root = document.getElementById('weatherInfo');
+    const before = createWeatherView({ city, weather, daily, dataUnits: DEFAULT_UNITS });
+    // 25,3 °C é exibido como 25°C: não conta como mudança
+    expect(diffWeatherViews(before, createWeatherView({ city, weather: { ...weather, temperature: 25.3 }, daily, dataUnits: DEFAULT_UNITS })))
+      .toEqual({ temperature: false, condition: false, days: [] });
+
+    const after = createWeatherView({
+      city,
+      weather: { ...weather, temperature: 22, weathercode: 0 },
+      daily: { ...daily, time: ['2025-11-11', '2025-11-12'], temperature_max: [31, 30], temperature_min: [17, 16], weathercode: [61, 0] },
+      dataUnits: DEFAULT_UNITS
+    });
+    const changes = diffWeatherViews(before, after);
+    // 12/11 acabou de entrar na lista e não é destacado
+    expect(changes).toEqual({ temperature: true, condition: true, days: ['2025-11-11'] });
+
+    renderWeatherView(root, after);
+    const highlighted = highlightChanges(root, changes);
+    expect(highlighted.map((el) => el.id || el.parentNode.dataset.date)).toEqual(['temperature', 'description', 'weatherIcon', '2025-11-11']);
+    expect(root.querySelectorAll('.value-changed')).toHaveLength(4);
+    // o destaque sai ao fim da animação
+    root.querySelector('#temperature').dispatchEvent(new Event('animationend'));
+    expect(root.querySelector('#temperature').classList.contains('value-changed')).toBe(false);
+    expect(diffWeatherViews(null, after)).toEqual({ temperature: false, condition: false, days: [] });
+  });
+
+  test('renderUpdatedAgo acrescenta à data/hora há quanto tempo os dados foram obtidos', () => {
+    const root = document.getElementById('weatherInfo');
+    renderWeatherView(root, createWeatherView({ city, weather, dataUnits: DEFAULT_UNITS }));
+    const now = new Date(2025, 10, 10, 15, 0).getTime();
+    renderUpdatedAgo(root, now - 3 * 60 * 1000, now);
+    expect(root.querySelector('#datetime').textContent).toBe('10/11/2025 15:00 · atualizado há 3 min');
+    renderUpdatedAgo(root, now - 4 * 60 * 1000, now);
+    expect(root.querySelectorAll('#datetime .updated-ago')).toHaveLength(1);
+    renderUpdatedAgo(root, null);
+    expect(root.querySelector('#datetime').textContent).toBe('10/11/2025 15:00');
+  });
+
+  test('renderSearchHistory lista os locais com ícone e a última temperatura na unidade escolhida', () => {
+    const list = document.getElementById('historyList');
+    renderSearchHistory(list, [
+      { lat: 38.72, lon: -9.14, name: 'Lisboa', admin1: 'Lisboa', country: 'Portugal', temperature: 25, weathercode: 61, is_day: 0 },
+      { lat: -30.03, lon: -51.23, name: 'Porto Alegre', admin1: '', country: '', temperature: null, weathercode: null, is_day: null }
+    ], { temperature: 'fahrenheit' });
+
+    const buttons = list.querySelectorAll('.search-history-item button');
+    expect(buttons).toHaveLength(2);
+    expect(buttons[0].querySelector('.search-history-temp').textContent).toBe('77°F');
+    expect(buttons[0].querySelector('.search-history-region').textContent).toBe('Lisboa, Portugal');
+    expect(buttons[0].querySelector('.wi').classList.contains('wi-night-alt-rain')).toBe(true);
+    expect(buttons[0].getAttribute('aria-label')).toBe('Buscar de novo Lisboa, Portugal, 77°F');
+    expect(buttons[1].querySelector('.search-history-temp').textContent).toBe('--');
+    expect(buttons[1].querySelector('.wi').classList.contains('wi-na')).toBe(true);
+  });
+});
+
+describe('Alertas no painel', () => {
+  test('renderAlertBanner lista os alertas logo abaixo do nome da cidade', () => {
+    const root = document.getElementById('weatherInfo');
+    const alerts = evaluateAlerts(
+      [{ id: 'calor', type: 'temperatureAbove', threshold: 28, enabled: true }, { id: 'trovoadas', type: 'thunderstorm', enabled: true }],
+      { daily: { ...daily, weathercode: [3, 95] } }
+    );
+    renderAlertBanner(root, alerts, DEFAULT_UNITS);
+
+    const banner = root.querySelector('#alertBanner');
+    expect(banner.previousElementSibling.id).toBe('cityName');
+    expect(banner.getAttribute('role')).toBe('alert');
+    expect(banner.hidden).toBe(false);
+    expect(banner.querySelector('.alert-banner-title').textContent).toBe('⚠️ 2 alertas');
+    expect([...banner.querySelectorAll('li')].map((li) => li.textContent)).toEqual([
+      'Temperatura de 29°C em 10/11, acima de 28°C',
+      'Tempestade em 11/11'
+    ]);
+
+    renderAlertBanner(root, [], DEFAULT_UNITS);
+    expect(banner.hidden).toBe(true);
+    expect(root.querySelectorAll('#alertBanner')).toHaveLength(1);
+  });
+
+  test('renderAlertRules mostra os limites nas unidades de exibição', () => {
+    const list = document.getElementById('alertRules');
+    renderAlertRules(list, [
+      { id: 'calor', type: 'temperatureAbove', threshold: 35, enabled: true },
+      { id: 'trovoadas', type: 'thunderstorm', threshold: null, enabled: false }
+    ], { temperature: 'fahrenheit' });
+
+    const items = list.querySelectorAll('.alert-rule');
+    expect(items).toHaveLength(2);
+    expect(items[0].dataset.ruleId).toBe('calor');
+    expect(items[0].querySelector('[data-field="threshold"]').value).toBe('95');
+    expect(items[0].querySelector('.alert-rule-unit').textContent).toBe('°F');
+    expect(items[1].querySelector('[data-field="enabled"]').checked).toBe(false);
+    expect(items[1].querySelector('[data-field="threshold"]')).toBeNull();
+    expect(items[1].querySelector('[data-action="remove"]')).not.toBeNull();
+  });
+});
+
+describe('Estados da tela', () => {
+  const elements = () => ({
+    searchForm: document.getElementById('searchForm'),
+    loading: document.getElementById('loading'),
+    error: document.getElementById('error'),
+    weatherInfo: document.getElementById('weatherInfo'),
+    pageTitle: document.querySelector('h1'),
+    container: document.querySelector('.container'),
+    favoritesSection: document.getElementById('favorites'),
+    buttons: [document.getElementById('searchBtn')]
+  });
+
+  test('loading mantém o formulário e desabilita os botões', () => {
+    const els = elements();
+    applyViewState(els, { status: 'loading' });
+    expect(els.searchForm.style.display).toBe('flex');
+    expect(els.loading.textContent).toBe('Carregando...');
+    expect(els.weatherInfo.style.display).toBe('none');
+    expect(els.buttons[0].disabled).toBe(true);
+  });
+
+  test('carregamento e erros são anunciados por regiões ao vivo', () => {
+    const els = elements();
+    expect(els.loading.getAttribute('role')).toBe('status');
+    expect(els.loading.getAttribute('aria-live')).toBe('polite');
+    expect(els.error.getAttribute('role')).toBe('alert');
+
+    // o texto entra na região já presente na página, para ser anunciado, e sai ao terminar;
+    // as regiões nunca saem da árvore de acessibilidade (vazias, são ocultas só visualmente pelo CSS)
+    const rendered = () => [els.loading, els.error].every((el) => el.style.display === '' && !el.hidden);
+    expect(els.loading.textContent.trim()).toBe('');
+    applyViewState(els, { status: 'loading' });
+    expect(els.loading.textContent).toBe('Carregando...');
+    expect(rendered()).toBe(true);
+    applyViewState(els, { status: 'error', message: 'Cidade não encontrada' });
+    expect(els.loading.textContent).toBe('');
+    expect(els.error.textContent).toBe('Cidade não encontrada');
+    expect(rendered()).toBe(true);
+    applyViewState(els, { status: 'result' });
+    expect(els.error.textContent).toBe('');
+    expect(rendered()).toBe(true);
+  });
+
+  test('result mostra apenas o painel de resultados', () => {
+    const els = elements();
+    applyViewState(els, { status: 'result' });
+    expect(els.searchForm.style.display).toBe('none');
+    expect(els.loading.textContent).toBe('');
+    expect(els.weatherInfo.style.display).toBe('block');
+    expect(els.pageTitle.style.display).toBe('none');
+    expect(els.container.classList.contains('no-bg')).toBe(true);
+    expect(els.favoritesSection.hidden).toBe(true);
+    expect(els.buttons[0].disabled).toBe(false);
+  });
+
+  test('error exibe a mensagem e idle limpa o erro', () => {
+    const els = elements();
+    applyViewState(els, { status: 'error', message: 'Cidade não encontrada' });
+    expect(els.error.textContent).toBe('Cidade não encontrada');
+    expect(els.searchForm.style.display).toBe('flex');
+
+    applyViewState(els, { status: 'idle' });
+    expect(els.error.textContent).toBe('');
+    expect(els.pageTitle.style.display).toBe('block');
+    expect(els.container.classList.contains('no-bg')).toBe(false);
+  });
+
+  test('estado desconhecido lança erro', () => {
+    expect(() => applyViewState(elements(), { status: 'done' })).toThrow('Estado de tela desconhecido');
+  });
+});
+
+describe('URLs com a busca', () => {
+  test('parseLocationQuery lê cidade ou coordenadas', () => {
+    expect(parseLocationQuery('?city=Lisboa')).toEqual({ city: 'Lisboa' });
+    expect(parseLocationQuery('?lat=-30.03&lon=-51.23')).toEqual({ lat: -30.03, lon: -51.23, name: '' });
+    expect(parseLocationQuery('?lat=-30.03&lon=-51.23&name=Porto%20Alegre&city=X')).toEqual({ lat: -30.03, lon: -51.23, name: 'Porto Alegre' });
+    expect(parseLocationQuery('?lat=200&lon=10')).toBeNull();
+    expect(parseLocationQuery('?city=%20')).toBeNull();
+    expect(parseLocationQuery('')).toBeNull();
+  });
+
+  test('buildLocationQuery é o inverso de parseLocationQuery', () => {
+    expect(buildLocationQuery({ city: 'São Paulo' })).toBe('?city=S%C3%A3o+Paulo');
+    expect(parseLocationQuery(buildLocationQuery({ city: 'São Paulo' }))).toEqual({ city: 'São Paulo' });
+    const url = buildLocationQuery({ lat: -30.0331, lon: -51.23, name: 'Porto Alegre' });
+    expect(url).toBe('?lat=-30.0331&lon=-51.2300&name=Porto+Alegre');
+    expect(parseLocationQuery(url)).toEqual({ lat: -30.0331, lon: -51.23, name: 'Porto Alegre' });
+    expect(buildLocationQuery(null)).toBe('');
+  });
+});
+
+describe('Idiomas na página', () => {
+  afterEach(() => {
+    setLocale('pt-BR');
+  });
+
+  test('applyTranslations traduz textos e atributos marcados', () => {
+    setLocale('en');
+    applyTranslations(document);
+    expect(document.getElementById('searchBtn').textContent).toBe('Search');
+    expect(document.getElementById('cityInput').placeholder).toBe('Type a city name...');
+    expect(document.getElementById('locationBtn').getAttribute('aria-label')).toBe('Use my location');
+    expect(document.querySelector('#unitsBar [data-i18n="units.windspeed"]').textContent).toBe('Wind');
+    // o seletor de unidade continua dentro do rótulo
+    expect(document.querySelector('#unitsBar label select#unitWindspeed')).not.toBeNull();
+  });
+
+  test('renderWeatherView usa as datas e textos do idioma atual', () => {
+    setLocale('es');
+    const root = document.getElementById('weatherInfo');
+    renderWeatherView(root, createWeatherView({ city, weather, hourly, daily, dataUnits: DEFAULT_UNITS }));
+    expect(root.querySelector('#description').textContent).toBe('Lluvia moderada');
+    expect(root.querySelector('#forecast5 .forecast-title').textContent).toBe('Próximos días');
+    expect(root.querySelector('#forecast5 .forecast-weekday').textContent).toBe('Lunes');
+  });
+});
+
+describe('Navegação pela URL', () => {
+  const jsonResponse = (data) => ({ ok: true, status: 200, json: async () => data });
+  const waitFor = async (check) => {
+    for (let i = 0; i < 50; i++) {
+      if (check()) return;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error('Condição não atingida');
+  };
+
+  beforeEach(() => {
+    configureRequests({ retries: 0 });
+    global.fetch = jest.fn(async (url) => {
+      if (url.includes('geocoding-api')) {
+        return jsonResponse({ results: [{ latitude: 38.72, longitude: -9.14, name: 'Lisboa', admin1: 'Lisboa', country: 'Portugal' }] });
+      }
+      if (url.includes('air-quality-api')) return jsonResponse({ current: { time: weather.time, european_aqi: 30 } });
+      if (url.includes('current=uv_index')) return jsonResponse({ current: { time: weather.time, uv_index: 3 } });
+      if (url.includes('current=temperature_2m')) return jsonResponse({ current: currentResponse });
+      if (url.includes('hourly=')) return jsonResponse({ hourly });
+      return jsonResponse({ daily });
+    });
+  });
+
+  afterEach(() => {
+    configureRequests();
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('abre o resultado de ?city= e o Voltar retorna ao formulário', async () => {
+    window.history.replaceState(null, '', '/?city=Lisboa');
+    jest.isolateModules(() => require('../assets/js/scripts'));
+
+    const weatherInfo = document.getElementById('weatherInfo');
+    await waitFor(() => weatherInfo.style.display === 'block');
+    expect(document.getElementById('cityName').textContent).toBe('Lisboa, Portugal');
+    expect(document.getElementById('searchForm').style.display).toBe('none');
+    expect(window.location.search).toBe('?city=Lisboa');
+    expect(document.querySelectorAll('#airQuality .air-item')).toHaveLength(2);
+    const dailyUrl = global.fetch.mock.calls.map(([url]) => url).find((url) => url.includes('daily=temperature_2m_max'));
+    expect(new URL(dailyUrl).searchParams.get('forecast_days')).toBe('14');
+
+    // seletor de dias: re-renderiza localmente e salva a escolha
+    const calls = global.fetch.mock.calls.length;
+    document.querySelector('#forecast5 .forecast-range button[data-days="3"]').click();
+    expect(document.querySelector('#forecast5 .forecast-range button[data-days="3"]').getAttribute('aria-pressed')).toBe('true');
+    expect(localStorage.getItem('clima:forecastDays')).toBe('3');
+    document.querySelector('#forecast5 .forecast-toggle').click();
+    expect(document.querySelector('#forecast5 .forecast-details').hidden).toBe(false);
+    expect(global.fetch.mock.calls.length).toBe(calls);
+
+    document.getElementById('backBtn').click();
+    expect(weatherInfo.style.display).toBe('none');
+    expect(document.getElementById('searchForm').style.display).toBe('flex');
+    expect(window.location.search).toBe('');
+  });
+
+  test('leva o foco ao resultado após a busca e de volta ao campo no Voltar', async () => {
+    jest.isolateModules(() => require('../assets/js/scripts'));
+    const cityInput = document.getElementById('cityInput');
+    cityInput.value = 'Lisboa';
+    document.getElementById('searchForm').dispatchEvent(new Event('submit', { cancelable: true }));
+
+    const loading = document.getElementById('loading');
+    expect(loading.textContent).toBe('Carregando...');
+    await waitFor(() => document.getElementById('weatherInfo').style.display === 'block');
+    expect(loading.textContent).toBe('');
+    const title = document.getElementById('cityName');
+    expect(title.textContent).toBe('Lisboa, Portugal');
+    expect(document.activeElement).toBe(title);
+
+    document.getElementById('backBtn').click();
+    await waitFor(() => document.getElementById('searchForm').style.display === 'flex');
+    expect(document.activeElement).toBe(cityInput);
+  });
+
+  test('abre o resultado de ?lat=&lon= com o nome da URL, sem geocodificação', async () => {
+    window.history.replaceState(null, '', '/?lat=-30.03&lon=-51.23&name=Porto%20Alegre');
+    jest.isolateModules(() => require('../assets/js/scripts'));
+
+    await waitFor(() => document.getElementById('weatherInfo').style.display === 'block');
+    expect(document.getElementById('cityName').textContent).toBe('Porto Alegre');
+    expect(global.fetch.mock.calls.some(([url]) => url.includes('geocoding-api'))).toBe(false);
+    expect(global.fetch.mock.calls[0][0]).toContain('latitude=-30.03');
+  });
+
+  test('aplica o idioma salvo e troca de idioma sem nova busca', async () => {
+    localStorage.setItem('clima:locale', 'en');
+    window.history.replaceState(null, '', '/?city=Lisboa');
+    jest.isolateModules(() => require('../assets/js/scripts'));
+
+    expect(document.documentElement.lang).toBe('en');
+    expect(document.getElementById('backBtn').textContent).toBe('Back');
+    await waitFor(() => document.getElementById('weatherInfo').style.display === 'block');
+    expect(document.getElementById('description').textContent).toBe('Moderate rain');
+
+    const calls = global.fetch.mock.calls.length;
+    const select = document.getElementById('languageSelect');
+    expect(select.value).toBe('en');
+    select.value = 'pt-BR';
+    select.dispatchEvent(new Event('change'));
+    expect(document.getElementById('description').textContent).toBe('Chuva moderada');
+    expect(document.getElementById('backBtn').textContent).toBe('Voltar');
+    expect(localStorage.getItem('clima:locale')).toBe('pt-BR');
+    expect(global.fetch.mock.calls.length).toBe(calls);
+  });
+
+  test('exporta os dias exibidos no formato escolhido', async () => {
+    window.history.replaceState(null, '', '/?city=Lisboa');
+    jest.isolateModules(() => require('../assets/js/scripts'));
+    await waitFor(() => document.getElementById('weatherInfo').style.display === 'block');
+
+    URL.createObjectURL = jest.fn(() => 'blob:clima');
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.href).toBe('blob:clima');
+      expect(this.download).toMatch(/^clima-lisboa-\d{4}-\d{2}-\d{2}\.ics$/);
+    });
+    const menu = document.getElementById('exportMenu');
+    menu.open = true;
+    menu.querySelector('button[data-export="ics"]').click();
+
+    expect(click).toHaveBeenCalledTimes(1);
+    const [blob] = URL.createObjectURL.mock.calls[0];
+    expect(blob.type).toBe('text/calendar;charset=utf-8');
+    expect(menu.open).toBe(false);
+    // o link temporário é revogado logo depois do download
+    await waitFor(() => URL.revokeObjectURL.mock.calls.length === 1);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:clima');
+    click.mockRestore();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  test('guarda as buscas recentes e permite refazê-las pelo teclado ou limpar a lista', async () => {
+    localStorage.setItem('clima:history', JSON.stringify([
+      { lat: -30.03, lon: -51.23, name: 'Porto Alegre', admin1: 'Rio Grande do Sul', country: 'Brasil', temperature: 30, weathercode: 0, is_day: 1 }
+    ]));
+    window.history.replaceState(null, '', '/?city=Lisboa');
+    jest.isolateModules(() => require('../assets/js/scripts'));
+    const section = document.getElementById('searchHistory');
+    await waitFor(() => document.getElementById('weatherInfo').style.display === 'block');
+    expect(section.hidden).toBe(true);
+
+    document.getElementById('backBtn').click();
+    expect(section.hidden).toBe(false);
+    const names = () => [...document.querySelectorAll('#historyList .search-history-name')].map((el) => el.textContent);
+    expect(names()).toEqual(['Lisboa', 'Porto Alegre']);
+    expect(document.querySelector('#historyList .search-history-temp').textContent).toBe('25°C');
+
+    // ↓ leva ao próximo local e Enter (clique do botão) refaz a busca, sem nova geocodificação
+    const buttons = document.querySelectorAll('#historyList .search-history-open');
+    buttons[0].focus();
+    buttons[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+    expect(document.activeElement).toBe(buttons[1]);
+    buttons[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp', bubbles: true }));
+    expect(document.activeElement).toBe(buttons[1]);
+    const geocodeCalls = global.fetch.mock.calls.filter(([url]) => url.includes('geocoding-api')).length;
+    buttons[1].click();
+    await waitFor(() => document.getElementById('weatherInfo').style.display === 'block');
+    expect(document.getElementById('cityName').textContent).toBe('Porto Alegre, Rio Grande do Sul, Brasil');
+    expect(global.fetch.mock.calls.filter(([url]) => url.includes('geocoding-api'))).toHaveLength(geocodeCalls);
+    expect(JSON.parse(localStorage.getItem('clima:history')).map((e) => e.name)).toEqual(['Porto Alegre', 'Lisboa']);
+
+    // aberto por uma busca desta sessão, o Voltar chama `history.back()` e o `popstate` chega depois:
+    // espera por ele aqui para que não dispare (e mostre o formulário) durante o próximo teste
+    document.getElementById('backBtn').click();
+    await waitFor(() => document.getElementById('searchForm').style.display === 'flex');
+    document.getElementById('historyClearBtn').click();
+    expect(section.hidden).toBe(true);
+    expect(localStorage.getItem('clima:history')).toBeNull();
+    expect(document.activeElement.id).toBe('cityInput');
+  });
+
+  test('atualiza o resultado aberto no intervalo escolhido, com a aba visível e sem passar pelo carregamento', async () => {
+    localStorage.setItem('clima:autoRefresh', '5');
+    window.history.replaceState(null, '', '/?city=Lisboa');
+    jest.isolateModules(() => require('../assets/js/scripts'));
+    const weatherInfo = document.getElementById('weatherInfo');
+    await waitFor(() => weatherInfo.style.display === 'block');
+    expect(document.getElementById('autoRefresh').value).toBe('5');
+    expect(document.querySelector('#datetime .updated-ago').textContent).toBe(' · atualizado agora');
+
+    // próxima resposta: mudam a temperatura, a condição e a máxima do segundo dia
+    const previousFetch = global.fetch;
+    global.fetch = jest.fn(async (url) => {
+      if (url.includes('current=temperature_2m')) return jsonResponse({ current: { ...currentResponse, temperature_2m: 22, weather_code: 0 } });
+      if (url.includes('daily=')) return jsonResponse({ daily: { ...daily, temperature_max: [29, 31] } });
+      return previousFetch(url);
+    });
+
+    // faixa de horas rolada e foco no botão de detalhes de um dia: devem continuar assim depois da atualização
+    const oldStrip = document.getElementById('hourlyStrip');
+    oldStrip.scrollLeft = 120;
+    const toggleSelector = '#forecast5 .forecast-day[data-date="2025-11-11"] .forecast-toggle';
+    document.querySelector(toggleSelector).focus();
+
+    // aba oculta: mesmo com o intervalo vencido, nada é buscado
+    const hidden = jest.spyOn(document, 'hidden', 'get').mockReturnValue(true);
+    document.dispatchEvent(new Event('visibilitychange'));
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 6 * 60 * 1000);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    // ao voltar para a aba, atualiza na hora
+    hidden.mockReturnValue(false);
+    document.dispatchEvent(new Event('visibilitychange'));
+    await waitFor(() => document.getElementById('temperature').textContent === '22°C');
+    expect(global.fetch.mock.calls.some(([url]) => url.includes('geocoding-api'))).toBe(false);
+    expect(weatherInfo.style.display).toBe('block');
+    expect(document.getElementById('loading').textContent).toBe('');
+    expect(document.getElementById('description').textContent).toBe('Céu limpo');
+    expect(document.querySelector('#datetime .updated-ago').textContent).toBe(' · atualizado agora');
+    const changed = [...document.querySelectorAll('.value-changed')].map((el) => el.id || el.dataset.date);
+    expect(changed).toEqual(['weatherIcon', 'temperature', 'description', '2025-11-11']);
+    expect(JSON.parse(localStorage.getItem('clima:history'))[0].temperature).toBe(22);
+    const strip = document.getElementById('hourlyStrip');
+    expect(strip).not.toBe(oldStrip);
+    expect(strip.scrollLeft).toBe(120);
+    expect(document.activeElement).toBe(document.querySelector(toggleSelector));
+
+    now.mockRestore();
+    hidden.mockRestore();
+  });
+
+  test('mostra o aviso offline enquanto o navegador estiver sem conexão', async () => {
+    window.history.replaceState(null, '', '/?city=Lisboa');
+    jest.isolateModules(() => require('../assets/js/scripts'));
+    await waitFor(() => document.getElementById('weatherInfo').style.display === 'block');
+    expect(document.getElementById('offlineStatus')).toBeNull();
+
+    const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+    window.dispatchEvent(new Event('offline'));
+    const status = document.getElementById('offlineStatus');
+    expect(status.hidden).toBe(false);
+    expect(status.textContent).toBe('offline — exibindo últimos dados');
+
+    onLine.mockReturnValue(true);
+    window.dispatchEvent(new Event('online'));
+    expect(status.hidden).toBe(true);
+    onLine.mockRestore();
+  });
+});
@@ -1,9 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
 const {
+  searchCities,
   getCityCoordinates,
   getWeatherData,
-  getWeatherDescription
+  getWeatherDescription,
+  formatCityLabel,
+  debounce,
+  createCacheStore,
+  withCache,
+  getCachedWeatherData,
+  getCachedDailyForecast,
+  clearResponseCache,
+  formatCacheTime,
+  get5DayForecast,
+  normalizeUnits,
+  loadUnits,
+  saveUnits,
+  convertUnit,
+  convertWeatherUnits,
+  convertDailyUnits,
+  formatTemperature,
+  formatWindSpeed,
+  formatPrecipitation,
+  getHourlyForecast,
+  formatHourLabel,
+  reverseGeocode,
+  getCurrentPosition,
+  getWeatherBatch,
+  isSameLocation,
+  loadFavorites,
+  saveFavorites,
+  toggleFavorite,
+  moveFavorite,
+  configureRequests,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  ResponseFormatError,
+  ValidationError,
+  NotFoundError,
+  ApiError,
+  GeolocationError,
+  parseRetryAfter,
+  getRetryDelay,
+  getErrorMessage,
+  DEFAULT_ALERT_RULES,
+  normalizeAlertSettings,
+  loadAlertSettings,
+  saveAlertSettings,
+  evaluateAlerts,
+  formatAlert,
+  getWeatherIcon,
+  getCompassDirection,
+  formatTimeOfDay,
+  normalizeLocale,
+  setLocale,
+  getLocale,
+  t,
+  loadLocale,
+  saveLocale,
+  formatDate,
+  formatShortDate,
+  formatWeekday,
+  formatNumber,
+  getAirQuality,
+  classifyAirQuality,
+  classifyUvIndex,
+  getHistoricalComparison,
+  describeHistoricalComparison,
+  getDailyForecast,
+  DAILY_VARIABLES,
+  loadForecastDays,
+  saveForecastDays,
+  loadAutoRefresh,
+  saveAutoRefresh,
+  formatUpdatedAgo,
+  linearScale,
+  niceTicks,
+  buildLinePath,
+  computeForecastChart,
+  buildForecastExport,
+  serializeForecastCsv,
+  serializeForecastJson,
+  serializeForecastIcs,
+  createExportFile,
+  getCachedAirQuality,
+  getCachedHistoricalComparison,
+  normalizeOpenMeteoSeries,
+  createOpenMeteoProvider,
+  createFixtureProvider,
+  setWeatherProvider,
+  getWeatherProvider,
+  loadProvider,
+  saveProvider,
+  fetchWeatherBatch
 } = require('../assets/js/scripts.js');
 
+// Storage em memória (localStorage) para as funções que recebem o armazenamento por parâmetro
+const createStorage = () => ({
+  data: {},
+  getItem(k) { return this.data[k] ?? null; },
+  setItem(k, v) { this.data[k] = v; },
+  removeItem(k) { delete this.data[k]; }
+});
+
+// as novas tentativas automáticas são testadas à parte; nos demais testes cada falha é definitiva
+beforeEach(() => {
+  configureRequests({ retries: 0 });
+});
+
 describe('API functions', () => {
   beforeEach(() => {
     // reset mock
@@ -24,7 +132,7 @@ describe('API functions', () => {
       // Mock weather response
       .mockResolvedValueOnce({
         ok: true,
-        json: async () => ({ current_weather: { temperature: 25.4, weathercode: 63, time: '2025-11-10T15:00' } })
+        json: async () => ({ current: { temperature_2m: 25.4, weather_code: 63, time: '2025-11-10T15:00' } })
       });
 
     const city = await getCityCoordinates('São Paulo');
@@ -38,15 +146,44 @@ describe('API functions', () => {
     expect(getWeatherDescription(weather.weathercode)).toMatch(/Chuva|Garoa|Chuva/);
   });
 
+  test('getWeatherData pede as variáveis de current= e mantém os campos usados pelo app', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        current: {
+          time: '2025-11-10T15:00', interval: 900, temperature_2m: 25.4, apparent_temperature: 27.9, relative_humidity_2m: 71,
+          pressure_msl: 1012.4, precipitation: 0.3, cloud_cover: 64, weather_code: 80, wind_speed_10m: 9.4,
+          wind_direction_10m: 120, wind_gusts_10m: 24.1, is_day: 1
+        }
+      })
+    });
+
+    const weather = await getWeatherData(-23.55, -46.63);
+    const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(params.get('current').split(',')).toEqual(expect.arrayContaining([
+      'temperature_2m', 'apparent_temperature', 'relative_humidity_2m', 'pressure_msl', 'precipitation',
+      'cloud_cover', 'weather_code', 'wind_speed_10m', 'wind_gusts_10m', 'visibility'
+    ]));
+    expect(params.has('current_weather')).toBe(false);
+    // visibilidade ausente na resposta fica de fora; `interval` não faz parte do modelo
+    expect(weather).toEqual({
+      time: '2025-11-10T15:00', temperature: 25.4, weathercode: 80, windspeed: 9.4, winddirection: 120, is_day: 1,
+      apparent_temperature: 27.9, humidity: 71, pressure: 1012.4, precipitation: 0.3, cloudcover: 64, windgusts: 24.1
+    });
+  });
+
   test('Nome de cidade inexistente lança exceção tratada', async () => {
     global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ results: [] }) });
 
     await expect(getCityCoordinates('CidadeInexistenteXyz')).rejects.toThrow('Cidade não encontrada');
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ results: [] }) });
+    await expect(getCityCoordinates('CidadeInexistenteXyz')).rejects.toBeInstanceOf(NotFoundError);
   });
 
   test('Entrada vazia retorna erro de validação', async () => {
     await expect(getCityCoordinates('')).rejects.toThrow('Nome da cidade é obrigatório');
     await expect(getCityCoordinates('   ')).rejects.toThrow('Nome da cidade é obrigatório');
+    await expect(getCityCoordinates('')).rejects.toBeInstanceOf(ValidationError);
   });
 
   test('Falha da API gera resposta adequada (erro de rede / timeout)', async () => {
@@ -70,31 +207,1312 @@ describe('API functions', () => {
     global.fetch.mockResolvedValueOnce({ ok: false, status: 429, json: async () => ({ message: 'Too Many Requests' }) });
 
     const city = await getCityCoordinates('A');
-    await expect(getWeatherData(city.lat, city.lon)).rejects.toThrow('Erro ao buscar dados do clima');
+    const err = await getWeatherData(city.lat, city.lon).catch((e) => e);
+    expect(err).toBeInstanceOf(RateLimitError);
+    expect(err.status).toBe(429);
+    expect(err.retryAfter).toBeNull();
+    expect(err.message).toBe('Erro ao buscar dados do clima');
 
-    // also test geocoding limit
-    global.fetch.mockResolvedValueOnce({ ok: false, status: 429, json: async () => ({ message: 'Too Many Requests' }) });
-    await expect(getCityCoordinates('B')).rejects.toThrow('Erro ao buscar coordenadas da cidade');
+    // also test geocoding limit, with Retry-After header
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 429,
+      headers: { get: (name) => (name === 'Retry-After' ? '30' : null) },
+      json: async () => ({ message: 'Too Many Requests' })
+    });
+    const geoErr = await getCityCoordinates('B').catch((e) => e);
+    expect(geoErr).toBeInstanceOf(RateLimitError);
+    expect(geoErr.retryAfter).toBe(30);
+    expect(geoErr.message).toBe('Erro ao buscar coordenadas da cidade');
   });
 
   test('Conexão de rede lenta/instável (rejeição/timeout)', async () => {
     // geocoding works
     global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ results: [{ latitude: 2, longitude: 2, name: 'C', country: 'D' }] }) });
-    // weather fetch rejects simulating timeout
+    // weather fetch rejects (connection dropped)
     global.fetch.mockRejectedValueOnce(new Error('timeout'));
 
     const city = await getCityCoordinates('C');
-    await expect(getWeatherData(city.lat, city.lon)).rejects.toThrow(/timeout/);
+    const err = await getWeatherData(city.lat, city.lon).catch((e) => e);
+    expect(err).toBeInstanceOf(NetworkError);
+    expect(err.message).toMatch(/timeout/);
+
+    // weather fetch never answers: aborted by the request timeout
+    configureRequests({ retries: 0, timeout: 50 });
+    let signal;
+    global.fetch.mockImplementationOnce((url, options) => {
+      signal = options.signal;
+      return new Promise(() => {});
+    });
+    const timeoutErr = await getWeatherData(city.lat, city.lon).catch((e) => e);
+    expect(timeoutErr).toBeInstanceOf(TimeoutError);
+    expect(timeoutErr).toBeInstanceOf(NetworkError);
+    expect(signal.aborted).toBe(true);
   });
 
   test('Mudança inesperada no formato da resposta JSON', async () => {
     // geocoding returns valid coords
     global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ results: [{ latitude: -10, longitude: 10, name: 'D', country: 'E' }] }) });
-    // weather returns unexpected shape (no current_weather)
+    // weather returns unexpected shape (no current)
     global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ unexpected: true }) });
 
     const city = await getCityCoordinates('D');
-    const weather = await getWeatherData(city.lat, city.lon);
-    expect(weather).toBeNull();
+    await expect(getWeatherData(city.lat, city.lon)).rejects.toBeInstanceOf(ResponseFormatError);
+
+    // body that is not valid JSON
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => { throw new SyntaxError('Unexpected token <'); } });
+    await expect(getWeatherData(city.lat, city.lon)).rejects.toBeInstanceOf(ResponseFormatError);
+  });
+});
+
+describe('Busca de cidades (autocompletar)', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  test('searchCities retorna várias cidades com estado, país e população', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        results: [
+          { latitude: -29.68, longitude: -53.81, name: 'Santa Maria', admin1: 'Rio Grande do Sul', country: 'Brasil', population: 249219 },
+          { latitude: -5.83, longitude: -35.7, name: 'Santa Maria', admin1: 'Rio Grande do Norte', country: 'Brasil' }
+        ]
+      })
+    });
+
+    const cities = await searchCities('Santa Maria', 5);
+    expect(global.fetch.mock.calls[0][0]).toContain('count=5');
+    expect(cities).toHaveLength(2);
+    expect(cities[0]).toEqual({ lat: -29.68, lon: -53.81, name: 'Santa Maria', admin1: 'Rio Grande do Sul', country: 'Brasil', population: 249219 });
+    expect(cities[1]).toHaveProperty('population', null);
+  });
+
+  test('searchCities retorna lista vazia quando nada é encontrado', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+    await expect(searchCities('Xyzabc')).resolves.toEqual([]);
+  });
+
+  test('getCityCoordinates continua pedindo apenas o melhor resultado', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ results: [{ latitude: 39.8, longitude: -89.64, name: 'Springfield', admin1: 'Illinois', country: 'Estados Unidos' }] })
+    });
+
+    const city = await getCityCoordinates('Springfield');
+    expect(global.fetch.mock.calls[0][0]).toContain('count=1');
+    expect(city).toMatchObject({ lat: 39.8, lon: -89.64, name: 'Springfield', country: 'Estados Unidos' });
+  });
+
+  test('formatCityLabel inclui o estado apenas quando difere do nome', () => {
+    expect(formatCityLabel({ name: 'Santa Maria', admin1: 'Rio Grande do Sul', country: 'Brasil' })).toBe('Santa Maria, Rio Grande do Sul, Brasil');
+    expect(formatCityLabel({ name: 'Lisboa', admin1: 'Lisboa', country: 'Portugal' })).toBe('Lisboa, Portugal');
+    expect(formatCityLabel({ name: 'X', country: '' })).toBe('X');
+  });
+
+  test('debounce executa apenas a última chamada após o intervalo', () => {
+    jest.useFakeTimers();
+    const fn = jest.fn();
+    const debounced = debounce(fn, 300);
+
+    debounced('Sa');
+    debounced('San');
+    jest.advanceTimersByTime(299);
+    expect(fn).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith('San');
+
+    debounced('Santos');
+    debounced.cancel();
+    jest.advanceTimersByTime(300);
+    expect(fn).toHaveBeenCalledTimes(1);
+    jest.useRealTimers();
+  });
+});
+
+describe('Cache de respostas', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    clearResponseCache();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2025, 10, 10, 14, 0));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('Segunda chamada dentro do TTL não acessa a API', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ current: { temperature_2m: 20, weather_code: 0, time: '2025-11-10T14:00' } }) });
+
+    const first = await getCachedWeatherData(-23.55, -46.63);
+    expect(first).toMatchObject({ fromCache: false, stale: false });
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    const second = await getCachedWeatherData(-23.55, -46.63);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(second.data.temperature).toBe(20);
+    expect(second).toMatchObject({ fromCache: true, stale: false, refresh: null, fetchedAt: first.fetchedAt });
+  });
+
+  test('Dado vencido é retornado na hora e atualizado em segundo plano', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ current: { temperature_2m: 20, weather_code: 0, time: '2025-11-10T14:00' } }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ current: { temperature_2m: 23, weather_code: 1, time: '2025-11-10T14:15' } }) });
+
+    await getCachedWeatherData(1, 2);
+    jest.advanceTimersByTime(15 * 60 * 1000);
+
+    const stale = await getCachedWeatherData(1, 2);
+    expect(stale).toMatchObject({ fromCache: true, stale: true });
+    expect(stale.data.temperature).toBe(20);
+    await expect(stale.refresh).resolves.toMatchObject({ temperature: 23 });
+
+    const fresh = await getCachedWeatherData(1, 2);
+    expect(fresh).toMatchObject({ fromCache: true, stale: false });
+    expect(fresh.data.temperature).toBe(23);
+  });
+
+  test('Falha na atualização em segundo plano mantém o dado antigo', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ current: { temperature_2m: 20 } }) })
+      .mockRejectedValueOnce(new Error('Network request failed'));
+
+    await getCachedWeatherData(3, 4);
+    jest.advanceTimersByTime(11 * 60 * 1000);
+
+    const stale = await getCachedWeatherData(3, 4);
+    await expect(stale.refresh).resolves.toBeNull();
+    expect(stale.data.temperature).toBe(20);
+    warn.mockRestore();
+  });
+
+  test('Respostas com formato inesperado não são armazenadas', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ unexpected: true }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ current: { temperature_2m: 18 } }) });
+
+    await expect(getCachedWeatherData(5, 6)).rejects.toBeInstanceOf(ResponseFormatError);
+    await expect(getCachedWeatherData(5, 6)).resolves.toMatchObject({ data: { temperature: 18 }, fromCache: false });
+  });
+
+  test('TTL da geocodificação é muito maior que o da previsão', async () => {
+    const geocode = jest.fn().mockResolvedValue({ lat: 1, lon: 1 });
+    const cachedGeocode = withCache('geocoding', geocode, (name) => name);
+
+    await cachedGeocode('Lisboa');
+    jest.advanceTimersByTime(7 * 24 * 60 * 60 * 1000);
+    const result = await cachedGeocode('Lisboa');
+    expect(geocode).toHaveBeenCalledTimes(1);
+    expect(result.stale).toBe(false);
+  });
+
+  test('createCacheStore usa o Storage informado com prefixo próprio', () => {
+    const data = {};
+    const storage = {
+      getItem: (k) => (k in data ? data[k] : null),
+      setItem: (k, v) => { data[k] = String(v); },
+      removeItem: (k) => { delete data[k]; },
+      key: (i) => Object.keys(data)[i],
+      get length() { return Object.keys(data).length; }
+    };
+    data.outraChave = 'mantida';
+
+    const store = createCacheStore(storage);
+    store.set('weather:1,2', { value: { temperature: 1 }, storedAt: 0, ttl: 1 });
+    expect(JSON.parse(data['clima:cache:weather:1,2']).value.temperature).toBe(1);
+    expect(store.get('weather:1,2').value.temperature).toBe(1);
+
+    store.clear();
+    expect(store.get('weather:1,2')).toBeNull();
+    expect(data.outraChave).toBe('mantida');
+  });
+
+  test('formatCacheTime formata o horário como HH:MM', () => {
+    expect(formatCacheTime(new Date(2025, 10, 10, 9, 5).getTime())).toBe('09:05');
+  });
+
+  test('reload ignora o dado ainda válido e guarda a resposta nova', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ current: { temperature_2m: 20, weather_code: 0, time: '2025-11-10T14:00' } }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ current: { temperature_2m: 22, weather_code: 2, time: '2025-11-10T14:05' } }) });
+
+    await getCachedWeatherData(7, 8);
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    const reloaded = await getCachedWeatherData.reload(7, 8);
+    expect(reloaded).toMatchObject({ fromCache: false, stale: false, refresh: null, fetchedAt: Date.now() });
+    expect(reloaded.data.temperature).toBe(22);
+
+    const cached = await getCachedWeatherData(7, 8);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(cached).toMatchObject({ fromCache: true, data: { temperature: 22 } });
+  });
+
+  test('formatUpdatedAgo conta os minutos desde a obtenção dos dados', () => {
+    const now = new Date(2025, 10, 10, 14, 0).getTime();
+    expect(formatUpdatedAgo(now - 30 * 1000, now)).toBe('atualizado agora');
+    expect(formatUpdatedAgo(now - 5 * 60 * 1000, now)).toBe('atualizado há 5 min');
+    expect(formatUpdatedAgo(now - 135 * 60 * 1000, now)).toBe('atualizado há 2 h');
+    // relógio do dispositivo atrasado em relação ao momento da resposta
+    expect(formatUpdatedAgo(now + 1000, now)).toBe('atualizado agora');
+  });
+});
+
+describe('Sistema de unidades', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  test('getWeatherData e get5DayForecast repassam as unidades para a API', async () => {
+    global.fetch.mockResolvedValue({ ok: true, json: async () => ({ current: { temperature_2m: 77 }, daily: { time: [] } }) });
+    const units = { temperature: 'fahrenheit', windspeed: 'mph', precipitation: 'inch' };
+
+    await getWeatherData(1, 2, units);
+    await get5DayForecast(1, 2, units);
+
+    global.fetch.mock.calls.forEach(([url]) => {
+      const params = new URL(url).searchParams;
+      expect(params.get('temperature_unit')).toBe('fahrenheit');
+      expect(params.get('windspeed_unit')).toBe('mph');
+      expect(params.get('precipitation_unit')).toBe('inch');
+    });
+  });
+
+  test('Sem unidades informadas a API recebe o padrão métrico', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ current: { temperature_2m: 25 } }) });
+    await getWeatherData(1, 2);
+    const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(params.get('temperature_unit')).toBe('celsius');
+    expect(params.get('windspeed_unit')).toBe('kmh');
+    expect(params.get('precipitation_unit')).toBe('mm');
+  });
+
+  test('normalizeUnits descarta valores desconhecidos', () => {
+    expect(normalizeUnits({ temperature: 'fahrenheit', windspeed: 'nós' })).toEqual({ temperature: 'fahrenheit', windspeed: 'kmh', precipitation: 'mm' });
+    expect(normalizeUnits(null)).toEqual({ temperature: 'celsius', windspeed: 'kmh', precipitation: 'mm' });
+  });
+
+  test('Unidades são salvas e recuperadas do armazenamento', () => {
+    const storage = createStorage();
+
+    expect(loadUnits(storage)).toEqual({ temperature: 'celsius', windspeed: 'kmh', precipitation: 'mm' });
+    saveUnits({ temperature: 'fahrenheit', windspeed: 'ms', precipitation: 'inch' }, storage);
+    expect(loadUnits(storage)).toEqual({ temperature: 'fahrenheit', windspeed: 'ms', precipitation: 'inch' });
+
+    storage.data['clima:units'] = '{corrompido';
+    expect(loadUnits(storage).temperature).toBe('celsius');
+  });
+
+  test('convertUnit converte temperatura, vento e precipitação', () => {
+    expect(convertUnit('temperature', 25, 'celsius', 'fahrenheit')).toBeCloseTo(77);
+    expect(convertUnit('temperature', 212, 'fahrenheit', 'celsius')).toBeCloseTo(100);
+    expect(convertUnit('windspeed', 36, 'kmh', 'ms')).toBeCloseTo(10);
+    expect(convertUnit('windspeed', 10, 'mph', 'kmh')).toBeCloseTo(16.09, 2);
+    expect(convertUnit('precipitation', 25.4, 'mm', 'inch')).toBeCloseTo(1);
+    expect(convertUnit('temperature', null, 'celsius', 'fahrenheit')).toBeNull();
+  });
+
+  test('Dados atuais e diários são convertidos localmente sem alterar o original', () => {
+    const metric = { temperature: 'celsius', windspeed: 'kmh', precipitation: 'mm' };
+    const imperial = { temperature: 'fahrenheit', windspeed: 'mph', precipitation: 'inch' };
+    const weather = { temperature: 0, windspeed: 16.09344, weathercode: 3, time: '2025-11-10T15:00' };
+    const daily = { time: ['2025-11-10'], temperature_2m_max: [100], temperature_2m_min: [-40], weathercode: [3], precipitation_sum: [50.8] };
+
+    const w = convertWeatherUnits(weather, metric, imperial);
+    expect(w.temperature).toBeCloseTo(32);
+    expect(w.windspeed).toBeCloseTo(10);
+    expect(w).not.toHaveProperty('apparent_temperature');
+    const full = convertWeatherUnits({ ...weather, apparent_temperature: 100, windgusts: 32.18688, precipitation: 25.4, humidity: 80 }, metric, imperial);
+    expect(full.apparent_temperature).toBeCloseTo(212);
+    expect(full.windgusts).toBeCloseTo(20);
+    expect(full.precipitation).toBeCloseTo(1);
+    expect(full.humidity).toBe(80);
+    expect(w.weathercode).toBe(3);
+    expect(weather.temperature).toBe(0);
+
+    const d = convertDailyUnits(daily, metric, imperial);
+    expect(d.temperature_2m_max[0]).toBeCloseTo(212);
+    expect(d.temperature_2m_min[0]).toBeCloseTo(-40);
+    expect(d.precipitation_sum[0]).toBeCloseTo(2);
+    expect(d.weathercode).toEqual([3]);
+  });
+
+  test('Formatação usa o símbolo da unidade escolhida', () => {
+    expect(formatTemperature(25.4)).toBe('25°C');
+    expect(formatTemperature(77.6, 'fahrenheit')).toBe('78°F');
+    expect(formatTemperature(undefined)).toBe('--');
+    expect(formatWindSpeed(12.4)).toBe('12 km/h');
+    expect(formatWindSpeed(3.44, 'ms')).toBe('3,4 m/s');
+    expect(formatWindSpeed(7.6, 'mph')).toBe('8 mph');
+    expect(formatPrecipitation(2.54)).toBe('2,5 mm');
+    expect(formatPrecipitation(0.1, 'inch')).toBe('0,10 in');
+  });
+});
+
+describe('Previsão por hora', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  test('getHourlyForecast pede as variáveis horárias e a quantidade de horas', async () => {
+    const hourly = {
+      time: ['2025-11-10T14:00', '2025-11-10T15:00'],
+      temperature_2m: [25, 24],
+      precipitation_probability: [10, 80],
+      precipitation: [0, 2.4],
+      weathercode: [2, 63]
+    };
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ hourly }) });
+
+    const result = await getHourlyForecast(-23.55, -46.63, 24);
+    const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(params.get('hourly').split(',')).toEqual(['temperature_2m', 'precipitation_probability', 'precipitation', 'weathercode', 'is_day']);
+    expect(params.get('forecast_hours')).toBe('24');
+    expect(result).toEqual(hourly);
+  });
+
+  test('getHourlyForecast usa 48 horas por padrão e trata erros da API', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+    await expect(getHourlyForecast(1, 1)).rejects.toBeInstanceOf(ResponseFormatError);
+    expect(new URL(global.fetch.mock.calls[0][0]).searchParams.get('forecast_hours')).toBe('48');
+
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 500, json: async () => ({}) });
+    await expect(getHourlyForecast(1, 1)).rejects.toThrow('Erro ao buscar previsão por hora');
+  });
+
+  test('convertDailyUnits converte a precipitação horária, mas não a probabilidade', () => {
+    const hourly = { time: ['2025-11-10T14:00'], temperature_2m: [0], precipitation_probability: [50], precipitation: [25.4] };
+    const converted = convertDailyUnits(hourly, { temperature: 'celsius', precipitation: 'mm' }, { temperature: 'fahrenheit', precipitation: 'inch' });
+    expect(converted.temperature_2m[0]).toBeCloseTo(32);
+    expect(converted.precipitation[0]).toBeCloseTo(1);
+    expect(converted.precipitation_probability).toEqual([50]);
+  });
+
+  test('formatHourLabel exibe apenas a hora', () => {
+    expect(formatHourLabel('2025-11-10T09:00')).toBe('09h');
+    expect(formatHourLabel('2025-11-10T23:30')).toBe('23h');
+    expect(formatHourLabel('inválido')).toBe('inválido');
+  });
+});
+
+describe('Geolocalização ("usar minha localização")', () => {
+  // cria um objeto no formato de navigator.geolocation que responde com sucesso ou erro
+  const mockGeolocation = ({ coords, errorCode }) => ({
+    getCurrentPosition: jest.fn((success, failure) => {
+      if (errorCode) failure({ code: errorCode, message: 'erro' });
+      else success({ coords });
+    })
+  });
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  test('Retorna as coordenadas do navegador', async () => {
+    const geo = mockGeolocation({ coords: { latitude: -30.03, longitude: -51.23, accuracy: 20 } });
+    await expect(getCurrentPosition(geo)).resolves.toEqual({ lat: -30.03, lon: -51.23, accuracy: 20 });
+    expect(geo.getCurrentPosition.mock.calls[0][2]).toMatchObject({ timeout: 10000 });
+  });
+
+  test('Permissão negada, posição indisponível e tempo esgotado têm mensagens distintas', async () => {
+    const denied = getCurrentPosition(mockGeolocation({ errorCode: 1 }));
+    const unavailable = getCurrentPosition(mockGeolocation({ errorCode: 2 }));
+    const timeout = getCurrentPosition(mockGeolocation({ errorCode: 3 }));
+
+    const errors = await Promise.all([denied, unavailable, timeout].map((p) => p.catch((e) => e)));
+    expect(errors.map((e) => e.code)).toEqual(['PERMISSION_DENIED', 'POSITION_UNAVAILABLE', 'TIMEOUT']);
+    errors.forEach((e) => expect(e).toBeInstanceOf(GeolocationError));
+    expect(errors[0].message).toMatch(/Permissão de localização negada/);
+    expect(errors[1].message).toMatch(/Não foi possível determinar sua localização/);
+    expect(errors[2].message).toMatch(/Tempo esgotado/);
+    expect(new Set(errors.map((e) => e.message)).size).toBe(3);
+  });
+
+  test('Navegador sem geolocalização gera erro UNSUPPORTED', async () => {
+    await expect(getCurrentPosition(null)).rejects.toMatchObject({ code: 'UNSUPPORTED' });
+  });
+
+  test('reverseGeocode converte coordenadas em nome do local', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ city: 'Porto Alegre', locality: 'Centro Histórico', principalSubdivision: 'Rio Grande do Sul', countryName: 'Brasil' })
+    });
+
+    const place = await reverseGeocode(-30.03, -51.23);
+    const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(params.get('latitude')).toBe('-30.03');
+    expect(params.get('localityLanguage')).toBe('pt');
+    expect(place).toEqual({ lat: -30.03, lon: -51.23, name: 'Porto Alegre', admin1: 'Rio Grande do Sul', country: 'Brasil', population: null });
+  });
+
+  test('reverseGeocode usa a localidade quando não há cidade e falha sem nenhum nome', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ city: '', locality: 'Fernando de Noronha', countryName: 'Brasil' }) });
+    await expect(reverseGeocode(-3.85, -32.42)).resolves.toMatchObject({ name: 'Fernando de Noronha' });
+
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+    await expect(reverseGeocode(0, 0)).rejects.toThrow('Local não identificado');
+
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 500, json: async () => ({}) });
+    await expect(reverseGeocode(0, 0)).rejects.toThrow('Erro ao buscar o nome do local');
+  });
+});
+
+describe('Favoritos e busca em lote', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  const poa = { lat: -30.03, lon: -51.23, name: 'Porto Alegre', admin1: 'Rio Grande do Sul', country: 'Brasil' };
+  const rio = { lat: -22.91, lon: -43.17, name: 'Rio de Janeiro', admin1: 'Rio de Janeiro', country: 'Brasil' };
+
+  test('getWeatherBatch faz uma única requisição com listas de coordenadas', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ([
+        { current: { time: '2025-11-10T14:00', temperature_2m: 24, weather_code: 2, is_day: 1 }, daily: { time: ['2025-11-10'], temperature_2m_max: [29], temperature_2m_min: [18], weathercode: [3] } },
+        { current: { time: '2025-11-10T14:00', temperature_2m: 31, weather_code: 0, is_day: 1 }, daily: { time: ['2025-11-10'], temperature_2m_max: [34], temperature_2m_min: [25], weathercode: [0] } }
+      ])
+    });
+
+    const results = await getWeatherBatch([poa, rio]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(params.get('latitude')).toBe('-30.03,-22.91');
+    expect(params.get('longitude')).toBe('-51.23,-43.17');
+    // mesmas variáveis e mesmo formato do clima atual do painel (`getWeatherData`)
+    expect(params.get('current')).toContain('temperature_2m,apparent_temperature');
+    expect(params.has('current_weather')).toBe(false);
+    expect(results[0]).toEqual({ weather: { time: '2025-11-10T14:00', temperature: 24, weathercode: 2, is_day: 1 }, today: { date: '2025-11-10', max: 29, min: 18, weathercode: 3 } });
+    expect(results[1].weather.temperature).toBe(31);
+  });
+
+  test('getWeatherBatch aceita a resposta de objeto único e lista vazia', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ current: { time: '2025-11-10T14:00', temperature_2m: 20 } }) });
+    await expect(getWeatherBatch([poa])).resolves.toEqual([{ weather: { time: '2025-11-10T14:00', temperature: 20 }, today: null }]);
+
+    await expect(getWeatherBatch([])).resolves.toEqual([]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 429, json: async () => ({}) });
+    await expect(getWeatherBatch([poa])).rejects.toThrow('Erro ao buscar dados do clima');
+  });
+
+  test('toggleFavorite adiciona e remove pela localização, sem duplicar', () => {
+    let list = toggleFavorite([], poa);
+    list = toggleFavorite(list, rio);
+    expect(list.map((f) => f.name)).toEqual(['Porto Alegre', 'Rio de Janeiro']);
+
+    // mesma cidade com coordenadas levemente diferentes (ex: vinda da geolocalização)
+    list = toggleFavorite(list, { ...poa, lat: -30.0312, name: 'Minha localização' });
+    expect(list.map((f) => f.name)).toEqual(['Rio de Janeiro']);
+    expect(isSameLocation(poa, rio)).toBe(false);
+  });
+
+  test('moveFavorite reordena sem alterar a lista original', () => {
+    const list = ['A', 'B', 'C'];
+    expect(moveFavorite(list, 0, 2)).toEqual(['B', 'C', 'A']);
+    expect(moveFavorite(list, 2, 0)).toEqual(['C', 'A', 'B']);
+    expect(moveFavorite(list, 1, 10)).toEqual(['A', 'C', 'B']);
+    expect(list).toEqual(['A', 'B', 'C']);
+  });
+
+  test('Favoritos são salvos e recuperados do armazenamento', () => {
+    const storage = createStorage();
+
+    expect(loadFavorites(storage)).toEqual([]);
+    saveFavorites([{ ...poa, population: 1000 }, rio], storage);
+    expect(loadFavorites(storage)).toEqual([poa, rio]);
+
+    storage.data['clima:favorites'] = '[{"name":"sem coordenadas"}]';
+    expect(loadFavorites(storage)).toEqual([]);
+  });
+});
+
+describe('Erros tipados, tempo limite e novas tentativas', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    configureRequests({ retries: 2, backoff: 1 });
+  });
+
+  afterAll(() => {
+    configureRequests();
+  });
+
+  test('Erros temporários (5xx, rede) são repetidos com backoff até ter sucesso', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: false, status: 503, json: async () => ({}) })
+      .mockRejectedValueOnce(new Error('ECONNRESET'))
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ current: { temperature_2m: 21 } }) });
+
+    await expect(getWeatherData(1, 2)).resolves.toEqual({ temperature: 21 });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('Após esgotar as tentativas o último erro é lançado', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 500, json: async () => ({}) });
+
+    const err = await getWeatherData(1, 2).catch((e) => e);
+    expect(err).toBeInstanceOf(ServerError);
+    expect(err.status).toBe(500);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('Erros definitivos (4xx, formato inesperado) não são repetidos', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 400, json: async () => ({ reason: 'Invalid' }) });
+    const err = await getWeatherData(1, 2).catch((e) => e);
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err).not.toBeInstanceOf(ServerError);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+    await expect(getWeatherData(1, 2)).rejects.toBeInstanceOf(ResponseFormatError);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('429 respeita o Retry-After e não espera mais que o limite configurado', async () => {
+    configureRequests({ retries: 2, backoff: 1, maxRetryDelay: 5000 });
+    global.fetch.mockResolvedValue({
+      ok: false,
+      status: 429,
+      headers: { get: () => '120' },
+      json: async () => ({})
+    });
+
+    const err = await getWeatherData(1, 2).catch((e) => e);
+    expect(err).toBeInstanceOf(RateLimitError);
+    expect(err.retryAfter).toBe(120);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('getRetryDelay dobra a espera a cada tentativa e usa o Retry-After quando houver', () => {
+    const options = { backoff: 500 };
+    expect(getRetryDelay(new ServerError('x', 500), 0, options)).toBe(500);
+    expect(getRetryDelay(new ServerError('x', 500), 2, options)).toBe(2000);
+    expect(getRetryDelay(new RateLimitError('x', 3), 0, options)).toBe(3000);
+    expect(getRetryDelay(new RateLimitError('x'), 1, options)).toBe(1000);
+  });
+
+  test('parseRetryAfter aceita segundos ou data HTTP', () => {
+    const now = Date.parse('2025-11-10T12:00:00Z');
+    expect(parseRetryAfter('30', now)).toBe(30);
+    expect(parseRetryAfter('Mon, 10 Nov 2025 12:01:00 GMT', now)).toBe(60);
+    expect(parseRetryAfter(null, now)).toBeNull();
+    expect(parseRetryAfter('amanhã', now)).toBeNull();
+  });
+
+  test('getErrorMessage escolhe a mensagem pelo tipo do erro', () => {
+    expect(getErrorMessage(new NotFoundError('Cidade não encontrada'))).toBe('Cidade não encontrada. Tente novamente.');
+    expect(getErrorMessage(new ValidationError('x'))).toMatch(/Digite o nome/);
+    expect(getErrorMessage(new RateLimitError('x', 30))).toMatch(/Aguarde 30 s/);
+    expect(getErrorMessage(new RateLimitError('x'))).toMatch(/Aguarde alguns instantes/);
+    expect(getErrorMessage(new ServerError('x', 502))).toMatch(/indisponível/);
+    expect(getErrorMessage(new TimeoutError('x'))).toMatch(/demorou demais/);
+    expect(getErrorMessage(new NetworkError('x'))).toMatch(/Verifique sua conexão com a internet/);
+    expect(getErrorMessage(new ResponseFormatError('x'))).toMatch(/dados inesperados/);
+    // a mensagem da geolocalização vem do catálogo pelo código; códigos desconhecidos mantêm a do erro
+    expect(getErrorMessage(new GeolocationError('x', 'PERMISSION_DENIED'))).toMatch(/^Permissão de localização negada/);
+    expect(getErrorMessage(new GeolocationError('Falha própria', 'OUTRO'))).toBe('Falha própria');
+    expect(getErrorMessage(new Error('qualquer'))).toBe('Erro ao buscar dados do clima. Tente novamente.');
+  });
+});
+
+describe('Alertas', () => {
+  const data = {
+    current: { temperature: 31, windspeed: 25, weathercode: 3, time: '2025-11-10T14:00' },
+    hourly: {
+      time: ['2025-11-10T15:00', '2025-11-10T16:00', '2025-11-11T09:00', '2025-11-11T10:00'],
+      temperature: [32, 33, 24, 26],
+      precipitation: [0, 2, 12, 14],
+      weathercode: [3, 61, 95, 63]
+    },
+    daily: {
+      time: ['2025-11-10', '2025-11-11', '2025-11-12'],
+      temperature_max: [33, 37, 36],
+      temperature_min: [21, 18, 4],
+      weathercode: [61, 95, 99]
+    }
+  };
+  const rule = (type, threshold, extra = {}) => ({ id: type, type, threshold, enabled: true, ...extra });
+
+  test('temperatura acima do limite retorna o pico previsto', () => {
+    expect(evaluateAlerts([rule('temperatureAbove', 35)], data)).toEqual([
+      { ruleId: 'temperatureAbove', type: 'temperatureAbove', value: 37, threshold: 35, source: 'daily', time: '2025-11-11' }
+    ]);
+    expect(evaluateAlerts([rule('temperatureAbove', 40)], data)).toEqual([]);
+  });
+
+  test('temperatura abaixo do limite usa as mínimas', () => {
+    const [alert] = evaluateAlerts([rule('temperatureBelow', 5)], data);
+    expect(alert).toMatchObject({ value: 4, source: 'daily', time: '2025-11-12' });
+  });
+
+  test('trovoada dispara na primeira ocorrência dos códigos 95/96/99', () => {
+    const [alert] = evaluateAlerts([rule('thunderstorm', null)], data);
+    expect(alert).toMatchObject({ value: 95, threshold: null, source: 'hourly', time: '2025-11-11T09:00' });
+    expect(evaluateAlerts([rule('thunderstorm', null)], { current: { weathercode: 1 } })).toEqual([]);
+  });
+
+  test('chuva é somada por dia a partir da previsão por hora', () => {
+    const [alert] = evaluateAlerts([rule('precipitationAbove', 20)], data);
+    expect(alert).toMatchObject({ value: 26, source: 'daily', time: '2025-11-11' });
+    expect(evaluateAlerts([rule('precipitationAbove', 30)], data)).toEqual([]);
+    // total diário da API, quando disponível, tem prioridade
+    const withSum = { ...data, daily: { ...data.daily, precipitation_sum: [0, 5, 40] } };
+    expect(evaluateAlerts([rule('precipitationAbove', 30)], withSum)[0]).toMatchObject({ value: 40, time: '2025-11-12' });
+  });
+
+  test('vento acima do limite usa o vento atual e o máximo de cada dia', () => {
+    expect(evaluateAlerts([rule('windAbove', 20)], data)[0]).toMatchObject({ value: 25, source: 'current', time: '2025-11-10T14:00' });
+    expect(evaluateAlerts([rule('windAbove', 60)], data)).toEqual([]);
+    const windy = { ...data, daily: { ...data.daily, windspeed_max: [30, 72, 40] } };
+    expect(evaluateAlerts([rule('windAbove', 60)], windy)[0]).toMatchObject({ value: 72, source: 'daily', time: '2025-11-11' });
+  });
+
+  test('regras desativadas e dados ausentes não disparam alertas', () => {
+    expect(evaluateAlerts([rule('temperatureAbove', 35, { enabled: false })], data)).toEqual([]);
+    expect(evaluateAlerts([rule('temperatureAbove', 35), rule('thunderstorm', null)], {})).toEqual([]);
+    expect(evaluateAlerts(DEFAULT_ALERT_RULES, data).map((a) => a.ruleId)).toEqual(['calor', 'trovoadas']);
+  });
+
+  test('formatAlert monta a mensagem nas unidades de exibição', () => {
+    const [heat, storm, rain, wind] = evaluateAlerts(
+      [rule('temperatureAbove', 35), rule('thunderstorm', null), rule('precipitationAbove', 20), rule('windAbove', 20)],
+      data
+    );
+    expect(formatAlert(heat)).toBe('Temperatura de 37°C em 11/11, acima de 35°C');
+    expect(formatAlert(heat, { temperature: 'fahrenheit' })).toBe('Temperatura de 99°F em 11/11, acima de 95°F');
+    expect(formatAlert(storm)).toBe('Tempestade em 11/11 às 09h');
+    expect(formatAlert(rain)).toBe('Chuva de 26 mm em 11/11, acima de 20 mm');
+    expect(formatAlert(wind)).toBe('Vento de 25 km/h agora, acima de 20 km/h');
+  });
+
+  test('configurações são validadas, salvas e lidas do armazenamento', () => {
+    const storage = createStorage();
+    expect(loadAlertSettings(storage)).toEqual({ rules: DEFAULT_ALERT_RULES, notify: false });
+
+    const saved = saveAlertSettings({
+      rules: [rule('windAbove', 50), { type: 'granizo', threshold: 1 }, { type: 'temperatureAbove' }, rule('thunderstorm', 10)],
+      notify: true
+    }, storage);
+    expect(saved).toEqual({ rules: [rule('windAbove', 50), rule('thunderstorm', null)], notify: true });
+    expect(loadAlertSettings(storage)).toEqual(saved);
+    // lista vazia é uma escolha do usuário, não volta ao padrão
+    expect(normalizeAlertSettings({ rules: [] })).toEqual({ rules: [], notify: false });
+  });
+});
+
+describe('Ícones de dia/noite, direção do vento e sol', () => {
+  test('getWeatherIcon usa variantes de noite quando is_day é 0', () => {
+    expect(getWeatherIcon(0)).toBe('wi-day-sunny');
+    expect(getWeatherIcon(0, 0)).toBe('wi-night-clear');
+    expect(getWeatherIcon(0, false)).toBe('wi-night-clear');
+    expect(getWeatherIcon(2, 1)).toBe('wi-day-cloudy');
+    expect(getWeatherIcon(2, 0)).toBe('wi-night-alt-cloudy');
+    // sem variante de noite, o mesmo ícone
+    expect(getWeatherIcon(3, 0)).toBe('wi-cloudy');
+    expect(getWeatherIcon(42)).toBe('wi-na');
+  });
+
+  test('getWeatherIcon distingue garoa, pancadas, chuva congelante e granizo', () => {
+    expect(getWeatherIcon(51)).toBe('wi-day-sprinkle');
+    expect(getWeatherIcon(53, 0)).toBe('wi-night-alt-sprinkle');
+    expect(getWeatherIcon(56)).toBe('wi-day-sleet');
+    expect(getWeatherIcon(61)).toBe('wi-day-rain');
+    expect(getWeatherIcon(66)).toBe('wi-day-rain-mix');
+    expect(getWeatherIcon(80)).toBe('wi-day-showers');
+    expect(getWeatherIcon(82)).toBe('wi-showers');
+    expect(getWeatherIcon(95, 0)).toBe('wi-night-alt-thunderstorm');
+    expect(getWeatherIcon(99)).toBe('wi-day-sleet-storm');
+  });
+
+  test('getCompassDirection converte graus em pontos cardeais', () => {
+    expect(getCompassDirection(0)).toBe('N');
+    expect(getCompassDirection(359)).toBe('N');
+    expect(getCompassDirection(45)).toBe('NE');
+    expect(getCompassDirection(90)).toBe('L');
+    expect(getCompassDirection(200)).toBe('SSO');
+    expect(getCompassDirection(270)).toBe('O');
+    expect(getCompassDirection(-90)).toBe('O');
+    expect(getCompassDirection(undefined)).toBe('');
+  });
+
+  test('formatTimeOfDay extrai a hora local', () => {
+    expect(formatTimeOfDay('2025-11-10T05:31')).toBe('05:31');
+    expect(formatTimeOfDay('')).toBe('');
+  });
+
+  test('get5DayForecast pede nascer e pôr do sol', async () => {
+    global.fetch = jest.fn().mockResolvedValueOnce({ ok: true, json: async () => ({ daily: { time: [] } }) });
+    await get5DayForecast(1, 2);
+    const daily = new URL(global.fetch.mock.calls[0][0]).searchParams.get('daily').split(',');
+    expect(daily).toEqual(expect.arrayContaining(['sunrise', 'sunset']));
+  });
+});
+
+describe('Idiomas (i18n)', () => {
+  afterEach(() => {
+    setLocale('pt-BR');
+  });
+
+  test('normalizeLocale aceita variantes regionais e volta ao pt-BR', () => {
+    expect(normalizeLocale('en-US')).toBe('en');
+    expect(normalizeLocale('es-AR')).toBe('es');
+    expect(normalizeLocale('pt')).toBe('pt-BR');
+    expect(normalizeLocale('fr')).toBe('pt-BR');
+    expect(normalizeLocale(null)).toBe('pt-BR');
+  });
+
+  test('t interpola parâmetros e recorre ao pt-BR quando falta a tradução', () => {
+    expect(t('error.rateLimitWait', { seconds: 3 })).toBe('Muitas consultas em pouco tempo. Aguarde 3 s e tente novamente.');
+    setLocale('en');
+    expect(getLocale()).toBe('en');
+    expect(t('search.submit')).toBe('Search');
+    // sem tradução em inglês: usa a mensagem em português
+    expect(t('alerts.message.thunderstorm', { description: 'Thunderstorm', when: 'now' })).toBe('Thunderstorm now');
+    expect(t('chave.inexistente')).toBe('chave.inexistente');
+  });
+
+  test('loadLocale e saveLocale persistem o idioma escolhido', () => {
+    const storage = createStorage();
+    expect(loadLocale(storage)).toBe('pt-BR');
+    expect(saveLocale('es-MX', storage)).toBe('es');
+    expect(loadLocale(storage)).toBe('es');
+    const broken = { getItem() { throw new Error('bloqueado'); }, setItem() { throw new Error('bloqueado'); } };
+    expect(loadLocale(broken)).toBe('pt-BR');
+    expect(saveLocale('en', broken)).toBe('en');
+  });
+
+  test('datas, horas e números seguem o idioma atual', () => {
+    expect(formatDate('2025-11-10')).toBe('10/11/2025');
+    expect(formatShortDate('2025-11-10T09:00')).toBe('10/11');
+    expect(formatWeekday('2025-11-10')).toBe('Segunda-feira');
+    expect(formatNumber(1234567.5)).toBe('1.234.567,5');
+
+    setLocale('en');
+    expect(formatDate('2025-11-10')).toBe('11/10/2025');
+    expect(formatWeekday('2025-11-10')).toBe('Monday');
+    expect(formatHourLabel('2025-11-10T15:00')).toBe('3 PM');
+    expect(formatNumber(1234567.5)).toBe('1,234,567.5');
+
+    setLocale('es');
+    expect(formatWeekday('2025-11-10')).toBe('Lunes');
+    expect(formatHourLabel('2025-11-10T15:00')).toBe('15h');
+  });
+
+  test('descrições, pontos cardeais e alertas são traduzidos', () => {
+    setLocale('en');
+    expect(getWeatherDescription(0)).toBe('Clear sky');
+    expect(getCompassDirection(270)).toBe('W');
+    expect(formatAlert({ type: 'temperatureAbove', value: 37, threshold: 35, source: 'hourly', time: '2025-11-11T15:00' }))
+      .toBe('Temperature of 37°C on 11/11 at 3 PM, above 35°C');
+
+    setLocale('es');
+    expect(getWeatherDescription(95)).toBe('Tormenta');
+    expect(getErrorMessage(new NotFoundError('x'))).toBe('Ciudad no encontrada. Inténtalo de nuevo.');
+  });
+
+  test('searchCities pede os nomes no idioma atual', async () => {
+    setLocale('en');
+    global.fetch = jest.fn().mockResolvedValueOnce({ ok: true, json: async () => ({ results: [] }) });
+    await searchCities('Lisbon-i18n');
+    expect(new URL(global.fetch.mock.calls[0][0]).searchParams.get('language')).toBe('en');
+  });
+});
+
+describe('Qualidade do ar e índice UV', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn((url) => Promise.resolve({
+      ok: true,
+      json: async () => (url.includes('air-quality-api')
+        ? { current: { time: '2025-11-10T14:00', pm2_5: 12.3, pm10: 20.1, ozone: 61, european_aqi: 34, us_aqi: null } }
+        : { current: { time: '2025-11-10T14:00', uv_index: 7.2 } })
+    }));
+  });
+
+  test('getAirQuality consulta poluentes e UV e reúne os valores atuais', async () => {
+    const air = await getAirQuality(-23.55, -46.63);
+    const urls = global.fetch.mock.calls.map(([url]) => new URL(url));
+    const airUrl = urls.find((u) => u.hostname === 'air-quality-api.open-meteo.com');
+    const uvUrl = urls.find((u) => u.hostname === 'api.open-meteo.com');
+    expect(airUrl.searchParams.get('current').split(',')).toEqual(['european_aqi', 'us_aqi', 'pm2_5', 'pm10', 'ozone']);
+    expect(uvUrl.searchParams.get('current')).toBe('uv_index');
+    expect(air).toEqual({ time: '2025-11-10T14:00', pm2_5: 12.3, pm10: 20.1, ozone: 61, european_aqi: 34, us_aqi: null, uv_index: 7.2 });
+  });
+
+  test('getAirQuality trata respostas inesperadas e erros da API', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({}) });
+    await expect(getAirQuality(1, 1)).rejects.toBeInstanceOf(ResponseFormatError);
+
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 500, json: async () => ({}) });
+    await expect(getAirQuality(1, 1)).rejects.toBeInstanceOf(ServerError);
+  });
+
+  test('getAirQuality mantém a qualidade do ar quando só o índice UV falha', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn((url) => Promise.resolve(url.includes('air-quality-api')
+      ? { ok: true, json: async () => ({ current: { time: '2025-11-10T14:00', pm2_5: 12.3, pm10: 20.1, ozone: 61, european_aqi: 34, us_aqi: 52 } }) }
+      : { ok: false, status: 500, json: async () => ({}) }));
+
+    await expect(getAirQuality(1, 1)).resolves.toEqual({ time: '2025-11-10T14:00', pm2_5: 12.3, pm10: 20.1, ozone: 61, european_aqi: 34, us_aqi: 52, uv_index: null });
+    expect(warn).toHaveBeenCalledWith('Erro ao obter índice UV', expect.any(ServerError));
+    warn.mockRestore();
+  });
+
+  test('classifyAirQuality usa as faixas europeias e americanas', () => {
+    expect(classifyAirQuality('european_aqi', 15)).toEqual({ level: 'good', severity: 0 });
+    expect(classifyAirQuality('european_aqi', 40)).toEqual({ level: 'fair', severity: 1 });
+    expect(classifyAirQuality('european_aqi', 45)).toEqual({ level: 'moderate', severity: 2 });
+    expect(classifyAirQuality('european_aqi', 130)).toEqual({ level: 'extremelyPoor', severity: 5 });
+    expect(classifyAirQuality('pm2_5', 30).level).toBe('poor');
+    expect(classifyAirQuality('pm10', 120).level).toBe('veryPoor');
+    expect(classifyAirQuality('ozone', 90).level).toBe('fair');
+    expect(classifyAirQuality('us_aqi', 50)).toEqual({ level: 'good', severity: 0 });
+    expect(classifyAirQuality('us_aqi', 120)).toEqual({ level: 'sensitive', severity: 3 });
+    expect(classifyAirQuality('us_aqi', 420)).toEqual({ level: 'hazardous', severity: 6 });
+  });
+
+  test('classificação retorna null para valores ou indicadores inválidos', () => {
+    expect(classifyAirQuality('european_aqi', null)).toBeNull();
+    expect(classifyAirQuality('european_aqi', -1)).toBeNull();
+    expect(classifyAirQuality('co2', 10)).toBeNull();
+    expect(classifyUvIndex(undefined)).toBeNull();
+  });
+
+  test('classifyUvIndex arredonda o índice e usa as faixas da OMS', () => {
+    expect(classifyUvIndex(0)).toEqual({ level: 'low', severity: 0 });
+    expect(classifyUvIndex(2.4)).toEqual({ level: 'low', severity: 0 });
+    expect(classifyUvIndex(2.6).level).toBe('moderate');
+    expect(classifyUvIndex(7.4)).toEqual({ level: 'high', severity: 3 });
+    expect(classifyUvIndex(9).level).toBe('veryHigh');
+    expect(classifyUvIndex(12)).toEqual({ level: 'extreme', severity: 5 });
+  });
+});
+
+describe('Comparação com anos anteriores', () => {
+  // arquivo diário de 2022-11-09 a 2024-11-10, com valores distintos por dia
+  const archive = () => {
+    const time = [];
+    for (let d = new Date(Date.UTC(2022, 10, 9)); d <= new Date(Date.UTC(2024, 10, 10)); d.setUTCDate(d.getUTCDate() + 1)) {
+      time.push(d.toISOString().slice(0, 10));
+    }
+    const values = (day, year) => (day.endsWith('-11-10') ? year : 0);
+    return {
+      daily: {
+        time,
+        temperature_2m_max: time.map((day) => values(day, { 2022: 25, 2023: 27, 2024: 29 }[day.slice(0, 4)])),
+        temperature_2m_min: time.map((day) => values(day, { 2022: 15, 2023: 16, 2024: 20 }[day.slice(0, 4)])),
+        precipitation_sum: time.map((day) => (day === '2023-11-10' ? null : 0))
+      }
+    };
+  };
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  test('getHistoricalComparison pede o intervalo dos anos anteriores e filtra a mesma data', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => archive() });
+    const history = await getHistoricalComparison(-30.03, -51.23, '2025-11-10', 3);
+
+    const url = new URL(global.fetch.mock.calls[0][0]);
+    expect(url.hostname).toBe('archive-api.open-meteo.com');
+    expect(url.searchParams.get('start_date')).toBe('2022-11-10');
+    expect(url.searchParams.get('end_date')).toBe('2024-11-10');
+    expect(url.searchParams.get('daily')).toBe('temperature_2m_max,temperature_2m_min,precipitation_sum');
+
+    expect(history.date).toBe('2025-11-10');
+    expect(history.years).toEqual([
+      { year: 2022, date: '2022-11-10', max: 25, min: 15, precipitation: 0 },
+      { year: 2023, date: '2023-11-10', max: 27, min: 16, precipitation: null },
+      { year: 2024, date: '2024-11-10', max: 29, min: 20, precipitation: 0 }
+    ]);
+    expect(history.average).toEqual({ max: 27, min: 17, precipitation: 0 });
+  });
+
+  test('getHistoricalComparison usa 10 anos por padrão e 28/02 em anos não bissextos', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ daily: { time: ['2023-02-28', '2024-02-29'], temperature_2m_max: [30, 32], temperature_2m_min: [20, 22], precipitation_sum: [1, 3] } })
+    });
+    const history = await getHistoricalComparison(1, 2, '2024-02-29');
+    const url = new URL(global.fetch.mock.calls[0][0]);
+    expect(url.searchParams.get('start_date')).toBe('2014-02-28');
+    expect(url.searchParams.get('end_date')).toBe('2023-03-01');
+    expect(history.years.map((y) => y.date)).toEqual(['2023-02-28']);
+  });
+
+  test('getHistoricalComparison valida a data e trata erros da API', async () => {
+    await expect(getHistoricalComparison(1, 2, '10/11/2025')).rejects.toBeInstanceOf(ValidationError);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+    await expect(getHistoricalComparison(1, 2, '2025-11-10')).rejects.toBeInstanceOf(ResponseFormatError);
+
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 500, json: async () => ({}) });
+    await expect(getHistoricalComparison(1, 2, '2025-11-10')).rejects.toThrow('Erro ao buscar dados históricos');
+  });
+
+  test('describeHistoricalComparison compara a máxima de hoje com a média', () => {
+    const history = { date: '2025-11-10', years: new Array(10).fill({}), average: { max: 26.2 } };
+    expect(describeHistoricalComparison(29.4, history)).toBe('3 °C acima da média de 10 anos');
+    expect(describeHistoricalComparison(21, history)).toBe('5 °C abaixo da média de 10 anos');
+    expect(describeHistoricalComparison(26.5, history)).toBe('Na média dos últimos 10 anos');
+    expect(describeHistoricalComparison(85, { ...history, average: { max: 80 } }, 'fahrenheit')).toBe('5 °F acima da média de 10 anos');
+    expect(describeHistoricalComparison(null, history)).toBe('');
+    expect(describeHistoricalComparison(20, { ...history, average: { max: null } })).toBe('');
+  });
+});
+
+describe('Previsão diária configurável', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ daily: { time: ['2025-11-10'] } }) });
+  });
+
+  test('getDailyForecast pede 7 dias com todas as variáveis no fuso do local', async () => {
+    await expect(getDailyForecast(-23.55, -46.63)).resolves.toEqual({ time: ['2025-11-10'] });
+    const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(params.get('forecast_days')).toBe('7');
+    expect(params.get('timezone')).toBe('auto');
+    expect(params.get('daily').split(',')).toEqual(DAILY_VARIABLES);
+    expect(DAILY_VARIABLES).toEqual(expect.arrayContaining(['precipitation_sum', 'precipitation_probability_max', 'windspeed_10m_max', 'uv_index_max', 'sunrise', 'sunset']));
+    // "hoje" é resolvido pela API no fuso da localização, não pela data UTC do navegador
+    expect(params.has('start_date')).toBe(false);
+    expect(params.has('end_date')).toBe(false);
+  });
+
+  test('getDailyForecast aceita dias, variáveis e unidades', async () => {
+    await getDailyForecast(1, 2, { days: 16, variables: ['temperature_2m_max', 'uv_index_max'], units: { temperature: 'fahrenheit' } });
+    const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(params.get('forecast_days')).toBe('16');
+    expect(params.get('daily')).toBe('temperature_2m_max,uv_index_max');
+    expect(params.get('temperature_unit')).toBe('fahrenheit');
+
+    await get5DayForecast(1, 2);
+    expect(new URL(global.fetch.mock.calls[1][0]).searchParams.get('forecast_days')).toBe('5');
+  });
+
+  test('getDailyForecast rejeita intervalos fora de 1 a 16 dias e listas vazias', async () => {
+    await expect(getDailyForecast(1, 2, { days: 0 })).rejects.toBeInstanceOf(ValidationError);
+    await expect(getDailyForecast(1, 2, { days: 17 })).rejects.toBeInstanceOf(ValidationError);
+    await expect(getDailyForecast(1, 2, { days: 2.5 })).rejects.toBeInstanceOf(ValidationError);
+    await expect(getDailyForecast(1, 2, { variables: [] })).rejects.toBeInstanceOf(ValidationError);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+    await expect(getDailyForecast(1, 2)).rejects.toBeInstanceOf(ResponseFormatError);
+  });
+
+  test('getCachedDailyForecast separa o cache pela data de hoje no local consultado', async () => {
+    clearResponseCache();
+    await getCachedDailyForecast(1, 2, { days: 14, today: '2025-11-10' });
+    const again = await getCachedDailyForecast(1, 2, { days: 14, today: '2025-11-10' });
+    expect(again.fromCache).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    // virou o dia no local: a previsão de ontem não é reaproveitada
+    const nextDay = await getCachedDailyForecast(1, 2, { days: 14, today: '2025-11-11' });
+    expect(nextDay.fromCache).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('loadForecastDays e saveForecastDays aceitam apenas 3, 7 ou 14 dias', () => {
+    const storage = createStorage();
+    expect(loadForecastDays(storage)).toBe(7);
+    expect(saveForecastDays('14', storage)).toBe(14);
+    expect(loadForecastDays(storage)).toBe(14);
+    expect(saveForecastDays(5, storage)).toBe(7);
+  });
+
+  test('loadAutoRefresh e saveAutoRefresh aceitam apenas os intervalos oferecidos', () => {
+    const storage = createStorage();
+    expect(loadAutoRefresh(storage)).toBe(0);
+    expect(saveAutoRefresh('15', storage)).toBe(15);
+    expect(loadAutoRefresh(storage)).toBe(15);
+    expect(saveAutoRefresh(7, storage)).toBe(0);
+    expect(loadAutoRefresh({ getItem() { throw new Error('bloqueado'); } })).toBe(0);
+  });
+});
+
+describe('Geometria do gráfico da previsão', () => {
+  const daily = {
+    time: ['2025-11-10', '2025-11-11', '2025-11-12', '2025-11-13'],
+    temperature_max: [29, 27, null, 30],
+    temperature_min: [18, 17, 16, 19],
+    precipitation_sum: [0, 12.4, 3, null]
+  };
+
+  test('linearScale converte o domínio no intervalo, inclusive invertido', () => {
+    const y = linearScale([0, 10], [100, 0]);
+    expect(y(0)).toBe(100);
+    expect(y(5)).toBe(50);
+    expect(y(10)).toBe(0);
+    expect(linearScale([3, 3], [0, 40])(3)).toBe(20);
+  });
+
+  test('niceTicks gera marcações redondas que cobrem o intervalo', () => {
+    expect(niceTicks(17.2, 29.8)).toEqual([15, 20, 25, 30]);
+    expect(niceTicks(0, 12.4, 3)).toEqual([0, 5, 10, 15]);
+    expect(niceTicks(0, 1, 3)).toEqual([0, 0.5, 1]);
+    expect(niceTicks(-3.2, 0.4)).toEqual([-4, -3, -2, -1, 0, 1]);
+    expect(niceTicks(5, 5)).toEqual([4, 4.5, 5, 5.5, 6]);
+    expect(niceTicks(NaN, 1)).toEqual([]);
+  });
+
+  test('buildLinePath liga os pontos e interrompe a linha em valores ausentes', () => {
+    expect(buildLinePath([{ x: 10, y: 20 }, { x: 30.04, y: 40.06 }])).toBe('M10,20L30,40.1');
+    expect(buildLinePath([{ x: 0, y: 1 }, { x: 1, y: null }, { x: 2, y: 3 }, { x: 3, y: 4 }])).toBe('M0,1M2,3L3,4');
+    expect(buildLinePath([])).toBe('');
+  });
+
+  test('computeForecastChart posiciona dias, linhas, barras e eixos', () => {
+    const chart = computeForecastChart(daily, { width: 334, height: 180 });
+    expect(chart.plot).toEqual({ left: 34, right: 300, top: 14, bottom: 154 });
+    // 4 faixas de 66,5px; cada dia no centro da sua faixa
+    expect(chart.days.map((d) => d.x)).toEqual([67.25, 133.75, 200.25, 266.75]);
+    expect(chart.temperatureTicks.map((tick) => tick.value)).toEqual([15, 20, 25, 30]);
+    expect(chart.temperatureTicks[0].y).toBe(154);
+    expect(chart.temperatureTicks[3].y).toBe(14);
+    expect(chart.days[3].maxY).toBe(14);
+    // a máxima ausente do terceiro dia quebra a linha
+    expect(chart.maxPath.match(/M/g)).toHaveLength(2);
+    expect(chart.minPath.match(/M/g)).toHaveLength(1);
+
+    expect(chart.precipitationTicks.map((tick) => tick.value)).toEqual([0, 5, 10, 15]);
+    // sem barras para dias secos ou sem dado
+    expect(chart.bars.map((bar) => bar.date)).toEqual(['2025-11-11', '2025-11-12']);
+    const [bar] = chart.bars;
+    expect(bar.y + bar.height).toBe(154);
+    expect(bar.width).toBeCloseTo(33.25);
+  });
+
+  test('computeForecastChart espaça as datas e trata dados ausentes', () => {
+    const time = Array.from({ length: 14 }, (_, i) => `2025-11-${String(10 + i).padStart(2, '0')}`);
+    const chart = computeForecastChart({ time, temperature_max: time.map(() => 20), temperature_min: time.map(() => 10) });
+    expect(chart.labels.length).toBeLessThan(14);
+    expect(chart.labels[0].date).toBe('2025-11-10');
+    expect(chart.bars).toEqual([]);
+    expect(chart.precipitationTicks).toEqual([]);
+
+    expect(computeForecastChart(null)).toBeNull();
+    expect(computeForecastChart({ time: ['2025-11-10'], temperature_max: [null] })).toBeNull();
+  });
+});
+
+describe('Exportação da previsão', () => {
+  const view = {
+    city: { name: 'São Paulo', admin1: 'São Paulo', country: 'Brasil', lat: -23.5505, lon: -46.6333 },
+    current: { temperature: 25.04, weathercode: 2, time: '2025-11-10T14:30', windspeed: 12 },
+    daily: {
+      time: ['2025-11-10', '2025-11-11'],
+      weathercode: [61, 0],
+      temperature_max: [29, 84.19999],
+      temperature_min: [18, 17],
+      precipitation_sum: [1.5, 0],
+      precipitation_probability_max: [80, null],
+      sunrise: ['2025-11-10T05:12', '2025-11-11T05:11']
+    },
+    units: { temperature: 'celsius', windspeed: 'kmh', precipitation: 'mm' }
+  };
+
+  afterEach(() => setLocale('pt-BR'));
+
+  test('buildForecastExport descreve o tempo no idioma atual e arredonda os valores', () => {
+    const model = buildForecastExport(view);
+    expect(model.location).toEqual({ name: 'São Paulo', admin1: 'São Paulo', country: 'Brasil', latitude: -23.5505, longitude: -46.6333 });
+    expect(model.units).toEqual({ temperature: '°C', windspeed: 'km/h', precipitation: 'mm' });
+    expect(model.current).toEqual({ time: '2025-11-10T14:30', description: 'Parcialmente nublado', weathercode: 2, temperature: 25, windspeed: 12 });
+    expect(model.daily[1]).toMatchObject({ date: '2025-11-11', description: 'Céu limpo', temperature_max: 84.2, precipitation_probability_max: null, windspeed_max: null });
+
+    setLocale('en');
+    expect(buildForecastExport(view).daily[0].description).toBe(getWeatherDescription(61));
+    expect(buildForecastExport({ ...view, current: null, daily: null }).daily).toEqual([]);
+  });
+
+  test('serializeForecastJson gera um documento legível com o mesmo modelo', () => {
+    const json = serializeForecastJson(view);
+    expect(JSON.parse(json)).toEqual(buildForecastExport(view));
+    expect(json).toContain('\n  "location": {');
+  });
+
+  test('serializeForecastCsv gera uma linha do clima atual e uma por dia, com unidades no cabeçalho', () => {
+    const lines = serializeForecastCsv(view).split('\r\n');
+    expect(lines).toHaveLength(5);
+    expect(lines[4]).toBe('');
+    expect(lines[0].split(',')).toEqual(expect.arrayContaining(['temperature (°C)', 'precipitation_sum (mm)', 'precipitation_probability_max (%)', 'windspeed (km/h)', 'uv_index_max']));
+    expect(lines[1]).toBe('São Paulo,current,2025-11-10,14:30,Parcialmente nublado,2,25,,,,,12,,,,');
+    expect(lines[2]).toBe('São Paulo,daily,2025-11-10,,Chuva leve,61,,29,18,1.5,80,,,,2025-11-10T05:12,');
+
+    const imperial = serializeForecastCsv({ ...view, units: { temperature: 'fahrenheit', windspeed: 'mph', precipitation: 'inch' } });
+    expect(imperial.split('\r\n')[0]).toContain('temperature_max (°F)');
+    expect(imperial.split('\r\n')[0]).toContain('precipitation_sum (in)');
+  });
+
+  test('serializeForecastCsv protege campos com vírgulas e aspas', () => {
+    const csv = serializeForecastCsv({ ...view, city: { name: 'Washington, "D.C."' }, daily: null });
+    expect(csv.split('\r\n')[1].startsWith('"Washington, ""D.C.""",current,')).toBe(true);
+  });
+
+  test('serializeForecastIcs cria um evento de dia inteiro por dia', () => {
+    const ics = serializeForecastIcs(view, new Date(Date.UTC(2025, 10, 10, 17, 30, 5)));
+    const lines = ics.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('VERSION:2.0');
+    expect(lines[lines.length - 2]).toBe('END:VCALENDAR');
+    expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines).toContain('DTSTART;VALUE=DATE:20251110');
+    expect(lines).toContain('DTEND;VALUE=DATE:20251111');
+    expect(lines).toContain('SUMMARY:Chuva leve');
+    expect(lines).toContain('DTSTAMP:20251110T173005Z');
+    expect(lines).toContain('UID:2025-11-10--23.55_-46.63@projeto-clima');
+    // vírgulas e quebras de linha escapadas (RFC 5545)
+    expect(lines).toContain('LOCATION:São Paulo\\, Brasil');
+    // a descrição passa de 75 bytes e é dobrada em continuações
+    const unfolded = ics.replace(/\r\n /g, '').split('\r\n');
+    expect(unfolded).toContain('DESCRIPTION:Mínima: 18°C\\nMáxima: 29°C\\nChuva: 1\\,5 mm\\nChance de chuva: 80%');
+    expect(unfolded).toContain('DESCRIPTION:Mínima: 17°C\\nMáxima: 84°C\\nChuva: 0 mm');
+  });
+
+  test('serializeForecastIcs vira o mês e dobra linhas longas sem partir caracteres', () => {
+    const longName = 'Ã'.repeat(60);
+    const ics = serializeForecastIcs({ ...view, city: { name: longName }, daily: { time: ['2025-12-31'], weathercode: [0] } });
+    expect(ics).toContain('DTEND;VALUE=DATE:20260101');
+    ics.split('\r\n').forEach((line) => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+    expect(ics.replace(/\r\n /g, '')).toContain(`LOCATION:${longName}`);
+  });
+
+  test('createExportFile escolhe nome, tipo e conteúdo pelo formato', () => {
+    const csv = createExportFile(view, 'csv');
+    expect(csv.filename).toBe('clima-sao-paulo-2025-11-10.csv');
+    expect(csv.mimeType).toMatch(/^text\/csv/);
+    expect(csv.content).toBe(serializeForecastCsv(view));
+    expect(createExportFile(view, 'json').mimeType).toMatch(/^application\/json/);
+    const ics = createExportFile(view, 'ics', new Date(0));
+    expect(ics.filename).toBe('clima-sao-paulo-2025-11-10.ics');
+    expect(ics.content).toContain('DTSTAMP:19700101T000000Z');
+    expect(() => createExportFile(view, 'xml')).toThrow(ValidationError);
+  });
+});
+
+describe('Provedores de dados do tempo', () => {
+  const fixturesDir = path.join(__dirname, '..', 'fixtures', 'weather');
+  // servidor de fixtures simulado: responde com os arquivos de fixtures/weather
+  const serveFixtures = () => jest.fn(async (url) => {
+    const name = new URL(url, 'http://localhost').pathname.split('/').pop();
+    return { ok: true, status: 200, json: async () => JSON.parse(fs.readFileSync(path.join(fixturesDir, name), 'utf8')) };
+  });
+
+  afterEach(() => {
+    setWeatherProvider('open-meteo');
+    clearResponseCache();
+  });
+
+  test('normalizeOpenMeteoSeries renomeia as séries para o modelo normalizado', () => {
+    expect(normalizeOpenMeteoSeries({ time: ['2025-11-10'], temperature_2m_max: [29], windspeed_10m_max: [20], uv_index_max: [9] }))
+      .toEqual({ time: ['2025-11-10'], temperature_max: [29], windspeed_max: [20], uv_index_max: [9] });
+    expect(normalizeOpenMeteoSeries({ temperature_2m: [25], is_day: [1] })).toEqual({ temperature: [25], is_day: [1] });
+    expect(normalizeOpenMeteoSeries(null)).toBeNull();
+  });
+
+  test('o provedor Open-Meteo é o padrão e devolve o modelo normalizado', async () => {
+    expect(getWeatherProvider().id).toBe('open-meteo');
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ daily: { time: ['2025-11-10'], temperature_2m_max: [29], temperature_2m_min: [18] } })
+    });
+    const daily = await createOpenMeteoProvider().daily(1, 2, { days: 3 });
+    expect(daily).toEqual({ time: ['2025-11-10'], temperature_max: [29], temperature_min: [18] });
+    expect(new URL(global.fetch.mock.calls[0][0]).searchParams.get('forecast_days')).toBe('3');
+  });
+
+  test('o provedor de fixtures lê os arquivos locais e converte as unidades', async () => {
+    global.fetch = serveFixtures();
+    const provider = createFixtureProvider('http://localhost:8000/fixtures/weather');
+
+    const [city] = await provider.geocode('sao paulo', 1);
+    expect(city).toMatchObject({ name: 'São Paulo', country: 'Brasil' });
+    expect(global.fetch.mock.calls[0][0]).toContain('http://localhost:8000/fixtures/weather/geocode.json?name=sao+paulo');
+    await expect(provider.geocode('Atlântida')).resolves.toEqual([]);
+    await expect(provider.geocode(' ')).rejects.toBeInstanceOf(ValidationError);
+
+    const current = await provider.current(-23.55, -46.63, { temperature: 'fahrenheit' });
+    expect(current).toMatchObject({ time: '2025-11-10T14:30', weathercode: 2 });
+    expect(current.temperature).toBeCloseTo(77.72);
+
+    const daily = await provider.daily(-23.55, -46.63, { days: 3 });
+    expect(daily.time).toHaveLength(3);
+    expect(Object.keys(daily)).toEqual(expect.arrayContaining(['temperature_max', 'temperature_min', 'precipitation_sum', 'windspeed_max', 'sunrise']));
+    expect(global.fetch.mock.calls.pop()[0]).toContain('daily.json?latitude=-23.55&longitude=-46.63');
+
+    const hourly = await provider.hourly(-23.55, -46.63, { hours: 24, units: { precipitation: 'inch' } });
+    expect(hourly.time).toHaveLength(24);
+    expect(hourly.temperature).toHaveLength(24);
+
+    await expect(provider.airQuality(-23.55, -46.63)).resolves.toEqual({
+      time: '2025-11-10T14:00', european_aqi: 34, us_aqi: 52, pm2_5: 12.3, pm10: 20.1, ozone: 61, uv_index: 7.2
+    });
+
+    // os anos anteriores seguem a data pedida, do mais antigo ao mais recente
+    const history = await provider.history(-23.55, -46.63, '2024-02-29', 3, { temperature: 'fahrenheit' });
+    expect(history.years.map((item) => item.date)).toEqual(['2021-02-28', '2022-02-28', '2023-02-28']);
+    expect(history.years[2].max).toBeCloseTo(81.32);
+    expect(history.average.max).toBeCloseTo(80.8, 1);
+    await expect(provider.history(1, 2, '29/02/2024')).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  test('qualidade do ar e histórico vêm do provedor ativo; sem eles, nada é buscado', async () => {
+    global.fetch = serveFixtures();
+    setWeatherProvider('fixtures');
+    await expect(getCachedAirQuality(-23.55, -46.63)).resolves.toMatchObject({ data: { european_aqi: 34 } });
+    await expect(getCachedHistoricalComparison(-23.55, -46.63, '2025-11-10')).resolves.toMatchObject({ data: { date: '2025-11-10' } });
+    expect(global.fetch.mock.calls.map(([url]) => new URL(url, 'http://localhost').pathname.split('/').pop()))
+      .toEqual(['airQuality.json', 'history.json']);
+
+    // provedor sem as seções opcionais: os painéis ficam vazios, sem acessar a rede (nem o cache do outro provedor)
+    setWeatherProvider({ id: 'teste', geocode: jest.fn(), current: jest.fn(), daily: jest.fn(), hourly: jest.fn() });
+    global.fetch = jest.fn();
+    await expect(getCachedAirQuality(-23.55, -46.63)).resolves.toMatchObject({ data: null, fromCache: false });
+    await expect(getCachedHistoricalComparison(-23.55, -46.63, '2025-11-10')).resolves.toMatchObject({ data: null });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('o provedor de fixtures rejeita arquivos sem as séries', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ days: [] }) });
+    await expect(createFixtureProvider().daily(1, 2)).rejects.toBeInstanceOf(ResponseFormatError);
+  });
+
+  test('setWeatherProvider troca o provedor usado pelas buscas com cache, sem misturar os dados', async () => {
+    const provider = {
+      id: 'teste',
+      geocode: jest.fn().mockResolvedValue([{ lat: 1, lon: 2, name: 'Teste', admin1: '', country: '' }]),
+      current: jest.fn().mockResolvedValue({ time: '2025-11-10T14:00', temperature: 20, weathercode: 0, windspeed: 5 }),
+      daily: jest.fn().mockResolvedValue({ time: ['2025-11-10'], temperature_max: [25], temperature_min: [15], weathercode: [1] }),
+      hourly: jest.fn().mockResolvedValue({ time: [] })
+    };
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ current: { temperature_2m: 30 } }) });
+
+    await expect(getCachedWeatherData(1, 2)).resolves.toMatchObject({ data: { temperature: 30 } });
+    expect(setWeatherProvider(provider)).toBe(provider);
+    await expect(getCachedWeatherData(1, 2)).resolves.toMatchObject({ data: { temperature: 20 }, fromCache: false });
+    await expect(getCityCoordinates('Teste')).resolves.toMatchObject({ name: 'Teste' });
+    await getCachedDailyForecast(1, 2, { days: 14 });
+    expect(provider.daily).toHaveBeenCalledWith(1, 2, { days: 14, units: undefined });
+
+    // sem `batch`, cada local é consultado separadamente
+    const [item] = await fetchWeatherBatch([{ lat: 1, lon: 2 }]);
+    expect(item).toEqual({ weather: expect.objectContaining({ temperature: 20 }), today: { date: '2025-11-10', max: 25, min: 15, weathercode: 1 } });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    expect(() => setWeatherProvider({ id: 'incompleto', current: () => null })).toThrow(ValidationError);
+    expect(() => setWeatherProvider('desconhecido')).toThrow(ValidationError);
+    expect(setWeatherProvider('fixtures').id).toBe('fixtures');
+  });
+
+  test('loadProvider e saveProvider aceitam apenas provedores conhecidos', () => {
+    const storage = createStorage();
+    expect(loadProvider(storage)).toBe('open-meteo');
+    expect(saveProvider('fixtures', storage)).toBe('fixtures');
+    expect(loadProvider(storage)).toBe('fixtures');
+    expect(saveProvider('outro', storage)).toBe('open-meteo');
   });
 });
@@ -0,0 +1,113 @@
+const {
+  SHELL_CACHE,
+  DATA_CACHE,
+  MAX_DATA_ENTRIES,
+  PRECACHE_URLS,
+  OPTIONAL_PRECACHE_URLS,
+  isDataRequest,
+  isShellRequest,
+  networkFirst,
+  staleWhileRevalidate
+} = require('../sw.js');
+
+// Cache API em memória: mantém a ordem de inserção e `put` move a entrada para o fim
+function createFakeCaches() {
+  const stores = new Map();
+  const keyOf = (request) => (typeof request === 'string' ? request : request.url);
+  const open = async (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const entries = stores.get(name);
+    return {
+      async match(request) {
+        return entries.get(keyOf(request));
+      },
+      async put(request, response) {
+        entries.delete(keyOf(request));
+        entries.set(keyOf(request), response);
+      },
+      async delete(request) {
+        return entries.delete(keyOf(request));
+      },
+      async keys() {
+        return [...entries.keys()].map((url) => ({ url }));
+      }
+    };
+  };
+  return { open, stores };
+}
+
+const response = (body, ok = true) => ({ ok, body, clone() { return { ...this }; } });
+const request = (url, mode = 'cors') => ({ url, mode, method: 'GET' });
+
+describe('Service worker', () => {
+  beforeEach(() => {
+    global.caches = createFakeCaches();
+  });
+
+  afterEach(() => {
+    delete global.caches;
+  });
+
+  test('guarda os arquivos da página e a fonte de ícones na instalação', () => {
+    expect(PRECACHE_URLS).toEqual(expect.arrayContaining([
+      './index.html',
+      './assets/css/styles.css',
+      './assets/js/scripts.js',
+      './assets/img/background.jpg'
+    ]));
+    expect(OPTIONAL_PRECACHE_URLS.some((url) => url.endsWith('weather-icons.min.css'))).toBe(true);
+    expect(OPTIONAL_PRECACHE_URLS.some((url) => url.endsWith('.woff2'))).toBe(true);
+  });
+
+  test('separa requisições de dados e arquivos da página', () => {
+    expect(isDataRequest('https://api.open-meteo.com/v1/forecast?latitude=1')).toBe(true);
+    expect(isDataRequest('https://geocoding-api.open-meteo.com/v1/search?name=Lisboa')).toBe(true);
+    expect(isDataRequest('http://localhost:8000/fixtures/weather/daily.json?latitude=1')).toBe(true);
+    expect(isDataRequest('http://localhost:8000/assets/js/scripts.js')).toBe(false);
+    expect(isShellRequest('http://localhost:8000/assets/js/scripts.js', 'http://localhost:8000')).toBe(true);
+    expect(isShellRequest('https://cdnjs.cloudflare.com/ajax/libs/weather-icons/2.0.10/font/x.woff2', 'http://localhost:8000')).toBe(true);
+    expect(isShellRequest('https://example.com/outro.js', 'http://localhost:8000')).toBe(false);
+  });
+
+  test('networkFirst usa a rede e guarda a resposta; sem rede, devolve a última guardada', async () => {
+    const url = 'https://api.open-meteo.com/v1/forecast?latitude=1';
+    global.fetch = jest.fn().mockResolvedValueOnce(response('novo'));
+    await expect(networkFirst(request(url))).resolves.toMatchObject({ body: 'novo' });
+
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    await expect(networkFirst(request(url))).resolves.toMatchObject({ body: 'novo' });
+    await expect(networkFirst(request('https://api.open-meteo.com/v1/forecast?latitude=2'))).rejects.toThrow('Failed to fetch');
+  });
+
+  test('networkFirst não guarda erros e mantém apenas as consultas mais recentes', async () => {
+    global.fetch = jest.fn().mockResolvedValueOnce(response('erro', false));
+    await networkFirst(request('https://api.open-meteo.com/v1/forecast?erro'));
+    expect(global.caches.stores.get(DATA_CACHE).size).toBe(0);
+
+    global.fetch = jest.fn(async (req) => response(req.url));
+    for (let i = 0; i <= MAX_DATA_ENTRIES; i++) {
+      await networkFirst(request(`https://api.open-meteo.com/v1/forecast?latitude=${i}`));
+    }
+    const urls = [...global.caches.stores.get(DATA_CACHE).keys()];
+    expect(urls).toHaveLength(MAX_DATA_ENTRIES);
+    expect(urls[0]).toContain('latitude=1');
+  });
+
+  test('staleWhileRevalidate responde com o cache e atualiza em segundo plano', async () => {
+    const shell = await global.caches.open(SHELL_CACHE);
+    await shell.put('http://localhost:8000/index.html', response('antigo'));
+    global.fetch = jest.fn().mockResolvedValue(response('novo'));
+
+    const waitUntil = jest.fn();
+    const result = await staleWhileRevalidate(request('http://localhost:8000/index.html?city=Lisboa', 'navigate'), waitUntil);
+    expect(result).toMatchObject({ body: 'antigo' });
+    await waitUntil.mock.calls[0][0];
+    await expect(shell.match('http://localhost:8000/index.html')).resolves.toMatchObject({ body: 'novo' });
+    expect(global.caches.stores.get(SHELL_CACHE).size).toBe(1);
+
+    // sem cópia guardada, espera a rede; sem rede, a falha é repassada
+    await expect(staleWhileRevalidate(request('http://localhost:8000/assets/css/styles.css'))).resolves.toMatchObject({ body: 'novo' });
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    await expect(staleWhileRevalidate(request('http://localhost:8000/outro.css'))).rejects.toThrow('Failed to fetch');
+  });
+});